@@ -0,0 +1,120 @@
+/**
+ * @module steamcmd/abort
+ * @description AbortSignal and process-tree helpers for cancelling work
+ * @private
+ */
+
+import childProcess from 'node:child_process'
+
+/**
+ * Abort a controller when another signal aborts
+ * @param controller Controller to abort
+ * @param signal Signal to follow, if any
+ * @returns Function that stops following the signal
+ */
+export function followSignal(
+  controller: AbortController,
+  signal?: AbortSignal
+): () => void {
+  if (!signal) return () => {}
+  if (signal.aborted) {
+    controller.abort(signal.reason)
+    return () => {}
+  }
+
+  const onAbort = () => controller.abort(signal.reason)
+  signal.addEventListener('abort', onAbort, { once: true })
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+/**
+ * Wait for a number of milliseconds, ending early if a signal aborts
+ * @param ms Delay in milliseconds
+ * @param signal Signal that cancels the wait
+ * @returns Promise that rejects with the signal's reason on abort
+ */
+export function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal!.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Collect the IDs of all descendants of a process from a `ps` listing
+ * @param pid Root process ID
+ * @param listing Output of `ps -A -o pid= -o ppid=`
+ * @returns Descendant process IDs
+ */
+export function descendantPids(pid: number, listing: string): number[] {
+  const children = new Map<number, number[]>()
+  for (const line of listing.split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number)
+    if (!child || parent === undefined || Number.isNaN(parent)) continue
+    children.set(parent, [...(children.get(parent) || []), child])
+  }
+
+  const found: number[] = []
+  const queue = [pid]
+  while (queue.length) {
+    for (const child of children.get(queue.shift()!) || []) {
+      if (!found.includes(child)) {
+        found.push(child)
+        queue.push(child)
+      }
+    }
+  }
+  return found
+}
+
+/**
+ * Kill a process and everything it spawned.
+ * `steamcmd.sh` forks the real binary, so killing only the shell is not enough.
+ * @param pid Root process ID
+ * @param callback Called once the kill signals have been sent
+ */
+export function killProcessTree(pid: number, callback?: () => void): void {
+  const done = typeof callback === 'function' ? callback : () => {}
+
+  if (process.platform === 'win32') {
+    childProcess.execFile('taskkill', ['/pid', String(pid), '/T', '/F'], () =>
+      done()
+    )
+    return
+  }
+
+  childProcess.execFile(
+    'ps',
+    ['-A', '-o', 'pid=', '-o', 'ppid='],
+    (err, stdout) => {
+      const pids = err ? [] : descendantPids(pid, stdout)
+      for (const target of [pid, ...pids]) {
+        try {
+          process.kill(target, 'SIGKILL')
+        } catch {
+          // Already gone
+        }
+      }
+      done()
+    }
+  )
+}
+
+export default {
+  followSignal,
+  delay,
+  descendantPids,
+  killProcessTree,
+}
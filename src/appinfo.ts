@@ -0,0 +1,368 @@
+/**
+ * @module steamcmd/appinfo
+ * @description Parsing and caching of `app_info_print` output
+ * @private
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const mkdir = promisify(fs.mkdir)
+
+/**
+ * A parsed Valve KeyValues block: string values or nested blocks
+ */
+export interface KeyValues {
+  [key: string]: string | KeyValues
+}
+
+/**
+ * A branch listed under `depots.branches`
+ */
+export interface AppBranch {
+  /** Build ID currently on the branch */
+  buildId: number
+  /** When the branch was last updated, or null if not reported */
+  timeUpdated: Date | null
+  /** Branch description, or null if not set */
+  description: string | null
+  /** Whether the branch needs a password */
+  passwordRequired: boolean
+}
+
+/**
+ * A content depot of an app
+ */
+export interface AppDepot {
+  /** Depot ID */
+  depotId: number
+  /** Depot name, or null if not reported */
+  name: string | null
+  /** Operating systems the depot is for; empty means all */
+  oslist: string[]
+  /** Installed size of the public manifest in bytes, falling back to maxsize */
+  size: number | null
+  /** Compressed download size of the public manifest in bytes */
+  downloadSize: number | null
+}
+
+/**
+ * App information reported by `app_info_print`
+ */
+export interface AppInfo {
+  /** Steam application ID */
+  appId: number
+  /** `common.name` */
+  name: string | null
+  /** `common.type`, e.g. 'Game' or 'Tool' */
+  type: string | null
+  /** Branches from `depots.branches`, keyed by branch name */
+  branches: Record<string, AppBranch>
+  /** Depots with their sizes */
+  depots: AppDepot[]
+  /** The full KeyValues block, for fields not covered above */
+  raw: KeyValues
+}
+
+/**
+ * Cache entry written to the SteamCMD directory
+ * @private
+ */
+interface CacheEntry {
+  fetchedAt: number
+  raw: KeyValues
+}
+
+/**
+ * Split KeyValues text into tokens: quoted or bare strings and braces
+ * @private
+ */
+function tokenize(text: string): string[] {
+  const tokens: string[] = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]!
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++
+    } else if (char === '{' || char === '}') {
+      tokens.push(char)
+      i++
+    } else if (char === '"') {
+      let value = ''
+      i++
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1]!
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next
+          i += 2
+        } else {
+          value += text[i]
+          i++
+        }
+      }
+      tokens.push(value)
+      i++
+    } else {
+      const start = i
+      while (i < text.length && !/[\s{}"]/.test(text[i]!)) i++
+      tokens.push(text.slice(start, i))
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Parse Valve KeyValues text (the format of app_info_print and .acf files)
+ * @param text KeyValues text
+ * @returns Parsed object; a repeated key keeps its last value
+ *
+ * @example
+ * parseKeyValues('"740" { "common" { "name" "CS:GO DS" } }')
+ * // { '740': { common: { name: 'CS:GO DS' } } }
+ */
+export function parseKeyValues(text: string): KeyValues {
+  const tokens = tokenize(text)
+  let pos = 0
+
+  const parseBlock = (): KeyValues => {
+    const block: KeyValues = {}
+    while (pos < tokens.length && tokens[pos] !== '}') {
+      const key = tokens[pos++]!
+      if (key === '{') continue
+      const value = tokens[pos++]
+      if (value === undefined) break
+      if (value === '{') {
+        block[key] = parseBlock()
+        pos++ // closing brace
+      } else {
+        block[key] = value
+      }
+    }
+    return block
+  }
+
+  return parseBlock()
+}
+
+/**
+ * Write KeyValues in the tab-indented layout SteamCMD uses for .acf files
+ * @param kv Object to write
+ * @param depth Indentation level of the keys
+ * @returns KeyValues text
+ *
+ * @example
+ * stringifyKeyValues({ AppState: { appid: '740' } })
+ * // '"AppState"\n{\n\t"appid"\t\t"740"\n}\n'
+ */
+export function stringifyKeyValues(kv: KeyValues, depth = 0): string {
+  const indent = '\t'.repeat(depth)
+  const quote = (value: string) => `"${value.replace(/(["\\])/g, '\\$1')}"`
+  let out = ''
+  for (const [key, value] of Object.entries(kv)) {
+    if (typeof value === 'string') {
+      out += `${indent}${quote(key)}\t\t${quote(value)}\n`
+    } else {
+      out += `${indent}${quote(key)}\n${indent}{\n`
+      out += stringifyKeyValues(value, depth + 1)
+      out += `${indent}}\n`
+    }
+  }
+  return out
+}
+
+/**
+ * Find the KeyValues block for an app in SteamCMD output
+ * @param output stdout of `+app_info_print <id>`
+ * @param appId Steam application ID
+ * @returns The app's block, or null if the output has none
+ */
+export function extractAppInfoBlock(
+  output: string,
+  appId: number | string
+): KeyValues | null {
+  const start = output.search(new RegExp(`^\\s*"${appId}"\\s*$`, 'm'))
+  if (start === -1) return null
+
+  // Walk to the matching closing brace so trailing output is ignored
+  const open = output.indexOf('{', start)
+  if (open === -1) return null
+  let depth = 0
+  let inString = false
+  for (let i = open; i < output.length; i++) {
+    const char = output[i]
+    if (inString) {
+      if (char === '\\') i++
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}' && --depth === 0) {
+      const block = parseKeyValues(output.slice(start, i + 1))[String(appId)]
+      return block && typeof block === 'object' ? block : null
+    }
+  }
+  return null
+}
+
+/**
+ * Read a nested block, or an empty one if missing or a string
+ * @private
+ */
+function child(kv: KeyValues | undefined, key: string): KeyValues {
+  const value = kv?.[key]
+  return value && typeof value === 'object' ? value : {}
+}
+
+/**
+ * Read a string value, or null if missing or a block
+ * @private
+ */
+function text(kv: KeyValues | undefined, key: string): string | null {
+  const value = kv?.[key]
+  return typeof value === 'string' ? value : null
+}
+
+/**
+ * Read a numeric value, or null if missing or not a number
+ * @private
+ */
+function num(kv: KeyValues | undefined, key: string): number | null {
+  const value = text(kv, key)
+  if (value === null || value === '') return null
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+/**
+ * Turn an app's KeyValues block into an AppInfo object
+ * @param appId Steam application ID
+ * @param raw The app's block from app_info_print
+ * @returns Typed app information
+ */
+export function toAppInfo(appId: number | string, raw: KeyValues): AppInfo {
+  const common = child(raw, 'common')
+  const depotsBlock = child(raw, 'depots')
+
+  const branches: Record<string, AppBranch> = {}
+  for (const [name, value] of Object.entries(child(depotsBlock, 'branches'))) {
+    if (typeof value !== 'object') continue
+    const timeUpdated = num(value, 'timeupdated')
+    branches[name] = {
+      buildId: num(value, 'buildid') ?? 0,
+      timeUpdated: timeUpdated === null ? null : new Date(timeUpdated * 1000),
+      description: text(value, 'description'),
+      passwordRequired: text(value, 'pwdrequired') === '1',
+    }
+  }
+
+  const depots: AppDepot[] = []
+  for (const [id, value] of Object.entries(depotsBlock)) {
+    if (!/^\d+$/.test(id) || typeof value !== 'object') continue
+    // Newer output has a block per manifest, older output only the gid
+    const manifest = child(child(value, 'manifests'), 'public')
+    const oslist = text(child(value, 'config'), 'oslist')
+    depots.push({
+      depotId: parseInt(id, 10),
+      name: text(value, 'name'),
+      oslist: oslist ? oslist.split(',').filter(Boolean) : [],
+      size: num(manifest, 'size') ?? num(value, 'maxsize'),
+      downloadSize: num(manifest, 'download'),
+    })
+  }
+
+  return {
+    appId: parseInt(String(appId), 10),
+    name: text(common, 'name'),
+    type: text(common, 'type'),
+    branches,
+    depots,
+    raw,
+  }
+}
+
+/**
+ * Parse app_info_print output into an AppInfo object
+ * @param output stdout of `+app_info_print <id>`
+ * @param appId Steam application ID
+ * @returns Typed app information, or null if the output has none
+ */
+export function parseAppInfo(
+  output: string,
+  appId: number | string
+): AppInfo | null {
+  const raw = extractAppInfoBlock(output, appId)
+  return raw ? toAppInfo(appId, raw) : null
+}
+
+/**
+ * Path of the cached app info for an app
+ * @param directory SteamCMD directory
+ * @param appId Steam application ID
+ * @returns Path of the cache file
+ */
+export function cachePath(directory: string, appId: number | string): string {
+  return path.join(directory, 'appinfo', `${appId}.json`)
+}
+
+/**
+ * Read cached app info if it is younger than the TTL
+ * @param directory SteamCMD directory
+ * @param appId Steam application ID
+ * @param ttlMs Maximum age in milliseconds
+ * @returns Cached app information, or null if missing, stale or unreadable
+ */
+export async function readCache(
+  directory: string,
+  appId: number | string,
+  ttlMs: number
+): Promise<AppInfo | null> {
+  try {
+    const entry = JSON.parse(
+      await readFile(cachePath(directory, appId), 'utf8')
+    ) as CacheEntry
+    if (typeof entry.fetchedAt !== 'number' || !entry.raw) return null
+    if (Date.now() - entry.fetchedAt >= ttlMs) return null
+    return toAppInfo(appId, entry.raw)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Cache app info in the SteamCMD directory. Failures are ignored; the cache
+ * only saves a SteamCMD run.
+ * @param directory SteamCMD directory
+ * @param info App information to cache
+ */
+export async function writeCache(
+  directory: string,
+  info: AppInfo
+): Promise<void> {
+  const file = cachePath(directory, info.appId)
+  const entry: CacheEntry = { fetchedAt: Date.now(), raw: info.raw }
+  try {
+    await mkdir(path.dirname(file), { recursive: true })
+    await writeFile(file, JSON.stringify(entry))
+  } catch {
+    // Read-only or missing directory
+  }
+}
+
+export default {
+  parseKeyValues,
+  stringifyKeyValues,
+  extractAppInfoBlock,
+  toAppInfo,
+  parseAppInfo,
+  cachePath,
+  readCache,
+  writeCache,
+}
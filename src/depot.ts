@@ -0,0 +1,178 @@
+/**
+ * @module steamcmd/depot
+ * @description Depot downloads with `download_depot` and InstalledDepots parsing
+ * @private
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+import { parseKeyValues } from './appinfo.js'
+
+const readdir = promisify(fs.readdir)
+const lstat = promisify(fs.lstat)
+const rename = promisify(fs.rename)
+const copyFile = promisify(fs.copyFile)
+const mkdir = promisify(fs.mkdir)
+const rm = promisify(fs.rm)
+
+/**
+ * A depot recorded under `InstalledDepots` in an app manifest
+ */
+export interface InstalledDepot {
+  /** Depot ID */
+  depotId: number
+  /** Installed manifest ID; a 64-bit number, so kept as a string */
+  manifestId: string
+  /** Installed size in bytes, or null if not reported */
+  size: number | null
+}
+
+/**
+ * Outcome reported by SteamCMD's "Depot download ..." line
+ */
+export type DepotDownloadLine =
+  | {
+      success: true
+      /** Staging folder SteamCMD downloaded into */
+      path: string
+      /** Downloaded manifest ID, or null if not reported */
+      manifestId: string | null
+      /** Number of files, or null if not reported */
+      files: number | null
+    }
+  | {
+      success: false
+      /** SteamCMD's reason, e.g. 'Depot manifest 123 not available' */
+      reason: string
+    }
+
+/**
+ * Read the `InstalledDepots` block of an app manifest
+ * @param text Contents of `appmanifest_<appid>.acf`
+ * @returns Installed depots sorted by depot ID
+ *
+ * @example
+ * parseInstalledDepots(text)
+ * // [{ depotId: 741, manifestId: '7043469183016184477', size: 74853120 }]
+ */
+export function parseInstalledDepots(text: string): InstalledDepot[] {
+  const root = parseKeyValues(text)['AppState']
+  const installed =
+    root && typeof root === 'object' ? root['InstalledDepots'] : null
+  if (!installed || typeof installed !== 'object') return []
+
+  const depots: InstalledDepot[] = []
+  for (const [id, entry] of Object.entries(installed)) {
+    if (!/^\d+$/.test(id) || typeof entry !== 'object') continue
+    const manifest = entry['manifest']
+    if (typeof manifest !== 'string' || !manifest) continue
+    const size = entry['size']
+    depots.push({
+      depotId: parseInt(id, 10),
+      manifestId: manifest,
+      size:
+        typeof size === 'string' && /^\d+$/.test(size) ? Number(size) : null,
+    })
+  }
+  return depots.sort((a, b) => a.depotId - b.depotId)
+}
+
+/**
+ * Default staging folder of `download_depot` inside the SteamCMD directory
+ * @param directory SteamCMD directory
+ * @param appId Steam application ID
+ * @param depotId Depot ID
+ * @returns Path of `steamapps/content/app_<appid>/depot_<depotid>`
+ */
+export function depotStagingPath(
+  directory: string,
+  appId: number | string,
+  depotId: number | string
+): string {
+  return path.join(
+    directory,
+    'steamapps',
+    'content',
+    `app_${appId}`,
+    `depot_${depotId}`
+  )
+}
+
+/**
+ * Parse the line SteamCMD prints when `download_depot` finishes
+ * @param line A single line of SteamCMD output
+ * @returns Parsed outcome or null if the line is not a depot result
+ *
+ * @example
+ * parseDepotDownload('Depot download complete : "/steamcmd/steamapps/content/app_740/depot_741" (1204 files, manifest 7043469183016184477)')
+ * // { success: true, path: '/steamcmd/...', manifestId: '7043469183016184477', files: 1204 }
+ */
+export function parseDepotDownload(line: string): DepotDownloadLine | null {
+  const complete = line.match(
+    /Depot download complete\s*:\s*"([^"]+)"\s*(?:\(([^)]*)\))?/i
+  )
+  if (complete) {
+    const details = complete[2] || ''
+    const manifest = details.match(/manifest\s+(\d+)/i)
+    const files = details.match(/(\d+)\s+files/i)
+    return {
+      success: true,
+      path: complete[1]!,
+      manifestId: manifest ? manifest[1]! : null,
+      files: files ? parseInt(files[1]!, 10) : null,
+    }
+  }
+
+  const failed = line.match(/Depot download failed\s*:\s*(.+)$/i)
+  if (failed) return { success: false, reason: failed[1]!.trim() }
+
+  return null
+}
+
+/**
+ * Move everything in one directory into another, merging into existing
+ * subdirectories and replacing existing files. Falls back to copying when the
+ * directories are on different filesystems.
+ * @param source Directory to empty
+ * @param target Directory to fill; created if missing
+ */
+export async function moveContents(
+  source: string,
+  target: string
+): Promise<void> {
+  await mkdir(target, { recursive: true })
+
+  for (const entry of await readdir(source, { withFileTypes: true })) {
+    const from = path.join(source, entry.name)
+    const to = path.join(target, entry.name)
+
+    const existing = await lstat(to).catch(() => null)
+    if (entry.isDirectory() && existing?.isDirectory()) {
+      await moveContents(from, to)
+      await rm(from, { recursive: true, force: true })
+      continue
+    }
+    if (existing) await rm(to, { recursive: true, force: true })
+
+    try {
+      await rename(from, to)
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code !== 'EXDEV') throw err
+      if (entry.isDirectory()) {
+        await moveContents(from, to)
+      } else {
+        await copyFile(from, to)
+      }
+      await rm(from, { recursive: true, force: true })
+    }
+  }
+}
+
+export default {
+  parseInstalledDepots,
+  depotStagingPath,
+  parseDepotDownload,
+  moveContents,
+}
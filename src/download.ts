@@ -4,35 +4,122 @@
  * @private
  */
 
+import crypto from 'node:crypto'
 import { EventEmitter } from 'node:events'
 import fs from 'node:fs'
+import http from 'node:http'
 import https from 'node:https'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import tls from 'node:tls'
 import * as tar from 'tar'
 import unzip from 'unzipper'
+import { delay, followSignal } from './abort.js'
 import * as env from './env.js'
+import { createProgressTracker, DOWNLOAD_PHASE_RANGES } from './progress.js'
+import {
+  createTunnel,
+  ProxyError,
+  type ProxySetting,
+  proxyAuthorization,
+  resolveProxy,
+} from './proxy.js'
 
 /**
  * Progress information for download operations
  */
 export interface DownloadProgress {
   /** Current phase of the operation */
-  phase: 'starting' | 'downloading' | 'complete'
+  phase: 'starting' | 'downloading' | 'retrying' | 'complete'
   /** Percentage complete (0-100) */
   percent: number
   /** Number of bytes downloaded so far */
   bytesDownloaded: number
   /** Total bytes to download (0 if unknown) */
   totalBytes: number
+  /** Download attempt number, starting at 1 */
+  attempt: number
+  /** Smoothed transfer rate in bytes per second, from download() */
+  bytesPerSecond?: number
+  /** Estimated seconds left, or null if unknown, from download() */
+  etaSeconds?: number | null
+  /** Milliseconds since the download started, from download() */
+  elapsedMs?: number
+  /** Percent of the whole download, never decreasing, from download() */
+  overallPercent?: number
 }
 
 /**
  * Options for download operations
  */
 export interface DownloadOptions {
+  /** SteamCMD directory to install into (overrides configure() and STEAMCMD_HOME) */
+  steamCmdDir?: string
+  /** Mirror URL of the SteamCMD archive (overrides STEAMCMD_DOWNLOAD_URL) */
+  url?: string
+  /** Local .tar.gz/.zip archive to install from instead of downloading */
+  archivePath?: string
+  /** Expected SHA-256 of the archive (hex); a mismatch fails with CHECKSUM_MISMATCH */
+  sha256?: string
+  /** Expected archive size in bytes; a mismatch fails with SIZE_MISMATCH */
+  size?: number
+  /** Maximum number of HTTP redirects to follow (default: 5) */
+  maxRedirects?: number
+  /** Number of retries after a network error or 5xx response (default: 3) */
+  retries?: number
+  /** Delay before the first retry in ms, doubled on each further retry (default: 1000) */
+  retryDelayMs?: number
+  /** Proxy URL, or false to disable; defaults to HTTPS_PROXY/HTTP_PROXY honouring NO_PROXY */
+  proxy?: ProxySetting
+  /** Signal that cancels the download */
+  signal?: AbortSignal
+  /** Fail with TIMEOUT if the whole download takes longer than this many ms */
+  timeoutMs?: number
+  /** Fail with TIMEOUT if no data arrives for this many ms */
+  idleTimeoutMs?: number
   /** Progress callback fired during download */
   onProgress?: (progress: DownloadProgress) => void
+  /** Minimum ms between progress callbacks within a phase (default: 100, 0 for every update) */
+  progressIntervalMs?: number
 }
 
+/**
+ * Options for fetchArchive()
+ */
+export interface FetchArchiveOptions {
+  /** Maximum number of HTTP redirects to follow (default: 5) */
+  maxRedirects?: number
+  /** Number of retries after a network error or 5xx response (default: 3) */
+  retries?: number
+  /** Delay before the first retry in ms, doubled on each further retry (default: 1000) */
+  retryDelayMs?: number
+  /** Proxy URL, or false to disable; defaults to HTTPS_PROXY/HTTP_PROXY honouring NO_PROXY */
+  proxy?: ProxySetting
+  /** Signal that cancels the download, including retry waits */
+  signal?: AbortSignal
+  /** Fail with TIMEOUT if no data arrives for this many ms */
+  idleTimeoutMs?: number
+  /** Progress callback fired during download */
+  onProgress?: (progress: DownloadProgress) => void
+}
+
+/**
+ * Expected properties of a downloaded archive
+ */
+export interface ArchiveExpectations {
+  /** Expected SHA-256 of the archive (hex) */
+  sha256?: string
+  /** Expected archive size in bytes */
+  size?: number
+}
+
+/**
+ * Archive formats SteamCMD is distributed in
+ */
+export type ArchiveFormat = 'tar' | 'zip'
+
 /**
  * Callback function type for download operations
  */
@@ -49,16 +136,28 @@ export const DOWNLOAD_URLS: Record<string, string> = {
   win32: 'https://steamcdn-a.akamaihd.net/client/installer/steamcmd.zip',
 }
 
+/**
+ * Environment variable that overrides the SteamCMD download URL
+ */
+export const DOWNLOAD_URL_ENV_VAR = 'STEAMCMD_DOWNLOAD_URL'
+
+const DEFAULT_MAX_REDIRECTS = 5
+const DEFAULT_RETRIES = 3
+const DEFAULT_RETRY_DELAY_MS = 1000
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
 /**
  * Custom error class for download failures
  */
 export class DownloadError extends Error {
   name = 'DownloadError' as const
   code: string
+  statusCode?: number
 
-  constructor(message: string, code: string) {
+  constructor(message: string, code: string, statusCode?: number) {
     super(message)
     this.code = code
+    this.statusCode = statusCode
   }
 }
 
@@ -75,6 +174,456 @@ export interface DownloadEmitter extends EventEmitter {
   emit(event: 'progress', progress: DownloadProgress): boolean
   emit(event: 'complete'): boolean
   emit(event: 'error', error: DownloadError): boolean
+  /** Stop the download; the emitter fires 'error' with code ABORTED */
+  cancel(): void
+}
+
+/**
+ * Check whether a download failure is worth another attempt
+ * @param err Error from a download attempt
+ * @returns True for network errors and 5xx responses
+ */
+export function isRetryableDownloadError(err: unknown): boolean {
+  if (!(err instanceof DownloadError)) return false
+  if (err.code === 'NETWORK_ERROR') return true
+  return err.code === 'HTTP_ERROR' && (err.statusCode ?? 0) >= 500
+}
+
+/**
+ * Convert the reason a download was aborted into a DownloadError
+ * @private
+ */
+function abortError(reason: unknown): DownloadError {
+  return reason instanceof DownloadError
+    ? reason
+    : new DownloadError('SteamCMD download was aborted', 'ABORTED')
+}
+
+/**
+ * Open the connection for a single GET, going through a proxy when one applies
+ * @private
+ */
+async function get(
+  url: string,
+  headers: Record<string, string>,
+  proxySetting?: ProxySetting,
+  signal?: AbortSignal
+): Promise<http.IncomingMessage> {
+  const target = new URL(url)
+  let proxy: URL | null
+  try {
+    proxy = resolveProxy(target, proxySetting)
+  } catch {
+    throw new DownloadError('Invalid proxy URL', 'INVALID_PROXY')
+  }
+
+  let client: typeof http | typeof https =
+    target.protocol === 'http:' ? http : https
+  let requestOptions: https.RequestOptions = { headers, signal }
+
+  if (proxy && target.protocol === 'https:') {
+    // HTTPS targets are tunnelled so TLS stays end-to-end
+    let socket: net.Socket
+    try {
+      socket = await createTunnel(proxy, target, signal)
+    } catch (err) {
+      if (err instanceof ProxyError) {
+        throw new DownloadError(err.message, 'PROXY_ERROR', err.statusCode)
+      }
+      const message = err instanceof Error ? err.message : String(err)
+      throw new DownloadError(`Network error: ${message}`, 'NETWORK_ERROR')
+    }
+    const servername = net.isIP(target.hostname) ? undefined : target.hostname
+    requestOptions = {
+      headers,
+      signal,
+      agent: false,
+      createConnection: () => tls.connect({ socket, servername }),
+    }
+  } else if (proxy) {
+    // Plain HTTP targets are requested from the proxy in absolute form
+    client = proxy.protocol === 'https:' ? https : http
+    const auth = proxyAuthorization(proxy)
+    requestOptions = {
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      path: url,
+      signal,
+      headers: {
+        ...headers,
+        Host: target.host,
+        ...(auth ? { 'Proxy-Authorization': auth } : {}),
+      },
+    }
+  }
+
+  const res = await new Promise<http.IncomingMessage>((resolve, reject) => {
+    const req =
+      proxy && target.protocol === 'http:'
+        ? client.get(requestOptions, resolve)
+        : client.get(url, requestOptions, resolve)
+    req.on('error', (err) => {
+      reject(
+        new DownloadError(`Network error: ${err.message}`, 'NETWORK_ERROR')
+      )
+    })
+  })
+
+  if (proxy && res.statusCode === 407) {
+    res.resume()
+    throw new DownloadError(
+      'Proxy authentication required: HTTP 407',
+      'PROXY_ERROR',
+      407
+    )
+  }
+
+  return res
+}
+
+/**
+ * Issue a GET request, following redirects
+ * @private
+ */
+async function request(
+  url: string,
+  headers: Record<string, string>,
+  redirectsLeft: number,
+  proxySetting?: ProxySetting,
+  signal?: AbortSignal
+): Promise<http.IncomingMessage> {
+  const res = await get(url, headers, proxySetting, signal)
+  const status = res.statusCode || 0
+  const location = res.headers.location
+
+  if (!REDIRECT_STATUSES.includes(status) || !location) {
+    return res
+  }
+
+  res.resume()
+  if (redirectsLeft <= 0) {
+    throw new DownloadError(
+      'Too many redirects while downloading SteamCMD',
+      'TOO_MANY_REDIRECTS'
+    )
+  }
+
+  const next = new URL(location, url).toString()
+  return request(next, headers, redirectsLeft - 1, proxySetting, signal)
+}
+
+/**
+ * Get the size of a partially downloaded file
+ * @private
+ */
+function partialSize(file: string): number {
+  try {
+    return fs.statSync(file).size
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * Download a file, following redirects and retrying transient failures.
+ * Bytes already in `file` are resumed with a Range request when the server allows it.
+ * @param url URL to download
+ * @param file Destination file
+ * @param options Redirect, retry, cancellation and progress options
+ * @returns Number of bytes in the downloaded file
+ * @throws {DownloadError} With code HTTP_ERROR, NETWORK_ERROR, TOO_MANY_REDIRECTS, ABORTED or TIMEOUT
+ */
+export async function fetchArchive(
+  url: string,
+  file: string,
+  options: FetchArchiveOptions = {}
+): Promise<number> {
+  const maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS
+  const retries = options.retries ?? DEFAULT_RETRIES
+  const retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS
+  const onProgress =
+    typeof options.onProgress === 'function' ? options.onProgress : () => {}
+
+  let bytesDownloaded = 0
+  let totalBytes = 0
+
+  for (let attempt = 1; ; attempt++) {
+    // Each attempt gets its own controller so the idle timer can end it
+    const controller = new AbortController()
+    const unfollow = followSignal(controller, options.signal)
+    let idleTimer: NodeJS.Timeout | undefined
+    const resetIdleTimer = () => {
+      if (!options.idleTimeoutMs) return
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(() => {
+        controller.abort(
+          new DownloadError(
+            `No data received for ${options.idleTimeoutMs} ms`,
+            'TIMEOUT'
+          )
+        )
+      }, options.idleTimeoutMs)
+    }
+
+    try {
+      resetIdleTimer()
+      const offset = partialSize(file)
+      const headers: Record<string, string> =
+        offset > 0 ? { Range: `bytes=${offset}-` } : {}
+      const res = await request(
+        url,
+        headers,
+        maxRedirects,
+        options.proxy,
+        controller.signal
+      )
+      const status = res.statusCode || 0
+
+      if (status !== 200 && status !== 206) {
+        res.resume()
+        if (status === 416) {
+          // Stale partial file the server cannot resume; start over
+          fs.rmSync(file, { force: true })
+        }
+        throw new DownloadError(
+          `Failed to download SteamCMD: HTTP ${status}`,
+          'HTTP_ERROR',
+          status
+        )
+      }
+
+      const resumed = status === 206
+      const contentLength = parseInt(res.headers['content-length'] || '0', 10)
+      const rangeTotal = /\/(\d+)$/.exec(res.headers['content-range'] || '')
+      bytesDownloaded = resumed ? offset : 0
+      totalBytes = rangeTotal
+        ? parseInt(rangeTotal[1]!, 10)
+        : contentLength > 0
+          ? bytesDownloaded + contentLength
+          : 0
+
+      res.on('data', (chunk: Buffer) => {
+        resetIdleTimer()
+        bytesDownloaded += chunk.length
+        const percent =
+          totalBytes > 0 ? Math.round((bytesDownloaded / totalBytes) * 100) : 0
+        onProgress({
+          phase: 'downloading',
+          percent,
+          bytesDownloaded,
+          totalBytes,
+          attempt,
+        })
+      })
+
+      try {
+        await pipeline(
+          res,
+          fs.createWriteStream(file, { flags: resumed ? 'a' : 'w' })
+        )
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err)
+        throw new DownloadError(`Network error: ${message}`, 'NETWORK_ERROR')
+      }
+
+      if (totalBytes > 0 && bytesDownloaded < totalBytes) {
+        throw new DownloadError(
+          'Network error: connection closed before download completed',
+          'NETWORK_ERROR'
+        )
+      }
+
+      if (totalBytes > 0 && bytesDownloaded > totalBytes) {
+        throw new DownloadError(
+          `Downloaded ${bytesDownloaded} bytes but the server announced ${totalBytes}`,
+          'SIZE_MISMATCH'
+        )
+      }
+
+      return bytesDownloaded
+    } catch (err) {
+      clearTimeout(idleTimer)
+      if (controller.signal.aborted) {
+        throw abortError(controller.signal.reason)
+      }
+      if (attempt > retries || !isRetryableDownloadError(err)) {
+        throw err
+      }
+
+      onProgress({
+        phase: 'retrying',
+        percent:
+          totalBytes > 0 ? Math.round((bytesDownloaded / totalBytes) * 100) : 0,
+        bytesDownloaded,
+        totalBytes,
+        attempt: attempt + 1,
+      })
+
+      try {
+        await delay(retryDelayMs * 2 ** (attempt - 1), options.signal)
+      } catch (reason) {
+        throw abortError(reason)
+      }
+    } finally {
+      clearTimeout(idleTimer)
+      unfollow()
+    }
+  }
+}
+
+/**
+ * Resolve the URL to download SteamCMD from.
+ * Precedence: `url` option, STEAMCMD_DOWNLOAD_URL, the platform's Steam CDN URL.
+ * @param options Download options
+ * @returns URL or undefined if the platform has no default
+ */
+export function resolveDownloadUrl(
+  options: Pick<DownloadOptions, 'url'> = {}
+): string | undefined {
+  return (
+    options.url ||
+    process.env[DOWNLOAD_URL_ENV_VAR] ||
+    DOWNLOAD_URLS[env.platform()]
+  )
+}
+
+/**
+ * Determine the archive format from a file name or URL
+ * @param name File name or URL of the archive
+ * @returns Archive format, defaulting to the current platform's format
+ */
+export function archiveFormat(name: string): ArchiveFormat {
+  const lower = name.toLowerCase().split(/[?#]/)[0]!
+  if (lower.endsWith('.zip')) return 'zip'
+  if (/\.(tar\.gz|tgz|tar)$/.test(lower)) return 'tar'
+  return env.platform() === 'win32' ? 'zip' : 'tar'
+}
+
+/**
+ * Compute the SHA-256 of a file
+ * @param file File to hash
+ * @returns Lowercase hex digest
+ */
+export async function sha256File(file: string): Promise<string> {
+  const hash = crypto.createHash('sha256')
+  await pipeline(fs.createReadStream(file), hash)
+  return hash.digest('hex')
+}
+
+/**
+ * Verify an archive against a caller-supplied size and checksum
+ * @param file Archive file
+ * @param expected Expected size and/or SHA-256
+ * @throws {DownloadError} With code SIZE_MISMATCH or CHECKSUM_MISMATCH
+ */
+export async function verifyArchive(
+  file: string,
+  expected: ArchiveExpectations
+): Promise<void> {
+  if (expected.size !== undefined) {
+    const actual = fs.statSync(file).size
+    if (actual !== expected.size) {
+      throw new DownloadError(
+        `SteamCMD archive is ${actual} bytes, expected ${expected.size}`,
+        'SIZE_MISMATCH'
+      )
+    }
+  }
+
+  if (expected.sha256) {
+    const actual = await sha256File(file)
+    if (actual !== expected.sha256.toLowerCase()) {
+      throw new DownloadError(
+        `SteamCMD archive SHA-256 ${actual} does not match ${expected.sha256}`,
+        'CHECKSUM_MISMATCH'
+      )
+    }
+  }
+}
+
+/**
+ * Move a file or directory, copying when the rename crosses filesystems
+ * @private
+ */
+function moveEntry(from: string, to: string): void {
+  try {
+    fs.renameSync(from, to)
+  } catch (err) {
+    // destDir may be a mount point, away from the staging directory's disk
+    if ((err as NodeJS.ErrnoException).code !== 'EXDEV') throw err
+    fs.cpSync(from, to, { recursive: true, verbatimSymlinks: true })
+    fs.rmSync(from, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Move a fully extracted staging directory into place.
+ * Only the archive's own entries are replaced; everything else in the
+ * directory (installed apps, login data, caches) is left alone. The entries
+ * being replaced are kept aside and restored if the move fails.
+ * @param stagingDir Directory holding the extracted archive
+ * @param destDir Final SteamCMD directory
+ */
+export function promoteStaging(stagingDir: string, destDir: string): void {
+  fs.mkdirSync(destDir, { recursive: true })
+  const backupDir = fs.mkdtempSync(path.join(destDir, '.steamcmd-backup-'))
+  const placed: string[] = []
+  const replaced: string[] = []
+
+  try {
+    for (const entry of fs.readdirSync(stagingDir)) {
+      const target = path.join(destDir, entry)
+      if (fs.lstatSync(target, { throwIfNoEntry: false })) {
+        fs.renameSync(target, path.join(backupDir, entry))
+        replaced.push(entry)
+      }
+      moveEntry(path.join(stagingDir, entry), target)
+      placed.push(entry)
+    }
+  } catch (err) {
+    for (const entry of placed) {
+      fs.rmSync(path.join(destDir, entry), { recursive: true, force: true })
+    }
+    for (const entry of replaced) {
+      const target = path.join(destDir, entry)
+      fs.rmSync(target, { recursive: true, force: true })
+      fs.renameSync(path.join(backupDir, entry), target)
+    }
+    fs.rmSync(backupDir, { recursive: true, force: true })
+    throw err
+  }
+
+  fs.rmSync(backupDir, { recursive: true, force: true })
+}
+
+/**
+ * Extract a SteamCMD archive into a directory
+ * @param file Archive file
+ * @param destDir Directory to extract into
+ * @param format Archive format
+ * @throws {DownloadError} With code EXTRACT_ERROR
+ */
+export async function extractArchive(
+  file: string,
+  destDir: string,
+  format: ArchiveFormat
+): Promise<void> {
+  try {
+    if (format === 'tar') {
+      await tar.x({ file, cwd: destDir })
+    } else {
+      await pipeline(
+        fs.createReadStream(file),
+        unzip.Extract({ path: destDir })
+      )
+    }
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    throw new DownloadError(
+      `Failed to extract ${format === 'tar' ? 'tar' : 'zip'} archive: ${message}`,
+      'EXTRACT_ERROR'
+    )
+  }
 }
 
 /**
@@ -90,6 +639,11 @@ export interface DownloadEmitter extends EventEmitter {
  *     console.log(`${progress.phase}: ${progress.percent}%`);
  *   }
  * });
+ *
+ * @example
+ * // From an internal mirror, or a local archive
+ * await download({ url: 'https://artifacts.example.com/steamcmd_linux.tar.gz' });
+ * await download({ archivePath: './vendor/steamcmd_linux.tar.gz' });
  */
 export function download(
   options?: DownloadOptions | DownloadCallback,
@@ -113,13 +667,21 @@ export function download(
   }
 
   const onProgress =
-    typeof options.onProgress === 'function' ? options.onProgress : () => {}
+    typeof options.onProgress === 'function'
+      ? createProgressTracker(options.onProgress, {
+          phases: DOWNLOAD_PHASE_RANGES,
+          intervalMs: options.progressIntervalMs,
+        })
+      : () => {}
 
   const platformValue = env.platform()
-  const url = DOWNLOAD_URLS[platformValue]
-  const destDir = env.directory()
+  const archivePath = options.archivePath
+    ? path.resolve(options.archivePath)
+    : null
+  const url = resolveDownloadUrl(options)
+  const destDir = env.directory(options.steamCmdDir)
 
-  if (!url) {
+  if (!archivePath && !url) {
     callback(
       new DownloadError(
         `Unsupported platform: ${platformValue}`,
@@ -129,9 +691,44 @@ export function download(
     return
   }
 
-  // Ensure destination directory exists
+  let urlPath = ''
+  if (!archivePath) {
+    try {
+      urlPath = new URL(url!).pathname
+    } catch {
+      callback(
+        new DownloadError(
+          `Invalid SteamCMD download URL: ${url}`,
+          'INVALID_URL'
+        )
+      )
+      return
+    }
+  }
+
+  if (archivePath && !fs.existsSync(archivePath)) {
+    callback(
+      new DownloadError(
+        `SteamCMD archive not found: ${archivePath}`,
+        'ARCHIVE_NOT_FOUND'
+      )
+    )
+    return
+  }
+
+  if (options.signal?.aborted) {
+    callback(abortError(options.signal.reason))
+    return
+  }
+
+  // Archive and staging directories are created up front; the staging
+  // directory sits next to destDir so it can be renamed into place
+  let tmpDir: string
+  let stagingDir: string
   try {
-    fs.mkdirSync(destDir, { recursive: true })
+    fs.mkdirSync(path.dirname(destDir), { recursive: true })
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-download-'))
+    stagingDir = fs.mkdtempSync(`${destDir}.staging-`)
   } catch (err) {
     const message = err instanceof Error ? err.message : String(err)
     callback(
@@ -148,88 +745,95 @@ export function download(
     percent: 0,
     bytesDownloaded: 0,
     totalBytes: 0,
+    attempt: 1,
   })
 
-  https
-    .get(url, (res) => {
-      if (res.statusCode !== 200) {
-        callback!(
+  // The archive is downloaded to a file first so it can be resumed and
+  // verified before anything is extracted
+  const source = archivePath || url!
+  const archiveFile =
+    archivePath || path.join(tmpDir, path.basename(urlPath) || 'steamcmd')
+  const format = archiveFormat(source)
+  let attempt = 1
+
+  const controller = new AbortController()
+  const unfollow = followSignal(controller, options.signal)
+  const timeoutMs = options.timeoutMs
+  const totalTimer = timeoutMs
+    ? setTimeout(() => {
+        controller.abort(
           new DownloadError(
-            `Failed to download SteamCMD: HTTP ${res.statusCode}`,
-            'HTTP_ERROR'
+            `SteamCMD download timed out after ${timeoutMs} ms`,
+            'TIMEOUT'
           )
         )
-        return
-      }
-
-      const totalBytes = parseInt(res.headers['content-length'] || '0', 10)
-      let bytesDownloaded = 0
+      }, timeoutMs)
+    : undefined
 
-      res.on('data', (chunk: Buffer) => {
-        bytesDownloaded += chunk.length
-        const percent =
-          totalBytes > 0 ? Math.round((bytesDownloaded / totalBytes) * 100) : 0
-        onProgress({
-          phase: 'downloading',
-          percent,
-          bytesDownloaded,
-          totalBytes,
-        })
+  const fetched = archivePath
+    ? Promise.resolve(fs.statSync(archivePath).size)
+    : fetchArchive(source, archiveFile, {
+        maxRedirects: options.maxRedirects,
+        retries: options.retries,
+        retryDelayMs: options.retryDelayMs,
+        proxy: options.proxy,
+        signal: controller.signal,
+        idleTimeoutMs: options.idleTimeoutMs,
+        onProgress: (progress) => {
+          attempt = progress.attempt
+          onProgress(progress)
+        },
       })
 
-      if (platformValue === 'darwin' || platformValue === 'linux') {
-        res
-          .pipe(tar.x({ cwd: destDir }))
-          .on('error', (err: Error) => {
-            callback!(
-              new DownloadError(
-                `Failed to extract tar archive: ${err.message}`,
-                'EXTRACT_ERROR'
-              )
-            )
-          })
-          .on('finish', () => {
-            onProgress({
-              phase: 'complete',
-              percent: 100,
-              bytesDownloaded,
-              totalBytes,
-            })
-            callback!(null)
-          })
-      } else if (platformValue === 'win32') {
-        res
-          .pipe(unzip.Extract({ path: destDir }))
-          .on('error', (err: Error) => {
-            callback!(
-              new DownloadError(
-                `Failed to extract zip archive: ${err.message}`,
-                'EXTRACT_ERROR'
-              )
-            )
-          })
-          .on('close', () => {
-            onProgress({
-              phase: 'complete',
-              percent: 100,
-              bytesDownloaded,
-              totalBytes,
-            })
-            callback!(null)
-          })
+  fetched
+    .then(async (bytesDownloaded) => {
+      if (controller.signal.aborted) {
+        throw abortError(controller.signal.reason)
+      }
+      await verifyArchive(archiveFile, {
+        sha256: options.sha256,
+        size: options.size,
+      })
+      await extractArchive(archiveFile, stagingDir, format)
+      // Extraction can outlast a cancel or the total timeout; the old
+      // installation stays untouched until the staged files are promoted
+      if (controller.signal.aborted) {
+        throw abortError(controller.signal.reason)
       }
+      try {
+        promoteStaging(stagingDir, destDir)
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err)
+        throw new DownloadError(
+          `Failed to move SteamCMD into ${destDir}: ${message}`,
+          'DIRECTORY_ERROR'
+        )
+      }
+      onProgress({
+        phase: 'complete',
+        percent: 100,
+        bytesDownloaded,
+        totalBytes: bytesDownloaded,
+        attempt,
+      })
     })
-    .on('error', (err) => {
-      callback!(
-        new DownloadError(`Network error: ${err.message}`, 'NETWORK_ERROR')
-      )
+    .finally(() => {
+      clearTimeout(totalTimer)
+      unfollow()
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+      fs.rmSync(stagingDir, { recursive: true, force: true })
     })
+    .then(
+      () => callback!(null),
+      (err: Error) => callback!(err)
+    )
 }
 
 /**
  * Download SteamCMD with EventEmitter-based progress
  * @param options Download options
- * @returns Emitter that fires 'progress', 'error', and 'complete' events
+ * @returns Emitter that fires 'progress', 'error', and 'complete' events,
+ * with a cancel() method that stops the download
  *
  * @example
  * const emitter = downloadWithProgress();
@@ -241,15 +845,20 @@ export function downloadWithProgress(
   options?: DownloadOptions
 ): DownloadEmitter {
   const emitter = new EventEmitter() as DownloadEmitter
+  const controller = new AbortController()
+  const unfollow = followSignal(controller, options?.signal)
+  emitter.cancel = () => controller.abort()
 
   // Run download in next tick to allow event binding
   process.nextTick(() => {
     download(
       {
         ...options,
+        signal: controller.signal,
         onProgress: (progress) => emitter.emit('progress', progress),
       },
       (err) => {
+        unfollow()
         if (err) {
           emitter.emit('error', err as DownloadError)
         } else {
@@ -4,12 +4,88 @@
  * @private
  */
 
+import fs from 'node:fs'
 import os from 'node:os'
 import path from 'node:path'
 import envPaths from 'env-paths'
 
 const paths = envPaths('steamcmd', { suffix: '' })
 
+/**
+ * Environment variable that overrides the SteamCMD directory
+ */
+export const HOME_ENV_VAR = 'STEAMCMD_HOME'
+
+/**
+ * Where the SteamCMD directory was taken from, in order of precedence
+ */
+export type DirectorySource = 'option' | 'configure' | 'env' | 'default'
+
+/**
+ * A resolved SteamCMD directory and the source it came from
+ */
+export interface ResolvedDirectory {
+  /** Absolute path to the SteamCMD directory */
+  path: string
+  /** Which setting supplied the path */
+  source: DirectorySource
+}
+
+/**
+ * Environment variable that points at a specific SteamCMD executable
+ */
+export const EXECUTABLE_ENV_VAR = 'STEAMCMD_PATH'
+
+/**
+ * Where the SteamCMD executable was found, in order of precedence
+ */
+export type ExecutableSource =
+  | 'option'
+  | 'configure'
+  | 'env'
+  | 'path'
+  | 'managed'
+
+/**
+ * A resolved SteamCMD executable and the source it came from
+ */
+export interface ResolvedExecutable {
+  /** Absolute path to the SteamCMD executable */
+  path: string
+  /** Which lookup step supplied the path */
+  source: ExecutableSource
+}
+
+/**
+ * Options for executable resolution
+ */
+export interface ExecutableOptions {
+  /** Explicit executable path (highest precedence) */
+  steamCmdPath?: string
+  /** Directory of the managed installation */
+  steamCmdDir?: string
+  /** Whether to look for a system-installed steamcmd (default: true unless a SteamCMD directory is set) */
+  useSystemSteamCmd?: boolean
+}
+
+/**
+ * Well-known locations of distro-packaged SteamCMD, checked after PATH
+ */
+export const SYSTEM_EXECUTABLE_PATHS: Record<string, readonly string[]> = {
+  linux: ['/usr/games/steamcmd'],
+  darwin: [],
+  win32: [],
+}
+
+/**
+ * File written into the SteamCMD directory once SteamCMD has updated itself
+ */
+export const BOOTSTRAP_MARKER = '.steamcmd-bootstrapped'
+
+let configuredDirectory: string | null = null
+let configuredExecutable: string | null = null
+let systemLookupEnabled = true
+
 /**
  * Supported platforms for SteamCMD
  */
@@ -19,12 +95,88 @@ export const SUPPORTED_PLATFORMS: readonly string[] = [
   'win32',
 ] as const
 
+/**
+ * Set the process-wide SteamCMD directory used when no per-call override is given
+ * @param dir Directory path, or null to clear it
+ */
+export function setDirectory(dir: string | null): void {
+  configuredDirectory = dir ? path.resolve(dir) : null
+}
+
+/**
+ * Resolve the SteamCMD directory and report where it came from.
+ * Precedence: per-call override, configure(), STEAMCMD_HOME, env-paths default.
+ * @param override Per-call directory override
+ * @returns Resolved directory and its source
+ */
+export function resolveDirectory(override?: string): ResolvedDirectory {
+  if (override) {
+    return { path: path.resolve(override), source: 'option' }
+  }
+
+  if (configuredDirectory) {
+    return { path: configuredDirectory, source: 'configure' }
+  }
+
+  const fromEnv = process.env[HOME_ENV_VAR]
+  if (fromEnv) {
+    return { path: path.resolve(fromEnv), source: 'env' }
+  }
+
+  return { path: paths.data, source: 'default' }
+}
+
 /**
  * Get the SteamCMD installation directory
+ * @param override Per-call directory override
  * @returns Path to the SteamCMD directory
  */
-export function directory(): string {
-  return paths.data
+export function directory(override?: string): string {
+  return resolveDirectory(override).path
+}
+
+/**
+ * Files a working managed SteamCMD installation contains, by platform
+ */
+export const REQUIRED_FILES: Record<string, readonly string[]> = {
+  linux: ['steamcmd.sh', 'linux32/steamcmd'],
+  darwin: ['steamcmd.sh'],
+  win32: ['steamcmd.exe'],
+}
+
+/**
+ * Get the paths of the files a working managed installation contains
+ * @param override Per-call directory override
+ * @returns Absolute paths of the required files
+ */
+export function requiredFiles(override?: string): string[] {
+  const dir = directory(override)
+  return (REQUIRED_FILES[platform()] || []).map((file) => path.join(dir, file))
+}
+
+/**
+ * Get the path of the bootstrap marker file
+ * @param override Per-call directory override
+ * @returns Path to the marker inside the SteamCMD directory
+ */
+export function bootstrapMarker(override?: string): string {
+  return path.join(directory(override), BOOTSTRAP_MARKER)
+}
+
+/**
+ * Set the process-wide SteamCMD executable used when no per-call path is given
+ * @param file Executable path, or null to clear it
+ */
+export function setExecutable(file: string | null): void {
+  configuredExecutable = file ? path.resolve(file) : null
+}
+
+/**
+ * Enable or disable the process-wide lookup of a system-installed steamcmd
+ * @param enabled Whether PATH and well-known locations are searched
+ */
+export function setSystemLookup(enabled: boolean): void {
+  systemLookupEnabled = enabled
 }
 
 /**
@@ -45,26 +197,115 @@ export function isPlatformSupported(): boolean {
 
 /**
  * Get the path to the SteamCMD executable
+ * @param override Per-call directory override
  * @returns Path to executable or null if unsupported platform
  */
-export function executable(): string | null {
+export function executable(override?: string): string | null {
   const plat = platform()
 
   if (plat === 'linux' || plat === 'darwin') {
-    return path.resolve(directory(), 'steamcmd.sh')
+    return path.resolve(directory(override), 'steamcmd.sh')
   }
 
   if (plat === 'win32') {
-    return path.resolve(directory(), 'steamcmd.exe')
+    return path.resolve(directory(override), 'steamcmd.exe')
   }
 
   return null
 }
 
+/**
+ * Check whether a path is an executable regular file
+ * @param file Path to check
+ * @returns True if the file exists and can be executed
+ */
+export function isExecutableFile(file: string): boolean {
+  try {
+    fs.accessSync(file, fs.constants.X_OK)
+    return fs.statSync(file).isFile()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Look for a system-installed steamcmd on PATH and in well-known locations
+ * @returns Path to the executable or null if none was found
+ */
+export function findSystemExecutable(): string | null {
+  const plat = platform()
+  const name = plat === 'win32' ? 'steamcmd.exe' : 'steamcmd'
+  const dirs = (process.env['PATH'] || '').split(path.delimiter)
+
+  for (const dir of dirs) {
+    if (!dir) continue
+    const candidate = path.resolve(dir, name)
+    if (isExecutableFile(candidate)) return candidate
+  }
+
+  for (const candidate of SYSTEM_EXECUTABLE_PATHS[plat] || []) {
+    if (isExecutableFile(candidate)) return candidate
+  }
+
+  return null
+}
+
+/**
+ * Resolve the SteamCMD executable and report where it came from.
+ * Precedence: per-call path, configure(), STEAMCMD_PATH, system lookup, managed install.
+ * A SteamCMD directory chosen through the option, configure() or
+ * STEAMCMD_HOME skips the system lookup, unless `useSystemSteamCmd: true` is
+ * passed, so the copy in that directory is the one that runs.
+ * @param options Per-call overrides
+ * @returns Resolved executable, or null on unsupported platforms without an explicit path
+ */
+export function resolveExecutable(
+  options: ExecutableOptions = {}
+): ResolvedExecutable | null {
+  if (options.steamCmdPath) {
+    return { path: path.resolve(options.steamCmdPath), source: 'option' }
+  }
+
+  if (configuredExecutable) {
+    return { path: configuredExecutable, source: 'configure' }
+  }
+
+  const fromEnv = process.env[EXECUTABLE_ENV_VAR]
+  if (fromEnv) {
+    return { path: path.resolve(fromEnv), source: 'env' }
+  }
+
+  const explicitDirectory =
+    resolveDirectory(options.steamCmdDir).source !== 'default'
+  const useSystem =
+    options.useSystemSteamCmd ?? (systemLookupEnabled && !explicitDirectory)
+  if (useSystem) {
+    const found = findSystemExecutable()
+    if (found) return { path: found, source: 'path' }
+  }
+
+  const managed = executable(options.steamCmdDir)
+  return managed ? { path: managed, source: 'managed' } : null
+}
+
 export default {
   directory,
+  resolveDirectory,
+  setDirectory,
+  bootstrapMarker,
+  requiredFiles,
   executable,
+  resolveExecutable,
+  findSystemExecutable,
+  isExecutableFile,
+  setExecutable,
+  setSystemLookup,
   platform,
   isPlatformSupported,
   SUPPORTED_PLATFORMS,
+  HOME_ENV_VAR,
+  EXECUTABLE_ENV_VAR,
+  BOOTSTRAP_MARKER,
+  REQUIRED_FILES,
+  SYSTEM_EXECUTABLE_PATHS,
 }
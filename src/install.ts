@@ -6,6 +6,14 @@
 
 import childProcess from 'node:child_process'
 import { EventEmitter } from 'node:events'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { delay, followSignal, killProcessTree } from './abort.js'
+import { isLogger, type Logger, resolveLogger, withContext } from './logger.js'
+import { createLineSplitter, createOutputBuffer } from './output.js'
+import { createProgressTracker, INSTALL_PHASE_RANGES } from './progress.js'
+import { type ProxySetting, proxyEnv } from './proxy.js'
 
 /**
  * Progress information for install operations
@@ -19,8 +27,120 @@ export interface InstallProgress {
   bytesDownloaded: number
   /** Total bytes to download (0 if unknown) */
   totalBytes: number
+  /** Status text reported by SteamCMD, when the line carries one */
+  message?: string
+  /** Index into `items` of the item being installed, for batch installs */
+  itemIndex?: number
+  /** Run number about to start, on 'retry' progress */
+  attempt?: number
+  /** Error code that triggered the retry, on 'retry' progress */
+  reason?: string
+  /** Code from an `Update state (0x..)` line; see decodeAppState() */
+  stateCode?: number
+  /** Smoothed transfer rate of the current phase in bytes per second, from install() */
+  bytesPerSecond?: number
+  /** Estimated seconds left in the current phase, or null if unknown, from install() */
+  etaSeconds?: number | null
+  /** Milliseconds since the install started, from install() */
+  elapsedMs?: number
+  /** Percent of the whole install, weighted across phases and never decreasing, from install() */
+  overallPercent?: number
 }
 
+/**
+ * Retry policy for SteamCMD runs that fail with a transient error
+ */
+export interface RetryOptions {
+  /** Total number of runs, including the first (default: 3) */
+  attempts?: number
+  /** Delay before the first retry in ms, doubled for each further retry (default: 5000) */
+  backoffMs?: number
+  /** Error codes to retry (default: TRANSIENT_ERROR_CODES); auth errors are never retried */
+  retryOn?: string[]
+}
+
+/**
+ * A single app or workshop item in a batch install
+ */
+export interface InstallItem {
+  /** Steam application ID to install, or that owns the workshop item */
+  applicationId: number | string
+  /** Workshop item ID to install */
+  workshopId?: number | string
+  /** Installation directory for this item (defaults to the batch `path`) */
+  path?: string
+  /** Beta branch to install (apps only) */
+  branch?: string
+  /** Password for a private beta branch (requires branch) */
+  branchPassword?: string
+}
+
+/**
+ * Outcome of one item in a batch install
+ */
+export interface InstallItemResult {
+  /** The item as passed in `items` */
+  item: InstallItem
+  /** Index of the item in `items` */
+  index: number
+  /** Whether SteamCMD reported the item as installed */
+  success: boolean
+  /** SteamCMD's success or error message for the item */
+  message: string
+}
+
+/**
+ * Result line SteamCMD prints after each app or workshop item
+ */
+export interface ItemResultLine {
+  /** Whether the line is about an app or a workshop item */
+  type: 'app' | 'workshop'
+  /** App or workshop item ID */
+  id: string
+  /** Whether the item succeeded */
+  success: boolean
+  /** The line as printed by SteamCMD */
+  message: string
+}
+
+/**
+ * Structured event parsed from a line of SteamCMD output.
+ * Every event carries the `line` it was parsed from.
+ */
+export type SteamCmdEvent =
+  | { type: 'login-start'; username: string; line: string }
+  | { type: 'login-success'; username: string; line: string }
+  | { type: 'login-failure'; reason: string; line: string }
+  | {
+      type: 'steam-guard-required'
+      /** 'email' for an emailed code, 'mobile' for the authenticator app */
+      method: 'email' | 'mobile'
+      line: string
+    }
+  | {
+      type: 'app-state'
+      /** App ID, when the line names one */
+      appId?: number
+      /** Numeric state, e.g. 0x61 */
+      state: number
+      /** State as printed by SteamCMD, e.g. '0x61' */
+      stateHex: string
+      /** Phase name printed next to an update state, e.g. 'downloading' */
+      phase?: string
+      /** Names of the app state flags set in a final app state, e.g. ['UpdateRequired', 'UpdatePaused'] */
+      flags: string[]
+      line: string
+    }
+  | {
+      type: 'workshop-item-downloaded'
+      workshopId: number
+      path: string
+      bytes?: number
+      line: string
+    }
+  | { type: 'success'; appId?: number; message: string; line: string }
+  | { type: 'warning'; message: string; line: string }
+
 /**
  * Valid platform values for SteamCMD
  */
@@ -44,12 +164,57 @@ export interface InstallOptions {
   steamGuardCode?: string
   /** Target platform for download */
   platform?: SteamPlatform
+  /** Beta branch to install, e.g. 'experimental' (default: public) */
+  branch?: string
+  /** Password for a private beta branch (requires branch) */
+  branchPassword?: string
+  /** Check installed app files and re-download damaged ones (default: true) */
+  validate?: boolean
+  /** Apps and workshop items to install in one session, instead of applicationId */
+  items?: InstallItem[]
+  /** Pass commands through a temporary runscript file instead of argv (default: true when a password or branchPassword is set) */
+  runscript?: boolean
+  /** SteamCMD directory to use (overrides configure() and STEAMCMD_HOME) */
+  steamCmdDir?: string
+  /** SteamCMD executable to use (overrides configure() and STEAMCMD_PATH) */
+  steamCmdPath?: string
+  /** Whether to look for a system-installed steamcmd (default: true unless a SteamCMD directory is set) */
+  useSystemSteamCmd?: boolean
+  /** Proxy URL for the bootstrap download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the operation and kills SteamCMD */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Kill SteamCMD if it prints nothing for this many ms */
+  idleTimeoutMs?: number
+  /** Rerun SteamCMD after transient failures; timeouts apply to each run */
+  retry?: RetryOptions
   /** Progress callback */
   onProgress?: (progress: InstallProgress) => void
-  /** Output callback */
+  /** Minimum ms between progress callbacks within a phase (default: 100, 0 for every update) */
+  progressIntervalMs?: number
+  /** Output callback, called with each whole line including its terminator */
   onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Called as each batch item finishes, for batch installs */
+  onItemComplete?: (result: InstallItemResult) => void
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+  /** Structured event callback, see SteamCmdEvent */
+  onEvent?: (event: SteamCmdEvent) => void
+  /** Called when SteamCMD prompts for a Steam Guard code; resolve with the code */
+  onSteamGuardRequest?: SteamGuardRequestHandler
 }
 
+/**
+ * Supplies a Steam Guard code when SteamCMD asks for one
+ * @param kind 'email' for an emailed code, 'mobile' for an authenticator code
+ * @returns The code to enter
+ */
+export type SteamGuardRequestHandler = (
+  kind: 'email' | 'mobile'
+) => Promise<string>
+
 /**
  * Callback function type for install operations
  */
@@ -62,8 +227,14 @@ export class InstallError extends Error {
   name = 'InstallError' as const
   code: string
   exitCode?: number
+  /** The last lines SteamCMD printed to stdout (bounded, not the full log) */
   stdout?: string
+  /** The last lines SteamCMD printed to stderr (bounded, not the full log) */
   stderr?: string
+  /** Whether running the same command again may succeed (classified failures only) */
+  retryable?: boolean
+  /** Suggested fix for a classified failure */
+  hint?: string
 
   constructor(message: string, code: string, exitCode?: number) {
     super(message)
@@ -81,6 +252,7 @@ export interface InstallEmitter extends EventEmitter {
     event: 'output',
     listener: (data: string, type: 'stdout' | 'stderr') => void
   ): this
+  on(event: 'event', listener: (event: SteamCmdEvent) => void): this
   on(event: 'complete', listener: () => void): this
   on(event: 'error', listener: (error: InstallError) => void): this
   once(event: 'progress', listener: (progress: InstallProgress) => void): this
@@ -88,12 +260,16 @@ export interface InstallEmitter extends EventEmitter {
     event: 'output',
     listener: (data: string, type: 'stdout' | 'stderr') => void
   ): this
+  once(event: 'event', listener: (event: SteamCmdEvent) => void): this
   once(event: 'complete', listener: () => void): this
   once(event: 'error', listener: (error: InstallError) => void): this
   emit(event: 'progress', progress: InstallProgress): boolean
   emit(event: 'output', data: string, type: 'stdout' | 'stderr'): boolean
+  emit(event: 'event', steamCmdEvent: SteamCmdEvent): boolean
   emit(event: 'complete'): boolean
   emit(event: 'error', error: InstallError): boolean
+  /** Stop the operation; the emitter fires 'error' with code ABORTED */
+  cancel(): void
 }
 
 const VALID_PLATFORMS: readonly SteamPlatform[] = ['windows', 'macos', 'linux']
@@ -149,6 +325,141 @@ export function validateOptions(options: unknown): void {
     }
   }
 
+  if (opts['items'] !== undefined) {
+    const items = opts['items']
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new InstallError('items must be a non-empty array', 'INVALID_ITEMS')
+    }
+    if (opts['applicationId'] !== undefined) {
+      throw new InstallError(
+        'items cannot be combined with applicationId',
+        'INVALID_ITEMS'
+      )
+    }
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || !item.applicationId) {
+        throw new InstallError(
+          'Each item requires an applicationId',
+          'MISSING_APP_ID'
+        )
+      }
+      validateOptions(item)
+    }
+  }
+
+  for (const key of ['branch', 'branchPassword']) {
+    if (opts[key] === undefined) continue
+    const value = opts[key]
+    if (typeof value !== 'string' || !value || /\s/.test(value)) {
+      throw new InstallError(
+        `${key} must be a non-empty string without whitespace`,
+        'INVALID_BRANCH'
+      )
+    }
+  }
+
+  if (opts['branchPassword'] && !opts['branch']) {
+    throw new InstallError(
+      'branchPassword requires branch to be specified',
+      'MISSING_BRANCH'
+    )
+  }
+
+  if (opts['steamCmdDir'] !== undefined) {
+    if (typeof opts['steamCmdDir'] !== 'string' || !opts['steamCmdDir']) {
+      throw new InstallError(
+        'steamCmdDir must be a non-empty string',
+        'INVALID_STEAMCMD_DIR'
+      )
+    }
+  }
+
+  if (opts['steamCmdPath'] !== undefined) {
+    if (typeof opts['steamCmdPath'] !== 'string' || !opts['steamCmdPath']) {
+      throw new InstallError(
+        'steamCmdPath must be a non-empty string',
+        'INVALID_STEAMCMD_PATH'
+      )
+    }
+  }
+
+  if (opts['proxy'] !== undefined && opts['proxy'] !== false) {
+    if (typeof opts['proxy'] !== 'string' || !opts['proxy']) {
+      throw new InstallError(
+        'proxy must be a URL string or false',
+        'INVALID_PROXY'
+      )
+    }
+  }
+
+  if (opts['retry'] !== undefined) {
+    const retry = opts['retry'] as Record<string, unknown> | null
+    if (!retry || typeof retry !== 'object') {
+      throw new InstallError('retry must be an object', 'INVALID_RETRY')
+    }
+    const { attempts, backoffMs, retryOn } = retry
+    if (
+      attempts !== undefined &&
+      (!Number.isInteger(attempts) || (attempts as number) < 1)
+    ) {
+      throw new InstallError(
+        'retry.attempts must be a positive integer',
+        'INVALID_RETRY'
+      )
+    }
+    if (
+      backoffMs !== undefined &&
+      (typeof backoffMs !== 'number' || !(backoffMs >= 0))
+    ) {
+      throw new InstallError(
+        'retry.backoffMs must be a non-negative number',
+        'INVALID_RETRY'
+      )
+    }
+    if (
+      retryOn !== undefined &&
+      (!Array.isArray(retryOn) ||
+        retryOn.some((code) => typeof code !== 'string'))
+    ) {
+      throw new InstallError(
+        'retry.retryOn must be an array of error codes',
+        'INVALID_RETRY'
+      )
+    }
+  }
+
+  if (opts['progressIntervalMs'] !== undefined) {
+    const value = opts['progressIntervalMs']
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new InstallError(
+        'progressIntervalMs must be a non-negative number',
+        'INVALID_PROGRESS_INTERVAL'
+      )
+    }
+  }
+
+  if (opts['logger'] !== undefined && !isLogger(opts['logger'])) {
+    throw new InstallError(
+      'logger must have debug, info, warn and error methods',
+      'INVALID_LOGGER'
+    )
+  }
+
+  if (opts['validate'] !== undefined && typeof opts['validate'] !== 'boolean') {
+    throw new InstallError('validate must be a boolean', 'INVALID_VALIDATE')
+  }
+
+  for (const key of ['timeoutMs', 'idleTimeoutMs']) {
+    if (opts[key] === undefined) continue
+    const value = opts[key]
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new InstallError(
+        `${key} must be a positive number`,
+        'INVALID_TIMEOUT'
+      )
+    }
+  }
+
   if (opts['password'] && !opts['username']) {
     throw new InstallError(
       'password requires username to be specified',
@@ -162,58 +473,140 @@ export function validateOptions(options: unknown): void {
       'MISSING_USERNAME'
     )
   }
+
+  // SteamCMD quoting has no escape sequence, and a line break would start a
+  // new command in a runscript
+  const paths = [
+    opts['path'],
+    ...(Array.isArray(opts['items'])
+      ? opts['items'].map((item: { path?: unknown }) => item?.path)
+      : []),
+  ]
+  for (const value of paths) {
+    if (typeof value === 'string' && /["\r\n]/.test(value)) {
+      throw new InstallError(
+        'path must not contain double quotes or line breaks',
+        'INVALID_PATH'
+      )
+    }
+  }
+
+  for (const key of ['username', 'password', 'steamGuardCode']) {
+    const value = opts[key]
+    if (typeof value === 'string' && /["\r\n]/.test(value)) {
+      throw new InstallError(
+        `${key} must not contain double quotes or line breaks`,
+        'INVALID_CREDENTIALS'
+      )
+    }
+  }
 }
 
 /**
- * Build SteamCMD command line arguments
- * @param options Installation options
- * @returns Array of command line arguments
+ * Quote a command argument for SteamCMD if it contains whitespace
+ * @param value Argument value without double quotes
+ * @returns Argument safe to append to a SteamCMD command
  */
-export function createArguments(options: InstallOptions): string[] {
-  const args: string[] = []
+export function quoteArgument(value: string): string {
+  return value === '' || /\s/.test(value) ? `"${value}"` : value
+}
 
-  // Force platform type for download
-  if (options.platform) {
-    args.push(`+@sSteamCmdForcePlatformType ${options.platform}`)
+/**
+ * Build the install command for a single app or workshop item
+ * @private
+ */
+function itemArguments(item: Partial<InstallItem>, validate = true): string[] {
+  // App id to install and/or validate, optionally from a beta branch
+  if (item.applicationId && !item.workshopId) {
+    let appUpdate = `+app_update ${item.applicationId}`
+    if (item.branch) {
+      appUpdate += ` -beta ${item.branch}`
+    }
+    if (item.branch && item.branchPassword) {
+      appUpdate += ` -betapassword ${item.branchPassword}`
+    }
+    return [validate ? `${appUpdate} validate` : appUpdate]
   }
 
-  // Use supplied password
-  args.push('+@NoPromptForPassword 1')
+  // Workshop id to install and/or validate
+  if (item.applicationId && item.workshopId) {
+    return [`+workshop_download_item ${item.applicationId} ${item.workshopId}`]
+  }
 
-  // Quit on fail
-  args.push('+@ShutdownOnFailedCommand 1')
+  return []
+}
+
+/**
+ * Build the SteamCMD login commands, anonymous unless a username is given
+ * @param options Credentials
+ * @returns Steam Guard and login arguments
+ *
+ * @example
+ * loginArguments({ username: 'user', password: 'pass' })
+ * // ['+login user pass']
+ */
+export function loginArguments(
+  options: Pick<InstallOptions, 'username' | 'password' | 'steamGuardCode'>
+): string[] {
+  const args: string[] = []
 
   if (options.steamGuardCode) {
     args.push(`+set_steam_guard_code ${options.steamGuardCode}`)
   }
 
-  // Authentication
   if (options.username && options.password) {
-    args.push(`+login ${options.username} ${options.password}`)
+    args.push(
+      `+login ${quoteArgument(options.username)} ${quoteArgument(options.password)}`
+    )
   } else if (options.username) {
-    args.push(`+login ${options.username}`)
+    args.push(`+login ${quoteArgument(options.username)}`)
   } else {
     args.push('+login anonymous')
   }
 
-  // Installation directory
-  if (options.path) {
-    args.push(`+force_install_dir "${options.path}"`)
-  }
+  return args
+}
 
-  // App id to install and/or validate
-  if (options.applicationId && !options.workshopId) {
-    args.push(`+app_update ${options.applicationId} validate`)
+/**
+ * Build SteamCMD command line arguments
+ * @param options Installation options
+ * @returns Array of command line arguments
+ */
+export function createArguments(options: InstallOptions): string[] {
+  const args: string[] = []
+
+  // Force platform type for download
+  if (options.platform) {
+    args.push(`+@sSteamCmdForcePlatformType ${options.platform}`)
   }
 
-  // Workshop id to install and/or validate
-  if (options.applicationId && options.workshopId) {
-    args.push(
-      '+workshop_download_item ' +
-        options.applicationId +
-        ' ' +
-        options.workshopId
-    )
+  // Use supplied password; SteamCMD only prompts for a Steam Guard code
+  // when there is a handler to answer it
+  args.push(`+@NoPromptForPassword ${options.onSteamGuardRequest ? 0 : 1}`)
+
+  // Quit on fail; a batch keeps going so one bad item doesn't stop the rest
+  args.push(`+@ShutdownOnFailedCommand ${options.items ? 0 : 1}`)
+
+  // Authentication
+  args.push(...loginArguments(options))
+
+  if (!options.items) {
+    // Installation directory
+    if (options.path) {
+      args.push(`+force_install_dir "${options.path}"`)
+    }
+    args.push(...itemArguments(options, options.validate))
+  } else {
+    // Only switch directories when the next item needs a different one
+    let currentPath: string | undefined
+    for (const item of options.items) {
+      const itemPath = item.path || options.path
+      if (itemPath && itemPath !== currentPath) {
+        args.push(`+force_install_dir "${itemPath}"`)
+        currentPath = itemPath
+      }
+      args.push(...itemArguments(item, options.validate))
+    }
   }
 
   // Quit when done
@@ -222,6 +615,34 @@ export function createArguments(options: InstallOptions): string[] {
   return args
 }
 
+/**
+ * Turn command line arguments into the contents of a SteamCMD runscript
+ * @param args Arguments as built by createArguments()
+ * @returns One command per line, without the leading '+'
+ */
+export function createRunscript(args: string[]): string {
+  return `${args.map((arg) => arg.replace(/^\+/, '')).join('\n')}\n`
+}
+
+/**
+ * Whether commands should go through a runscript rather than argv.
+ * Defaults to a runscript whenever a password or beta branch password is
+ * supplied, including on any batch item, so neither shows up in `ps` or
+ * /proc/<pid>/cmdline.
+ * @param options Install options
+ * @returns True to pass commands through a runscript
+ */
+export function usesRunscript(options: InstallOptions): boolean {
+  return (
+    options.runscript ??
+    Boolean(
+      options.password ||
+        options.branchPassword ||
+        options.items?.some((item) => item.branchPassword)
+    )
+  )
+}
+
 /**
  * Parse SteamCMD output for progress information
  * @param data Raw output from SteamCMD
@@ -230,16 +651,43 @@ export function createArguments(options: InstallOptions): string[] {
 export function parseProgress(data: string | Buffer): InstallProgress | null {
   const str = data.toString()
 
+  // Match SteamCMD updating itself: "[ 10%] Downloading update (3,901 of 39,012 KB)..."
+  // or "[----] Verifying installation..."
+  const selfUpdateMatch = str.match(/\[\s*(\d+%|-{4})\]\s+([^\r\n]+)/)
+  if (selfUpdateMatch) {
+    const message = selfUpdateMatch[2]!.trim().replace(/\.+$/, '')
+    const sizeMatch = message.match(/\(([\d,]+) of ([\d,]+) KB\)/)
+    const bytesDownloaded = sizeMatch
+      ? parseInt(sizeMatch[1]!.replace(/,/g, ''), 10) * 1024
+      : 0
+    const totalBytes = sizeMatch
+      ? parseInt(sizeMatch[2]!.replace(/,/g, ''), 10) * 1024
+      : 0
+    const percent = selfUpdateMatch[1]!.endsWith('%')
+      ? parseInt(selfUpdateMatch[1]!, 10)
+      : totalBytes > 0
+        ? Math.round((bytesDownloaded / totalBytes) * 100)
+        : 0
+    return {
+      phase: 'self-update',
+      percent,
+      bytesDownloaded,
+      totalBytes,
+      message,
+    }
+  }
+
   // Match update/download progress: "Update state (0x61) downloading, progress: 45.23 (1234567890 / 2732853760)"
   const updateMatch = str.match(
-    /Update state \(0x[\da-f]+\) (\w+), progress: ([\d.]+) \((\d+) \/ (\d+)\)/i
+    /Update state \((0x[\da-f]+)\) (\w+), progress: ([\d.]+) \((\d+) \/ (\d+)\)/i
   )
   if (updateMatch) {
     return {
-      phase: updateMatch[1]!.toLowerCase(),
-      percent: Math.round(parseFloat(updateMatch[2]!)),
-      bytesDownloaded: parseInt(updateMatch[3]!, 10),
-      totalBytes: parseInt(updateMatch[4]!, 10),
+      phase: updateMatch[2]!.toLowerCase(),
+      percent: Math.round(parseFloat(updateMatch[3]!)),
+      bytesDownloaded: parseInt(updateMatch[4]!, 10),
+      totalBytes: parseInt(updateMatch[5]!, 10),
+      stateCode: parseInt(updateMatch[1]!, 16),
     }
   }
 
@@ -268,6 +716,654 @@ export function parseProgress(data: string | Buffer): InstallProgress | null {
   return null
 }
 
+/**
+ * Parse the result line SteamCMD prints after installing an app or workshop item
+ * @param line A single line of SteamCMD output
+ * @returns Parsed result or null if the line is not an item result
+ *
+ * @example
+ * parseItemResult('Success. Downloaded item 450814997 to "..." (1024 bytes)')
+ * // { type: 'workshop', id: '450814997', success: true, message: '...' }
+ */
+export function parseItemResult(line: string): ItemResultLine | null {
+  const message = line.trim()
+
+  const workshopOk = message.match(/^Success\.? Downloaded item (\d+)/i)
+  if (workshopOk) {
+    return { type: 'workshop', id: workshopOk[1]!, success: true, message }
+  }
+
+  const workshopFailed = message.match(
+    /^ERROR! (?:Download item (\d+) failed|Timeout downloading item (\d+))/i
+  )
+  if (workshopFailed) {
+    const id = workshopFailed[1] || workshopFailed[2]!
+    return { type: 'workshop', id, success: false, message }
+  }
+
+  const appOk = message.match(/^Success! App '(\d+)'/i)
+  if (appOk) {
+    return { type: 'app', id: appOk[1]!, success: true, message }
+  }
+
+  const appFailed = message.match(
+    /^(?:Error! App '(\d+)'|ERROR! Failed to install app '(\d+)')/i
+  )
+  if (appFailed) {
+    const id = appFailed[1] || appFailed[2]!
+    return { type: 'app', id, success: false, message }
+  }
+
+  return null
+}
+
+/**
+ * Steam app state flags, as found in "App '<id>' state is 0x..." lines
+ */
+export const APP_STATE_FLAGS: ReadonlyArray<readonly [number, string]> = [
+  [0x1, 'Uninstalled'],
+  [0x2, 'UpdateRequired'],
+  [0x4, 'FullyInstalled'],
+  [0x8, 'Encrypted'],
+  [0x10, 'Locked'],
+  [0x20, 'FilesMissing'],
+  [0x40, 'AppRunning'],
+  [0x80, 'FilesCorrupt'],
+  [0x100, 'UpdateRunning'],
+  [0x200, 'UpdatePaused'],
+  [0x400, 'UpdateStarted'],
+  [0x800, 'Uninstalling'],
+  [0x1000, 'BackupRunning'],
+  [0x10000, 'Reconfiguring'],
+  [0x20000, 'Validating'],
+  [0x40000, 'AddingFiles'],
+  [0x80000, 'Preallocating'],
+  [0x100000, 'Downloading'],
+  [0x200000, 'Staging'],
+  [0x400000, 'Committing'],
+  [0x800000, 'UpdateStopping'],
+]
+
+/**
+ * Decode a Steam app state into the names of its flags
+ * @param state Numeric app state, e.g. 0x202
+ * @returns Flag names, e.g. ['UpdateRequired', 'UpdatePaused']
+ */
+export function decodeAppState(state: number): string[] {
+  return APP_STATE_FLAGS.filter(([flag]) => (state & flag) !== 0).map(
+    ([, name]) => name
+  )
+}
+
+/**
+ * Parse a single line of SteamCMD output into structured events
+ * @param line A single line of SteamCMD output
+ * @returns Events found on the line, in order (usually zero or one)
+ *
+ * @example
+ * parseEvents("Logging in user 'bob' to Steam Public...OK")
+ * // [{ type: 'login-start', username: 'bob', ... }, { type: 'login-success', ... }]
+ */
+export function parseEvents(line: string): SteamCmdEvent[] {
+  const text = line.trim()
+  const events: SteamCmdEvent[] = []
+  if (!text) return events
+
+  const login =
+    text.match(/Logging in user '([^']+)'/) ||
+    text.match(/Connecting (anonymous)ly to Steam Public/)
+  if (login) {
+    const username = login[1]!
+    events.push({ type: 'login-start', username, line })
+    if (/\.\.\.\s*OK\b/.test(text)) {
+      events.push({ type: 'login-success', username, line })
+    }
+  }
+
+  const failure = text.match(
+    /FAILED(?: login with result code|\s*\()\s*([^)]+?)\)?\s*$/
+  )
+  if (failure && (login || /^FAILED|login/i.test(text))) {
+    events.push({ type: 'login-failure', reason: failure[1]!.trim(), line })
+  }
+
+  if (/Two-factor code/i.test(text)) {
+    events.push({ type: 'steam-guard-required', method: 'mobile', line })
+  } else if (
+    /Steam Guard code|Account Logon Denied|using Steam Guard/i.test(text)
+  ) {
+    events.push({ type: 'steam-guard-required', method: 'email', line })
+  }
+
+  const updateState = text.match(/Update state \((0x[\da-f]+)\) (\w+)/i)
+  if (updateState) {
+    events.push({
+      type: 'app-state',
+      state: parseInt(updateState[1]!, 16),
+      stateHex: updateState[1]!,
+      phase: updateState[2]!.toLowerCase(),
+      flags: [],
+      line,
+    })
+  }
+
+  const appState = text.match(/App '(\d+)' state is (0x[\da-f]+)/i)
+  if (appState) {
+    const state = parseInt(appState[2]!, 16)
+    events.push({
+      type: 'app-state',
+      appId: parseInt(appState[1]!, 10),
+      state,
+      stateHex: appState[2]!,
+      flags: decodeAppState(state),
+      line,
+    })
+  }
+
+  const downloaded = text.match(
+    /^Success\.? Downloaded item (\d+) to "([^"]*)"(?: \((\d+) bytes\))?/i
+  )
+  if (downloaded) {
+    events.push({
+      type: 'workshop-item-downloaded',
+      workshopId: parseInt(downloaded[1]!, 10),
+      path: downloaded[2]!,
+      ...(downloaded[3] ? { bytes: parseInt(downloaded[3], 10) } : {}),
+      line,
+    })
+  }
+
+  const success = text.match(/^Success! (?:App '(\d+)')?/i)
+  if (success) {
+    events.push({
+      type: 'success',
+      ...(success[1] ? { appId: parseInt(success[1], 10) } : {}),
+      message: text,
+      line,
+    })
+  }
+
+  const warning = text.match(/^warning[:!]?\s*(.*)$/i)
+  if (warning) {
+    events.push({ type: 'warning', message: warning[1] || text, line })
+  }
+
+  return events
+}
+
+/**
+ * A known SteamCMD failure, matched against its output
+ */
+export interface FailurePattern {
+  /** Error code raised when the pattern matches */
+  code: string
+  /** Output line pattern */
+  pattern: RegExp
+  /** Whether running the same command again may succeed */
+  retryable: boolean
+  /** Suggested fix shown to the user */
+  hint: string
+}
+
+/**
+ * A SteamCMD failure found in its output
+ */
+export interface SteamCmdFailure {
+  code: string
+  retryable: boolean
+  hint: string
+  /** Output line that matched */
+  line: string
+}
+
+/**
+ * Known SteamCMD failures, checked in order against each output line
+ */
+export const FAILURE_PATTERNS: readonly FailurePattern[] = [
+  {
+    code: 'STEAM_GUARD_MISMATCH',
+    pattern: /Two-factor code mismatch|Invalid Login Auth Code/i,
+    retryable: false,
+    hint: 'The Steam Guard code was wrong or has expired. Request a new code and try again.',
+  },
+  {
+    code: 'INVALID_PASSWORD',
+    pattern: /FAILED\b.*Invalid Password/i,
+    retryable: false,
+    hint: 'Check the username and password.',
+  },
+  {
+    code: 'RATE_LIMITED',
+    pattern: /Rate Limit Exceeded/i,
+    retryable: true,
+    hint: 'Steam is throttling logins from this machine. Wait a while, often 30 minutes or more, before trying again.',
+  },
+  {
+    code: 'NO_SUBSCRIPTION',
+    pattern: /\(No subscription\)/i,
+    retryable: false,
+    hint: 'The account does not own this app. Log in with one that does; anonymous login only works for free dedicated servers.',
+  },
+  {
+    code: 'INVALID_PLATFORM',
+    pattern: /\(Invalid platform\)/i,
+    retryable: false,
+    hint: 'The app is not available for the requested platform. Check the platform option.',
+  },
+  {
+    code: 'MISSING_CONFIGURATION',
+    pattern: /\(Missing configuration\)/i,
+    retryable: false,
+    hint: 'The app has no configuration for this account or platform. Log in with an account that owns it or set the platform option.',
+  },
+  {
+    code: 'DISK_WRITE_FAILURE',
+    pattern: /Disk write failure/i,
+    retryable: false,
+    hint: 'Check that the install path is writable and has enough free space.',
+  },
+  {
+    code: 'CONNECTION_FAILED',
+    pattern:
+      /FAILED\b.*\(No Connection\)|Connection timed out|Timeout downloading item/i,
+    retryable: true,
+    hint: 'SteamCMD could not reach Steam. Check the network connection and proxy settings, then try again.',
+  },
+  {
+    code: 'UPDATE_ERROR_0x402',
+    pattern: /state is 0x402 after update job/i,
+    retryable: true,
+    hint: 'The update failed part way, usually because of a dropped connection or busy content servers. Running it again normally succeeds.',
+  },
+  {
+    code: 'TIMEOUT_0x602',
+    pattern: /state is 0x602 after update job/i,
+    retryable: true,
+    hint: 'SteamCMD stalled during the update, usually because of a slow or dropped connection. Running it again normally resumes the download.',
+  },
+]
+
+/**
+ * Error codes retried by default when a retry policy is set
+ */
+export const TRANSIENT_ERROR_CODES: readonly string[] = [
+  'TIMEOUT',
+  'TIMEOUT_0x602',
+  'UPDATE_ERROR_0x402',
+  'CONNECTION_FAILED',
+]
+
+/**
+ * Login failures that are never retried; repeating them can lock the account
+ */
+export const AUTH_ERROR_CODES: readonly string[] = [
+  'INVALID_PASSWORD',
+  'STEAM_GUARD_MISMATCH',
+  'RATE_LIMITED',
+]
+
+const DEFAULT_RETRY_ATTEMPTS = 3
+const DEFAULT_RETRY_BACKOFF_MS = 5000
+
+/**
+ * Check whether a failed SteamCMD run should be retried
+ * @param err Error from the run
+ * @param retryOn Error codes considered transient
+ * @returns True if the error is transient and not an auth failure
+ */
+export function isTransientError(
+  err: unknown,
+  retryOn: readonly string[] = TRANSIENT_ERROR_CODES
+): boolean {
+  if (!(err instanceof InstallError)) return false
+  if (AUTH_ERROR_CODES.includes(err.code)) return false
+  return retryOn.includes(err.code)
+}
+
+/**
+ * Find the first known failure in SteamCMD output
+ * @param output SteamCMD output, one or more lines
+ * @returns The failure or null if no known failure string is present
+ *
+ * @example
+ * classifyOutput("ERROR! Failed to install app '740' (No subscription)")
+ * // { code: 'NO_SUBSCRIPTION', retryable: false, hint: '...', line: '...' }
+ */
+export function classifyOutput(output: string): SteamCmdFailure | null {
+  for (const raw of output.split(/\r\n|\r|\n/)) {
+    const line = raw.trim()
+    if (!line) continue
+    const known = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(line))
+    if (known) {
+      const { code, retryable, hint } = known
+      return { code, retryable, hint, line }
+    }
+  }
+  return null
+}
+
+/**
+ * Options for runSteamCmd()
+ */
+export interface RunOptions {
+  /** Proxy URL exported to SteamCMD, or false to strip inherited proxy variables */
+  proxy?: ProxySetting
+  /** Progress callback */
+  onProgress?: (progress: InstallProgress) => void
+  /** Output callback, called with each whole line including its terminator */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Exit codes treated as success (default: [0]) */
+  successExitCodes?: readonly number[]
+  /** Signal that kills the SteamCMD process tree */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Kill SteamCMD if it prints nothing for this many ms */
+  idleTimeoutMs?: number
+  /** Write the arguments to a private temporary runscript instead of argv */
+  runscript?: boolean
+  /** Structured event callback, see SteamCmdEvent */
+  onEvent?: (event: SteamCmdEvent) => void
+  /** Called with each complete line of output */
+  onLine?: (line: string, type: 'stdout' | 'stderr') => void
+  /** Answers Steam Guard prompts by writing the code to SteamCMD's stdin */
+  onSteamGuardRequest?: SteamGuardRequestHandler
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Spawn SteamCMD with raw arguments, reporting progress and output
+ * @param steamCmdPath Path to SteamCMD executable
+ * @param args SteamCMD command line arguments
+ * @param options Progress, output, exit code and cancellation options
+ * @param callback Called once the process has exited
+ */
+export function runSteamCmd(
+  steamCmdPath: string,
+  args: string[],
+  options: RunOptions,
+  callback: InstallCallback
+): void {
+  const onProgress =
+    typeof options.onProgress === 'function' ? options.onProgress : () => {}
+  const onOutput =
+    typeof options.onOutput === 'function' ? options.onOutput : null
+  const onEvent =
+    typeof options.onEvent === 'function' ? options.onEvent : () => {}
+  const onLine = typeof options.onLine === 'function' ? options.onLine : null
+  const onSteamGuardRequest =
+    typeof options.onSteamGuardRequest === 'function'
+      ? options.onSteamGuardRequest
+      : null
+  const successExitCodes = options.successExitCodes || [0]
+
+  if (options.signal?.aborted) {
+    callback(new InstallError('SteamCMD was aborted', 'ABORTED'))
+    return
+  }
+
+  // The runscript lives in its own private directory and is removed on exit
+  let scriptDir: string | undefined
+  let argv = args
+  if (options.runscript) {
+    try {
+      scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-script-'))
+      const scriptFile = path.join(scriptDir, 'runscript.txt')
+      fs.writeFileSync(scriptFile, createRunscript(args), {
+        mode: 0o600,
+        flag: 'wx',
+      })
+      argv = ['+runscript', scriptFile]
+    } catch (err) {
+      if (scriptDir) fs.rmSync(scriptDir, { recursive: true, force: true })
+      const message = err instanceof Error ? err.message : String(err)
+      callback(
+        new InstallError(
+          `Failed to write SteamCMD runscript: ${message}`,
+          'RUNSCRIPT_ERROR'
+        )
+      )
+      return
+    }
+  }
+
+  const proc = childProcess.execFile(steamCmdPath, argv, {
+    env: proxyEnv(options.proxy),
+  })
+  const log = withContext(resolveLogger(options.logger), { pid: proc.pid })
+  log.debug('SteamCMD started')
+
+  // 'error' and 'close' can both fire; only the first reaches the callback
+  let settled = false
+  const settle: InstallCallback = (err) => {
+    if (settled) return
+    settled = true
+    callback(err)
+  }
+
+  // Only the tail of the output is kept, however long SteamCMD runs
+  const buffers = { stdout: createOutputBuffer(), stderr: createOutputBuffer() }
+  let closed = false
+
+  // Set once SteamCMD is being killed; reported instead of the exit code
+  let terminated: InstallError | null = null
+  let totalTimer: NodeJS.Timeout | undefined
+  let idleTimer: NodeJS.Timeout | undefined
+
+  const terminate = (err: InstallError) => {
+    if (terminated) return
+    terminated = err
+    if (proc.pid) killProcessTree(proc.pid)
+    else proc.kill('SIGKILL')
+  }
+
+  const resetIdleTimer = () => {
+    if (!options.idleTimeoutMs) return
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      terminate(
+        new InstallError(
+          `SteamCMD produced no output for ${options.idleTimeoutMs} ms`,
+          'TIMEOUT'
+        )
+      )
+    }, options.idleTimeoutMs)
+  }
+
+  const onAbort = () => {
+    terminate(new InstallError('SteamCMD was aborted', 'ABORTED'))
+  }
+  options.signal?.addEventListener('abort', onAbort, { once: true })
+
+  if (options.timeoutMs) {
+    totalTimer = setTimeout(() => {
+      terminate(
+        new InstallError(
+          `SteamCMD timed out after ${options.timeoutMs} ms`,
+          'TIMEOUT'
+        )
+      )
+    }, options.timeoutMs)
+  }
+  resetIdleTimer()
+
+  const cleanup = () => {
+    clearTimeout(totalTimer)
+    clearTimeout(idleTimer)
+    options.signal?.removeEventListener('abort', onAbort)
+    if (scriptDir) fs.rmSync(scriptDir, { recursive: true, force: true })
+  }
+
+  onProgress({
+    phase: 'starting',
+    percent: 0,
+    bytesDownloaded: 0,
+    totalBytes: 0,
+  })
+
+  // Output before the last answered prompt may hold a rejected code that
+  // SteamCMD has since recovered from, so a prompt clears stdout failures
+  const failures: Record<'stdout' | 'stderr', SteamCmdFailure | null> = {
+    stdout: null,
+    stderr: null,
+  }
+  let stdoutLines = 0
+  const emitLine = (
+    line: string,
+    redraw: boolean,
+    type: 'stdout' | 'stderr'
+  ) => {
+    buffers[type].push(line, redraw)
+    const terminator = redraw ? '\r' : '\n'
+    if (onOutput) onOutput(`${line}${terminator}`, type)
+    log.debug(line, { stream: type })
+    if (!failures[type]) failures[type] = classifyOutput(line)
+    if (type === 'stdout') stdoutLines++
+    if (onLine) onLine(line, type)
+    for (const event of parseEvents(line)) onEvent(event)
+
+    if (type === 'stdout') {
+      const progress = parseProgress(line)
+      if (progress) onProgress(progress)
+    }
+  }
+  // Chunks can end mid-line; the splitters keep the remainder until the rest
+  // arrives
+  const splitters = {
+    stdout: createLineSplitter((line, redraw) =>
+      emitLine(line, redraw, 'stdout')
+    ),
+    stderr: createLineSplitter((line, redraw) =>
+      emitLine(line, redraw, 'stderr')
+    ),
+  }
+
+  let promptedLine = -1
+  const answerPrompt = () => {
+    // Prompts end without a newline, so look at the unfinished line
+    const pending = splitters.stdout.pending
+    if (promptedLine === stdoutLines) return
+    if (/password:\s*$/i.test(pending)) {
+      terminate(
+        new InstallError(
+          'SteamCMD prompted for a password; pass one with the password option',
+          'PASSWORD_REQUIRED'
+        )
+      )
+      return
+    }
+    const prompt = pending.match(/(Two-factor|Steam Guard) code:\s*$/i)
+    if (!prompt) return
+
+    promptedLine = stdoutLines
+    failures.stdout = null
+    const kind = /two-factor/i.test(prompt[1]!) ? 'mobile' : 'email'
+    // Waiting on a person is not a stall
+    clearTimeout(idleTimer)
+    Promise.resolve()
+      .then(() => onSteamGuardRequest!(kind))
+      .then((code) => {
+        if (typeof code !== 'string' || !code.trim()) {
+          throw new Error('no code was provided')
+        }
+        if (closed || terminated) return
+        resetIdleTimer()
+        proc.stdin?.write(`${code.trim()}\n`)
+      })
+      .catch((err) => {
+        if (closed) return
+        const message = err instanceof Error ? err.message : String(err)
+        terminate(
+          new InstallError(
+            `Steam Guard code request failed: ${message}`,
+            'STEAM_GUARD_ERROR'
+          )
+        )
+      })
+  }
+  // SteamCMD may exit before a code is written
+  if (onSteamGuardRequest) proc.stdin?.on('error', () => {})
+
+  proc.stdout?.on('data', (data: Buffer | string) => {
+    resetIdleTimer()
+    splitters.stdout.push(data.toString())
+    if (onSteamGuardRequest) answerPrompt()
+  })
+
+  proc.stderr?.on('data', (data: Buffer | string) => {
+    resetIdleTimer()
+    splitters.stderr.push(data.toString())
+  })
+
+  proc.on('error', (err) => {
+    closed = true
+    cleanup()
+    log.error(`Failed to spawn SteamCMD: ${err.message}`, {
+      path: steamCmdPath,
+    })
+    settle(
+      new InstallError(
+        `Failed to spawn SteamCMD: ${err.message}`,
+        'SPAWN_ERROR'
+      )
+    )
+  })
+
+  proc.on('close', (code) => {
+    closed = true
+    cleanup()
+    // A failed spawn fires 'close' after 'error'; the first outcome stands
+    if (settled) return
+    splitters.stdout.flush()
+    splitters.stderr.flush()
+    if (onOutput) onOutput(`Process exited with code ${code}\n`, 'stdout')
+    log.debug(`SteamCMD exited with code ${code}`, { exitCode: code })
+
+    // SteamCMD can print a fatal error and still exit 0, so check the output first
+    const failure = terminated ? null : failures.stdout || failures.stderr
+    const stdout = buffers.stdout.toString()
+    const stderr = buffers.stderr.toString()
+
+    if (terminated) {
+      terminated.stdout = stdout
+      terminated.stderr = stderr
+      log.warn(terminated.message, { code: terminated.code })
+      settle(terminated)
+    } else if (failure) {
+      const err = new InstallError(
+        `SteamCMD failed: ${failure.line}`,
+        failure.code,
+        code ?? undefined
+      )
+      err.retryable = failure.retryable
+      err.hint = failure.hint
+      err.stdout = stdout
+      err.stderr = stderr
+      log.warn(err.message, { code: err.code, exitCode: code })
+      settle(err)
+    } else if (code && !successExitCodes.includes(code)) {
+      const err = new InstallError(
+        `SteamCMD exited with code ${code}`,
+        'EXIT_ERROR',
+        code
+      )
+      err.stdout = stdout
+      err.stderr = stderr
+      log.warn(err.message, { code: err.code, exitCode: code })
+      settle(err)
+    } else {
+      onProgress({
+        phase: 'complete',
+        percent: 100,
+        bytesDownloaded: 0,
+        totalBytes: 0,
+      })
+      settle(null)
+    }
+  })
+}
+
 /**
  * Run SteamCMD with the given options
  * @param steamCmdPath Path to SteamCMD executable
@@ -317,83 +1413,194 @@ export function install(
     return
   }
 
+  runWithRetry(
+    steamCmdPath,
+    createArguments(options),
+    {
+      ...options,
+      runscript: usesRunscript(options),
+      onProgress: trackProgress(options),
+    },
+    options.retry,
+    callback
+  )
+}
+
+/**
+ * Wrap the progress callback of install options in a progress aggregator
+ * @param options Install options
+ * @param itemCount Number of batch items sharing the overall percent
+ * @private
+ */
+function trackProgress(
+  options: InstallOptions,
+  itemCount?: number
+): ((progress: InstallProgress) => void) | undefined {
+  if (typeof options.onProgress !== 'function') return undefined
+  return createProgressTracker(options.onProgress, {
+    phases: INSTALL_PHASE_RANGES,
+    intervalMs: options.progressIntervalMs,
+    itemCount,
+  })
+}
+
+/**
+ * Run SteamCMD, rerunning it after transient failures as the policy allows
+ * @private
+ */
+function runWithRetry(
+  steamCmdPath: string,
+  args: string[],
+  options: RunOptions,
+  retry: RetryOptions | undefined,
+  callback: InstallCallback
+): void {
+  const attempts = retry ? (retry.attempts ?? DEFAULT_RETRY_ATTEMPTS) : 1
+  const backoffMs = retry?.backoffMs ?? DEFAULT_RETRY_BACKOFF_MS
+  const retryOn = retry?.retryOn ?? TRANSIENT_ERROR_CODES
   const onProgress =
     typeof options.onProgress === 'function' ? options.onProgress : () => {}
-  const onOutput =
-    typeof options.onOutput === 'function' ? options.onOutput : null
+  const log = withContext(resolveLogger(options.logger), {})
 
-  const proc = childProcess.execFile(steamCmdPath, createArguments(options))
-
-  let stdoutData = ''
-  let stderrData = ''
+  const attempt = (n: number) => {
+    runSteamCmd(steamCmdPath, args, options, (err) => {
+      if (!err || n >= attempts || !isTransientError(err, retryOn)) {
+        callback(err)
+        return
+      }
 
-  onProgress({
-    phase: 'starting',
-    percent: 0,
-    bytesDownloaded: 0,
-    totalBytes: 0,
-  })
+      const reason = (err as InstallError).code
+      log.warn(`Retrying SteamCMD after ${reason}`, { attempt: n + 1, reason })
+      onProgress({
+        phase: 'retry',
+        percent: 0,
+        bytesDownloaded: 0,
+        totalBytes: 0,
+        attempt: n + 1,
+        reason,
+        message: err.message,
+      })
+      delay(backoffMs * 2 ** (n - 1), options.signal).then(
+        () => attempt(n + 1),
+        () => callback(new InstallError('SteamCMD was aborted', 'ABORTED'))
+      )
+    })
+  }
+  attempt(1)
+}
 
-  proc.stdout?.on('data', (data: Buffer | string) => {
-    const str = data.toString()
-    stdoutData += str
-    if (onOutput) {
-      onOutput(str, 'stdout')
-    } else {
-      console.log(`stdout: ${str}`)
-    }
+/**
+ * Install several apps and workshop items after a single SteamCMD login.
+ * A failing item does not stop the rest; each item gets its own result.
+ * @param steamCmdPath Path to SteamCMD executable
+ * @param options Installation options with `items`
+ * @returns Per-item results, in the order of `items`
+ * @throws {InstallError} If options are invalid or SteamCMD fails before any item finishes
+ *
+ * @example
+ * const results = await installItems(execPath, {
+ *   path: './arma3',
+ *   items: [
+ *     { applicationId: 233780 },
+ *     { applicationId: 107410, workshopId: 450814997 },
+ *   ],
+ * });
+ * for (const r of results) console.log(r.index, r.success, r.message);
+ */
+export function installItems(
+  steamCmdPath: string,
+  options: InstallOptions
+): Promise<InstallItemResult[]> {
+  return new Promise((resolve, reject) => {
+    validateOptions(options)
 
-    // Parse progress from output
-    const progress = parseProgress(data)
-    if (progress) {
-      onProgress(progress)
+    if (!options.items) {
+      throw new InstallError('items option is required', 'INVALID_ITEMS')
     }
-  })
 
-  proc.stderr?.on('data', (data: Buffer | string) => {
-    const str = data.toString()
-    stderrData += str
-    if (onOutput) {
-      onOutput(str, 'stderr')
-    } else {
-      console.log(`stderr: ${str}`)
+    if (!steamCmdPath || typeof steamCmdPath !== 'string') {
+      throw new InstallError(
+        'steamCmdPath must be a non-empty string',
+        'INVALID_PATH'
+      )
     }
-  })
 
-  proc.on('error', (err) => {
-    callback!(
-      new InstallError(
-        `Failed to spawn SteamCMD: ${err.message}`,
-        'SPAWN_ERROR'
-      )
+    const items = options.items
+    const results: Array<InstallItemResult | undefined> = items.map(
+      () => undefined
     )
-  })
+    const onProgress = trackProgress(options, items.length) ?? (() => {})
+    const onItemComplete =
+      typeof options.onItemComplete === 'function'
+        ? options.onItemComplete
+        : () => {}
 
-  proc.on('close', (code) => {
-    if (onOutput) {
-      onOutput(`Process exited with code ${code}\n`, 'stdout')
-    } else {
-      console.log(`child process exited with code ${code}`)
-    }
-
-    if (code && code > 0) {
-      const err = new InstallError(
-        `SteamCMD exited with code ${code}`,
-        'EXIT_ERROR',
-        code
+    // Result lines name the item by ID; match them to the first pending item
+    const record = (line: string) => {
+      const parsed = parseItemResult(line)
+      if (!parsed) return
+      const index = items.findIndex(
+        (item, i) =>
+          !results[i] &&
+          (parsed.type === 'workshop'
+            ? String(item.workshopId) === parsed.id
+            : !item.workshopId && String(item.applicationId) === parsed.id)
       )
-      err.stdout = stdoutData
-      err.stderr = stderrData
-      callback!(err)
-    } else {
-      onProgress({
-        phase: 'complete',
-        percent: 100,
-        bytesDownloaded: 0,
-        totalBytes: 0,
-      })
-      callback!(null)
+      if (index === -1) return
+      const result = {
+        item: items[index]!,
+        index,
+        success: parsed.success,
+        message: parsed.message,
+      }
+      results[index] = result
+      onItemComplete(result)
     }
+
+    runSteamCmd(
+      steamCmdPath,
+      createArguments(options),
+      {
+        ...options,
+        runscript: usesRunscript(options),
+        onProgress: (progress) => {
+          const current = results.indexOf(undefined)
+          onProgress(
+            current === -1 ? progress : { ...progress, itemIndex: current }
+          )
+        },
+        onLine: (line, type) => {
+          if (type === 'stdout') record(line)
+        },
+      },
+      (err) => {
+        const reported = results.some((result) => result)
+        const code = (err as InstallError | null)?.code
+        // Exit codes and classified failures describe items that already
+        // reported; anything else (spawn errors, cancellation) fails the batch
+        const itemFailure =
+          code === 'EXIT_ERROR' ||
+          FAILURE_PATTERNS.some((known) => known.code === code)
+        if (err && (!itemFailure || !reported)) {
+          reject(err)
+          return
+        }
+
+        resolve(
+          results.map(
+            (result, index) =>
+              result || {
+                item: items[index]!,
+                index,
+                success: false,
+                message: err
+                  ? err.message
+                  : 'SteamCMD reported no result for this item',
+              }
+          )
+        )
+      }
+    )
   })
 }
 
@@ -401,7 +1608,8 @@ export function install(
  * Run SteamCMD with EventEmitter-based progress
  * @param steamCmdPath Path to SteamCMD executable
  * @param options Installation options
- * @returns Emitter that fires 'progress', 'output', 'error', and 'complete' events
+ * @returns Emitter that fires 'progress', 'output', 'error', and 'complete' events,
+ * with a cancel() method that kills SteamCMD
  *
  * @example
  * const emitter = installWithProgress(execPath, { applicationId: 740 });
@@ -409,12 +1617,16 @@ export function install(
  * emitter.on('output', (data, type) => console.log(`[${type}] ${data}`));
  * emitter.on('complete', () => console.log('Done!'));
  * emitter.on('error', (err) => console.error(err));
+ * // later: emitter.cancel();
  */
 export function installWithProgress(
   steamCmdPath: string,
   options: InstallOptions
 ): InstallEmitter {
   const emitter = new EventEmitter() as InstallEmitter
+  const controller = new AbortController()
+  const unfollow = followSignal(controller, options?.signal)
+  emitter.cancel = () => controller.abort()
 
   // Run install in next tick to allow event binding
   process.nextTick(() => {
@@ -422,10 +1634,13 @@ export function installWithProgress(
       steamCmdPath,
       {
         ...options,
+        signal: controller.signal,
         onProgress: (progress) => emitter.emit('progress', progress),
         onOutput: (data, type) => emitter.emit('output', data, type),
+        onEvent: (event) => emitter.emit('event', event),
       },
       (err) => {
+        unfollow()
         if (err) {
           emitter.emit('error', err as InstallError)
         } else {
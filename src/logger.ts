@@ -0,0 +1,152 @@
+/**
+ * @module steamcmd/logger
+ * @description Pluggable logging; silent unless a logger is configured
+ * @private
+ */
+
+/**
+ * Log levels, from most to least verbose
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error'
+
+/**
+ * Structured fields attached to a log message
+ */
+export interface LogContext {
+  /** Steam application ID the message is about */
+  appId?: number | string
+  /** Public function that logged it, e.g. 'install' or 'ensureInstalled' */
+  operation?: string
+  /** Process ID of the SteamCMD run */
+  pid?: number
+  [key: string]: unknown
+}
+
+/**
+ * Logs one message with its context fields
+ */
+export type LogMethod = (message: string, context?: LogContext) => void
+
+/**
+ * Logger with winston-style `(message, context)` methods. `console` works
+ * as is; pino and bunyan loggers, which take the context first, are detected
+ * and called that way.
+ */
+export interface Logger {
+  debug: LogMethod
+  info: LogMethod
+  warn: LogMethod
+  error: LogMethod
+}
+
+const LEVELS: readonly LogLevel[] = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Logger that discards everything; the default for library use
+ */
+export const silentLogger: Logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+}
+
+let configuredLogger: Logger = silentLogger
+
+/**
+ * Check whether a value has every logger method
+ * @param value Value to check
+ * @returns True if it can be used as a logger
+ */
+export function isLogger(value: unknown): value is Logger {
+  if (!value || typeof value !== 'object') return false
+  const methods = value as Record<string, unknown>
+  return LEVELS.every((level) => typeof methods[level] === 'function')
+}
+
+/**
+ * Check whether a logger takes the context before the message, as pino
+ * (`bindings()`) and bunyan (`fields` and `streams`) loggers do
+ * @param logger Logger to check
+ * @returns True for `(context, message)` loggers
+ * @private
+ */
+function takesContextFirst(logger: Logger): boolean {
+  const candidate = logger as Logger & {
+    bindings?: unknown
+    fields?: unknown
+    streams?: unknown
+  }
+  if (typeof candidate.bindings === 'function') return true
+  return (
+    typeof candidate.fields === 'object' &&
+    candidate.fields !== null &&
+    Array.isArray(candidate.streams)
+  )
+}
+
+/**
+ * Set the process-wide logger used when no per-call logger is given
+ * @param logger Logger, or null to go back to silent
+ */
+export function setLogger(logger: Logger | null): void {
+  configuredLogger = logger ?? silentLogger
+}
+
+/**
+ * Pick the logger for a call: the per-call one, else the configured one
+ * @param override Per-call logger
+ * @returns Logger to use
+ */
+export function resolveLogger(override?: Logger): Logger {
+  return override ?? configuredLogger
+}
+
+/**
+ * Wrap a logger so every message carries the given context fields, like a
+ * pino child logger. pino and bunyan loggers get `(context, message)`.
+ * Errors thrown by the logger are swallowed, so a broken logger cannot fail
+ * a SteamCMD run.
+ * @param logger Logger to write to
+ * @param context Fields added to every message; per-message fields win
+ * @returns Wrapped logger
+ *
+ * @example
+ * const log = withContext(resolveLogger(options.logger), { appId: 740, operation: 'install' })
+ * log.info('Installing')
+ */
+export function withContext(logger: Logger, context: LogContext): Logger {
+  const contextFirst = takesContextFirst(logger)
+  const method =
+    (level: LogLevel): LogMethod =>
+    (message, fields) => {
+      const merged = { ...context, ...fields }
+      try {
+        if (contextFirst) {
+          const write = logger[level] as unknown as (
+            context: LogContext,
+            message: string
+          ) => void
+          write.call(logger, merged, message)
+        } else {
+          logger[level](message, merged)
+        }
+      } catch {
+        // Logging is best effort
+      }
+    }
+  return {
+    debug: method('debug'),
+    info: method('info'),
+    warn: method('warn'),
+    error: method('error'),
+  }
+}
+
+export default {
+  isLogger,
+  setLogger,
+  resolveLogger,
+  withContext,
+  silentLogger,
+}
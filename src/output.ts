@@ -0,0 +1,133 @@
+/**
+ * @module steamcmd/output
+ * @description Line splitting and bounded buffering of SteamCMD output
+ * @private
+ */
+
+/**
+ * Number of lines of each stream kept for InstallError.stdout/stderr
+ */
+export const OUTPUT_BUFFER_LINES = 1000
+
+/**
+ * Called with each complete line, without its terminator
+ * @param line The line
+ * @param redraw True if the line ended in a lone `\r`, i.e. the next line
+ *   draws over it, as SteamCMD does for progress
+ */
+export type LineHandler = (line: string, redraw: boolean) => void
+
+/**
+ * Splits a stream of output chunks into lines
+ */
+export interface LineSplitter {
+  /** Add a chunk, emitting every line it completes */
+  push(chunk: string): void
+  /** Emit the unfinished last line, if any */
+  flush(): void
+  /** The unfinished line so far, e.g. a prompt waiting for input */
+  readonly pending: string
+}
+
+/**
+ * Create a line splitter that treats `\n` and `\r\n` as line ends and a lone
+ * `\r` as a redraw. A `\r` at the end of a chunk is held back until the next
+ * chunk shows whether a `\n` follows it.
+ * @param onLine Called with each complete line
+ * @returns Splitter to push chunks into
+ *
+ * @example
+ * const splitter = createLineSplitter((line) => console.log(line))
+ * splitter.push('Loading Steam API...')
+ * splitter.push('OK\r\n') // logs 'Loading Steam API...OK'
+ */
+export function createLineSplitter(onLine: LineHandler): LineSplitter {
+  let pending = ''
+
+  return {
+    push(chunk) {
+      const text = pending + chunk
+      let start = 0
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (char === '\n') {
+          onLine(text.slice(start, i), false)
+          start = i + 1
+        } else if (char === '\r') {
+          if (i + 1 === text.length) break
+          const crlf = text[i + 1] === '\n'
+          onLine(text.slice(start, i), !crlf)
+          if (crlf) i++
+          start = i + 1
+        }
+      }
+      pending = text.slice(start)
+    },
+    flush() {
+      const redraw = pending.endsWith('\r')
+      const line = redraw ? pending.slice(0, -1) : pending
+      pending = ''
+      if (line) onLine(line, redraw)
+    },
+    get pending() {
+      return pending
+    },
+  }
+}
+
+/**
+ * Keeps the most recent lines of a stream
+ */
+export interface OutputBuffer {
+  /** Add a line; a line after a redraw replaces it, as on a terminal */
+  push(line: string, redraw?: boolean): void
+  /** The kept lines, noting how many earlier ones were dropped */
+  toString(): string
+}
+
+/**
+ * Create a ring buffer of output lines, so memory stays bounded however long
+ * SteamCMD runs
+ * @param capacity Number of lines to keep
+ * @returns Empty buffer
+ *
+ * @example
+ * const buffer = createOutputBuffer(2)
+ * for (const line of ['a', 'b', 'c']) buffer.push(line)
+ * buffer.toString() // '[1 earlier lines omitted]\nb\nc\n'
+ */
+export function createOutputBuffer(
+  capacity: number = OUTPUT_BUFFER_LINES
+): OutputBuffer {
+  const lines: string[] = []
+  let start = 0
+  let dropped = 0
+  let afterRedraw = false
+
+  return {
+    push(line, redraw = false) {
+      if (afterRedraw && lines.length > 0) {
+        lines[(start + lines.length - 1) % capacity] = line
+      } else if (lines.length < capacity) {
+        lines.push(line)
+      } else {
+        lines[start] = line
+        start = (start + 1) % capacity
+        dropped++
+      }
+      afterRedraw = redraw
+    },
+    toString() {
+      if (lines.length === 0) return ''
+      const ordered = [...lines.slice(start), ...lines.slice(0, start)]
+      const note = dropped ? `[${dropped} earlier lines omitted]\n` : ''
+      return `${note}${ordered.join('\n')}\n`
+    },
+  }
+}
+
+export default {
+  createLineSplitter,
+  createOutputBuffer,
+  OUTPUT_BUFFER_LINES,
+}
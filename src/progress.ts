@@ -0,0 +1,258 @@
+/**
+ * @module steamcmd/progress
+ * @description Aggregates raw progress reports into rate, ETA and overall percent
+ * @private
+ */
+
+/**
+ * Fields added to progress reports by the aggregator
+ */
+export interface ProgressStats {
+  /** Smoothed transfer rate of the current phase in bytes per second (0 until known) */
+  bytesPerSecond: number
+  /** Estimated seconds left in the current phase, or null if unknown */
+  etaSeconds: number | null
+  /** Milliseconds since the operation started */
+  elapsedMs: number
+  /** Percent of the whole operation, weighted across phases; never decreases */
+  overallPercent: number
+}
+
+/**
+ * The raw fields the aggregator reads
+ */
+export interface RawProgress {
+  phase: string
+  percent: number
+  bytesDownloaded: number
+  totalBytes: number
+  stateCode?: number
+  itemIndex?: number
+}
+
+/**
+ * Share of the overall percent covered by each phase, as [start, end].
+ * Keys are phase names or `Update state` codes such as '0x61'; codes are
+ * checked first because SteamCMD calls two different states "verifying".
+ */
+export type PhaseRanges = Readonly<Record<string, readonly [number, number]>>
+
+/**
+ * Phase ranges for SteamCMD app updates, in the order SteamCMD runs them
+ */
+export const INSTALL_PHASE_RANGES: PhaseRanges = {
+  '0x3': [0, 2], // reconfiguring
+  '0x5': [2, 10], // verifying install
+  '0x11': [10, 15], // preallocating
+  '0x61': [15, 85], // downloading
+  '0x81': [85, 95], // verifying update
+  '0x101': [95, 100], // committing
+  reconfiguring: [0, 2],
+  validating: [2, 10],
+  preallocating: [10, 15],
+  downloading: [15, 85],
+  verifying: [85, 95],
+  committing: [95, 100],
+}
+
+/**
+ * Phase ranges for the SteamCMD archive download
+ */
+export const DOWNLOAD_PHASE_RANGES: PhaseRanges = {
+  downloading: [0, 100],
+  retrying: [0, 100],
+}
+
+/**
+ * How often progress callbacks fire at most within one phase, by default
+ */
+export const DEFAULT_PROGRESS_INTERVAL_MS = 100
+
+/**
+ * Weight of the newest sample in the smoothed transfer rate
+ */
+const RATE_SMOOTHING = 0.3
+
+/**
+ * Share of overallPercent given to downloading SteamCMD itself when an
+ * install has to fetch it first; the install covers the rest
+ */
+export const BOOTSTRAP_PROGRESS_SHARE = 10
+
+/**
+ * One stage of an operation made of several steps, such as downloading
+ * SteamCMD and then installing an app
+ */
+export interface ProgressStage {
+  /** Phase ranges of the stage, as passed by download() or install() */
+  phases: PhaseRanges
+  /** overallPercent once the stage is done */
+  end: number
+}
+
+/**
+ * Options for createProgressTracker()
+ */
+export interface ProgressTrackerOptions {
+  /** Phase ranges for overallPercent */
+  phases: PhaseRanges
+  /** Minimum ms between callbacks within a phase (default: 100, 0 for all) */
+  intervalMs?: number
+  /** Number of batch items; each gets an equal share of overallPercent */
+  itemCount?: number
+  /** Stages that do not run to 100%, for trackers shared across steps */
+  stages?: readonly ProgressStage[]
+  /** Clock, for tests */
+  now?: () => number
+}
+
+/**
+ * Trackers created by createProgressTracker(), mapped to the function that
+ * moves them on to a new stage
+ */
+const trackers = new WeakMap<
+  object,
+  (options: ProgressTrackerOptions) => void
+>()
+
+/**
+ * Wrap a progress callback so each report gains transfer rate, ETA, elapsed
+ * time and a monotonic overall percent. Reports within the same phase are
+ * dropped if they arrive less than `intervalMs` after the last one passed on;
+ * a new phase or item, and 'complete', always pass.
+ *
+ * Passing a tracker back in does not wrap it again: it switches the tracker
+ * to `options.phases` and `options.itemCount` and carries on from its current
+ * overall percent. This is how one tracker spans the SteamCMD download and
+ * the install that follows; `stages` says where each step ends.
+ * @param onProgress Callback receiving the enriched reports, or a tracker
+ * @param options Phase ranges, throttle interval and clock
+ * @returns Callback accepting raw reports
+ *
+ * @example
+ * const track = createProgressTracker(console.log, { phases: INSTALL_PHASE_RANGES })
+ * track(parseProgress(line))
+ */
+export function createProgressTracker<T extends RawProgress>(
+  onProgress: (progress: T & ProgressStats) => void,
+  options: ProgressTrackerOptions
+): (progress: T) => void {
+  const enterStage = trackers.get(onProgress)
+  if (enterStage) {
+    enterStage(options)
+    return onProgress as (progress: T) => void
+  }
+
+  const now = options.now ?? Date.now
+  const intervalMs = options.intervalMs ?? DEFAULT_PROGRESS_INTERVAL_MS
+  const stages = options.stages ?? []
+  const startedAt = now()
+
+  let phases = options.phases
+  let itemCount = 1
+  let span: [number, number] = [0, 100]
+  let overall = 0
+  let itemPercent = 0
+  let rate = 0
+  let key: string | null = null
+  let itemIndex: number | undefined
+  let sample: { at: number; bytes: number } | null = null
+  let lastEmit = Number.NEGATIVE_INFINITY
+
+  const enter = (next: ProgressTrackerOptions) => {
+    const stage = stages.find((candidate) => candidate.phases === next.phases)
+    phases = next.phases
+    itemCount = Math.max(next.itemCount ?? 1, 1)
+    span = [overall, Math.max(stage?.end ?? 100, overall)]
+    itemPercent = 0
+    key = null
+    itemIndex = undefined
+  }
+  enter(options)
+
+  const track = (progress: T) => {
+    const at = now()
+    const code =
+      progress.stateCode === undefined
+        ? undefined
+        : `0x${progress.stateCode.toString(16)}`
+    const phaseKey = code && phases[code] ? code : progress.phase
+
+    const newItem = progress.itemIndex !== itemIndex
+    if (newItem) {
+      itemIndex = progress.itemIndex
+      itemPercent = 0
+    }
+    const newPhase = newItem || phaseKey !== key
+    if (newPhase) {
+      key = phaseKey
+      rate = 0
+      sample = null
+    }
+
+    // Rate only makes sense while the byte count grows within a phase
+    const bytes = progress.bytesDownloaded
+    if (sample && bytes > sample.bytes && at > sample.at) {
+      const current = ((bytes - sample.bytes) / (at - sample.at)) * 1000
+      rate = rate === 0 ? current : rate + RATE_SMOOTHING * (current - rate)
+    }
+    if (!sample || bytes !== sample.bytes) sample = { at, bytes }
+
+    if (progress.phase === 'complete') {
+      itemPercent = 100
+    } else {
+      const range = phases[phaseKey]
+      if (range) {
+        const [start, end] = range
+        const within = Math.min(Math.max(progress.percent, 0), 100)
+        itemPercent = Math.max(
+          itemPercent,
+          start + ((end - start) * within) / 100
+        )
+      }
+    }
+
+    // Each item covers its own slice of the stage, which covers its span
+    const item = Math.min(itemIndex ?? 0, itemCount - 1)
+    const stagePercent = (item * 100 + itemPercent) / itemCount
+    const [from, to] = span
+    overall = Math.max(
+      overall,
+      Math.round(from + ((to - from) * stagePercent) / 100)
+    )
+
+    const remaining = progress.totalBytes - bytes
+    const etaSeconds =
+      rate > 0 && progress.totalBytes > 0 && remaining >= 0
+        ? Math.round(remaining / rate)
+        : null
+
+    if (
+      !newPhase &&
+      progress.phase !== 'complete' &&
+      at - lastEmit < intervalMs
+    ) {
+      return
+    }
+    lastEmit = at
+
+    onProgress({
+      ...progress,
+      bytesPerSecond: Math.round(rate),
+      etaSeconds,
+      elapsedMs: at - startedAt,
+      overallPercent: overall,
+    })
+  }
+
+  trackers.set(track, enter)
+  return track
+}
+
+export default {
+  createProgressTracker,
+  INSTALL_PHASE_RANGES,
+  DOWNLOAD_PHASE_RANGES,
+  DEFAULT_PROGRESS_INTERVAL_MS,
+  BOOTSTRAP_PROGRESS_SHARE,
+}
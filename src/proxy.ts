@@ -0,0 +1,186 @@
+/**
+ * @module steamcmd/proxy
+ * @description HTTP(S) proxy resolution and CONNECT tunnelling for downloads
+ * @private
+ */
+
+import http from 'node:http'
+import https from 'node:https'
+import type { Socket } from 'node:net'
+
+/**
+ * Environment variables that carry proxy settings, checked in order
+ */
+export const PROXY_ENV_VARS = {
+  https: ['HTTPS_PROXY', 'https_proxy'],
+  http: ['HTTP_PROXY', 'http_proxy'],
+  noProxy: ['NO_PROXY', 'no_proxy'],
+} as const
+
+/**
+ * Proxy setting accepted by download and install options.
+ * A URL string forces that proxy, false disables proxying entirely.
+ */
+export type ProxySetting = string | false
+
+/**
+ * Error raised when a proxy refuses or fails a request
+ */
+export class ProxyError extends Error {
+  name = 'ProxyError' as const
+  statusCode?: number
+
+  constructor(message: string, statusCode?: number) {
+    super(message)
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Read the first non-empty environment variable from a list
+ * @private
+ */
+function readEnv(names: readonly string[]): string | undefined {
+  for (const name of names) {
+    const value = process.env[name]
+    if (value) return value
+  }
+  return undefined
+}
+
+/**
+ * Check whether a target host is excluded from proxying by a NO_PROXY list
+ * @param target Target URL
+ * @param noProxy Comma- or space-separated NO_PROXY value
+ * @returns True if the target should be reached directly
+ */
+export function shouldBypassProxy(target: URL, noProxy?: string): boolean {
+  if (!noProxy) return false
+
+  const hostname = target.hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80')
+
+  for (const raw of noProxy.split(/[\s,]+/)) {
+    const entry = raw.trim().toLowerCase()
+    if (!entry) continue
+    if (entry === '*') return true
+
+    const [entryHost = '', entryPort] = entry.split(/:(?=\d+$)/)
+    if (entryPort && entryPort !== port) continue
+
+    const suffix = entryHost.replace(/^\*?\./, '')
+    if (hostname === suffix || hostname.endsWith(`.${suffix}`)) return true
+  }
+
+  return false
+}
+
+/**
+ * Resolve the proxy to use for a URL.
+ * Precedence: explicit setting, then HTTPS_PROXY/HTTP_PROXY honouring NO_PROXY.
+ * @param target URL that will be requested
+ * @param setting Explicit proxy setting from options
+ * @returns Proxy URL or null for a direct connection
+ */
+export function resolveProxy(target: URL, setting?: ProxySetting): URL | null {
+  if (setting === false) return null
+  if (setting) return new URL(setting)
+
+  const fromEnv = readEnv(
+    target.protocol === 'https:' ? PROXY_ENV_VARS.https : PROXY_ENV_VARS.http
+  )
+  if (!fromEnv) return null
+  if (shouldBypassProxy(target, readEnv(PROXY_ENV_VARS.noProxy))) return null
+
+  // Accept the common "host:port" shorthand without a scheme
+  return new URL(/^\w+:\/\//.test(fromEnv) ? fromEnv : `http://${fromEnv}`)
+}
+
+/**
+ * Build the Proxy-Authorization header for credentials in a proxy URL
+ * @param proxy Proxy URL
+ * @returns Header value or undefined if the URL has no credentials
+ */
+export function proxyAuthorization(proxy: URL): string | undefined {
+  if (!proxy.username && !proxy.password) return undefined
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`
+  return `Basic ${Buffer.from(credentials).toString('base64')}`
+}
+
+/**
+ * Open a CONNECT tunnel through a proxy to a target host
+ * @param proxy Proxy URL
+ * @param target URL of the eventual request
+ * @param signal Signal that aborts the CONNECT request
+ * @returns Socket connected to the target through the proxy
+ * @throws {ProxyError} If the proxy answers with a non-200 status
+ */
+export function createTunnel(
+  proxy: URL,
+  target: URL,
+  signal?: AbortSignal
+): Promise<Socket> {
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80')
+  const authority = `${target.hostname}:${port}`
+  const headers: Record<string, string> = { Host: authority }
+  const auth = proxyAuthorization(proxy)
+  if (auth) headers['Proxy-Authorization'] = auth
+
+  const client = proxy.protocol === 'https:' ? https : http
+
+  return new Promise((resolve, reject) => {
+    const req = client.request({
+      method: 'CONNECT',
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      path: authority,
+      headers,
+      signal,
+    })
+
+    req.on('connect', (res, socket) => {
+      if (res.statusCode === 200) {
+        resolve(socket)
+        return
+      }
+      socket.destroy()
+      reject(
+        new ProxyError(
+          `Proxy CONNECT to ${authority} failed: HTTP ${res.statusCode}`,
+          res.statusCode
+        )
+      )
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+/**
+ * Build environment variables that point a child process at a proxy
+ * @param setting Explicit proxy setting from options
+ * @param baseEnv Environment to extend
+ * @returns Environment for the child process, or undefined to inherit unchanged
+ */
+export function proxyEnv(
+  setting: ProxySetting | undefined,
+  baseEnv: NodeJS.ProcessEnv = process.env
+): NodeJS.ProcessEnv | undefined {
+  if (setting === undefined) return undefined
+
+  const childEnv: NodeJS.ProcessEnv = { ...baseEnv }
+  for (const name of [...PROXY_ENV_VARS.https, ...PROXY_ENV_VARS.http]) {
+    if (setting === false) delete childEnv[name]
+    else childEnv[name] = setting
+  }
+  return childEnv
+}
+
+export default {
+  resolveProxy,
+  shouldBypassProxy,
+  proxyAuthorization,
+  createTunnel,
+  proxyEnv,
+  PROXY_ENV_VARS,
+}
@@ -8,9 +8,21 @@
 
 import { EventEmitter } from 'node:events'
 import fs from 'node:fs'
+import os from 'node:os'
 import path from 'node:path'
 import { promisify } from 'node:util'
 
+import { followSignal } from './abort.js'
+import type { AppBranch, AppDepot, AppInfo, KeyValues } from './appinfo.js'
+import * as appinfo from './appinfo.js'
+import {
+  type DepotDownloadLine,
+  depotStagingPath,
+  type InstalledDepot,
+  moveContents,
+  parseDepotDownload,
+  parseInstalledDepots,
+} from './depot.js'
 import download, {
   type DownloadEmitter,
   DownloadError,
@@ -18,19 +30,78 @@ import download, {
   type DownloadProgress,
   downloadWithProgress,
 } from './download.js'
+import type { DirectorySource, ExecutableSource } from './env.js'
 import * as env from './env.js'
 import install, {
+  classifyOutput,
+  FAILURE_PATTERNS,
+  type FailurePattern,
   type InstallEmitter,
   InstallError,
+  type InstallItem,
+  type InstallItemResult,
   type InstallOptions,
   type InstallProgress,
+  installItems,
   installWithProgress,
+  loginArguments,
+  type RetryOptions,
+  runSteamCmd,
+  type SteamCmdEvent,
+  type SteamCmdFailure,
+  type SteamGuardRequestHandler,
   type SteamPlatform,
+  usesRunscript,
+  validateOptions,
 } from './install.js'
+import {
+  isLogger,
+  type LogContext,
+  type Logger,
+  type LogLevel,
+  type LogMethod,
+  resolveLogger,
+  setLogger,
+  withContext,
+} from './logger.js'
+import {
+  BOOTSTRAP_PROGRESS_SHARE,
+  createProgressTracker,
+  DOWNLOAD_PHASE_RANGES,
+} from './progress.js'
+import type { ProxySetting } from './proxy.js'
+import { isInside, planAppUninstall, removeWorkshopEntry } from './uninstall.js'
+import {
+  type InstalledWorkshopItem,
+  inspectWorkshopItems,
+  type WorkshopItemStatus,
+  workshopContentPath,
+  workshopManifestPath,
+} from './workshop.js'
 
 const access = promisify(fs.access)
 const readdir = promisify(fs.readdir)
 const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const mkdir = promisify(fs.mkdir)
+const rm = promisify(fs.rm)
+
+/**
+ * How long getAppInfo() reuses cached results by default
+ */
+const APP_INFO_TTL_MS = 10 * 60 * 1000
+
+/**
+ * Exit codes SteamCMD returns from a successful `+quit` run; it exits with 7
+ * after restarting itself to finish a self-update
+ */
+const BOOTSTRAP_EXIT_CODES: readonly number[] = [0, 7]
+
+/**
+ * How long repairSteamCmd() lets the `+quit` smoke run take by default; a
+ * hanging SteamCMD is one of the things repair is for
+ */
+const SMOKE_TEST_TIMEOUT_MS = 5 * 60 * 1000
 
 /**
  * Custom error class for SteamCMD operations
@@ -77,6 +148,56 @@ export interface InstalledApp {
   state: number
 }
 
+/**
+ * Options for getInstalledWorkshopItems() function
+ */
+export interface GetInstalledWorkshopItemsOptions {
+  /** Steam application ID the items belong to */
+  applicationId: number | string
+  /** Installation directory to scan */
+  path: string
+}
+
+/**
+ * Options for uninstall() function
+ */
+export interface UninstallOptions extends SteamCmdLocationOptions {
+  /** Steam application ID to uninstall, or that the workshop item belongs to */
+  applicationId: number | string
+  /** Installation directory; nothing outside it is removed */
+  path: string
+  /** Remove only this workshop item instead of the whole app */
+  workshopId?: number | string
+  /** List what would be removed without removing anything */
+  dryRun?: boolean
+  /** Remove `path` itself when the app is installed there, including files Steam did not write (default: false) */
+  removeRoot?: boolean
+  /** Run `+app_uninstall` first if SteamCMD is installed (default: true) */
+  useSteamCmd?: boolean
+  /** Proxy URL passed to SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the SteamCMD run */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Output callback */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Result of uninstall()
+ */
+export interface UninstallResult {
+  /** Files and directories removed, or that would be with dryRun */
+  removed: string[]
+  /** Manifests rewritten to drop the item, or that would be with dryRun */
+  updated: string[]
+  /** Whether this was a dry run */
+  dryRun: boolean
+}
+
 /**
  * Options for update() function
  */
@@ -93,10 +214,57 @@ export interface UpdateOptions {
   steamGuardCode?: string
   /** Target platform for download */
   platform?: SteamPlatform
+  /** Beta branch to update to, e.g. 'experimental' (default: public) */
+  branch?: string
+  /** Password for a private beta branch (requires branch) */
+  branchPassword?: string
+  /** Also check installed files and re-download damaged ones (default: false) */
+  validate?: boolean
+  /** SteamCMD directory to use (overrides configure() and STEAMCMD_HOME) */
+  steamCmdDir?: string
+  /** SteamCMD executable to use (overrides configure() and STEAMCMD_PATH) */
+  steamCmdPath?: string
+  /** Whether to look for a system-installed steamcmd (default: true unless a SteamCMD directory is set) */
+  useSystemSteamCmd?: boolean
+  /** Proxy URL for the bootstrap download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the operation and kills SteamCMD */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Kill SteamCMD if it prints nothing for this many ms */
+  idleTimeoutMs?: number
+  /** Rerun SteamCMD after transient failures; timeouts apply to each run */
+  retry?: RetryOptions
   /** Progress callback */
   onProgress?: (progress: InstallProgress) => void
+  /** Minimum ms between progress callbacks within a phase (default: 100, 0 for every update) */
+  progressIntervalMs?: number
   /** Output callback */
   onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Structured event callback, see SteamCmdEvent */
+  onEvent?: (event: SteamCmdEvent) => void
+  /** Called when SteamCMD prompts for a Steam Guard code; resolve with the code */
+  onSteamGuardRequest?: SteamGuardRequestHandler
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Options for installMany() function
+ */
+export interface InstallManyOptions
+  extends Omit<
+    InstallOptions,
+    | 'applicationId'
+    | 'workshopId'
+    | 'branch'
+    | 'branchPassword'
+    | 'items'
+    | 'retry'
+  > {
+  /** Apps and workshop items to install after a single login */
+  items: InstallItem[]
 }
 
 /**
@@ -113,10 +281,34 @@ export interface ValidateOptions {
   password?: string
   /** Steam Guard code for two-factor authentication */
   steamGuardCode?: string
+  /** SteamCMD directory to use (overrides configure() and STEAMCMD_HOME) */
+  steamCmdDir?: string
+  /** SteamCMD executable to use (overrides configure() and STEAMCMD_PATH) */
+  steamCmdPath?: string
+  /** Whether to look for a system-installed steamcmd (default: true unless a SteamCMD directory is set) */
+  useSystemSteamCmd?: boolean
+  /** Proxy URL for the bootstrap download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the operation and kills SteamCMD */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Kill SteamCMD if it prints nothing for this many ms */
+  idleTimeoutMs?: number
+  /** Rerun SteamCMD after transient failures; timeouts apply to each run */
+  retry?: RetryOptions
   /** Progress callback */
   onProgress?: (progress: InstallProgress) => void
+  /** Minimum ms between progress callbacks within a phase (default: 100, 0 for every update) */
+  progressIntervalMs?: number
   /** Output callback */
   onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Structured event callback, see SteamCmdEvent */
+  onEvent?: (event: SteamCmdEvent) => void
+  /** Called when SteamCMD prompts for a Steam Guard code; resolve with the code */
+  onSteamGuardRequest?: SteamGuardRequestHandler
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
 }
 
 /**
@@ -141,6 +333,211 @@ export interface InstalledVersion {
   buildId: number
   /** Last update timestamp */
   lastUpdated: Date | null
+  /** Installed branch from UserConfig.betakey ('public' when none is set) */
+  branch: string
+}
+
+/**
+ * Options for checkForUpdate() function
+ */
+export interface CheckForUpdateOptions
+  extends Omit<AppInfoOptions, 'onOutput'> {
+  /** Installation directory path */
+  path: string
+  /** Branch to compare against (default: the installed branch, or 'public') */
+  branch?: string
+}
+
+/**
+ * Result of checkForUpdate()
+ */
+export interface UpdateCheck {
+  /** Installed build ID, or null if the app is not installed */
+  installedBuildId: number | null
+  /** Latest build ID on the branch */
+  latestBuildId: number
+  /** Whether the installed build differs from the latest one */
+  updateAvailable: boolean
+  /** Branch that was checked */
+  branch: string
+  /** When the branch was last updated on Steam, or null if not reported */
+  remoteTimeUpdated: Date | null
+}
+
+/**
+ * Process-wide settings applied through configure()
+ */
+export interface SteamCmdConfig {
+  /** Default SteamCMD directory, or null to fall back to STEAMCMD_HOME/env-paths */
+  steamCmdDir?: string | null
+  /** Default SteamCMD executable, or null to fall back to discovery */
+  steamCmdPath?: string | null
+  /** Whether to look for a system-installed steamcmd on PATH when no SteamCMD directory is set */
+  useSystemSteamCmd?: boolean
+  /** Default logger (winston-style, pino or bunyan), or null to go back to silent */
+  logger?: Logger | null
+}
+
+/**
+ * Options that select which SteamCMD installation to use
+ */
+export interface SteamCmdLocationOptions {
+  /** SteamCMD directory to use (overrides configure() and STEAMCMD_HOME) */
+  steamCmdDir?: string
+  /** SteamCMD executable to use (overrides configure() and STEAMCMD_PATH) */
+  steamCmdPath?: string
+  /** Whether to look for a system-installed steamcmd (default: true unless a SteamCMD directory is set) */
+  useSystemSteamCmd?: boolean
+}
+
+/**
+ * Options for getAppInfo() function
+ */
+export interface AppInfoOptions extends SteamCmdLocationOptions {
+  /** Steam application ID to look up */
+  applicationId: number | string
+  /** Steam username; anonymous login is used if omitted */
+  username?: string
+  /** Steam password for authentication */
+  password?: string
+  /** Steam Guard code for two-factor authentication */
+  steamGuardCode?: string
+  /** Reuse cached app info younger than this many ms (default: 10 minutes, 0 to always query) */
+  cacheTtlMs?: number
+  /** Proxy URL for the bootstrap download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the query and kills SteamCMD */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Output callback */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Options for downloadDepot() function
+ */
+export interface DownloadDepotOptions extends SteamCmdLocationOptions {
+  /** Steam application ID the depot belongs to */
+  applicationId: number | string
+  /** Depot ID to download */
+  depotId: number | string
+  /** Manifest ID to download (default: the current public build); pass as a string, it is a 64-bit number */
+  manifestId?: string
+  /** Directory to move the downloaded files into */
+  path: string
+  /** Steam username; anonymous login is used if omitted */
+  username?: string
+  /** Steam password for authentication */
+  password?: string
+  /** Steam Guard code for two-factor authentication */
+  steamGuardCode?: string
+  /** Proxy URL for the bootstrap download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Signal that cancels the download and kills SteamCMD */
+  signal?: AbortSignal
+  /** Kill SteamCMD if it runs longer than this many ms */
+  timeoutMs?: number
+  /** Kill SteamCMD if it prints nothing for this many ms */
+  idleTimeoutMs?: number
+  /** Output callback */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Called when SteamCMD prompts for a Steam Guard code; resolve with the code */
+  onSteamGuardRequest?: SteamGuardRequestHandler
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Result of downloadDepot()
+ */
+export interface DepotDownloadResult {
+  /** Steam application ID */
+  applicationId: number
+  /** Depot ID */
+  depotId: number
+  /** Manifest ID SteamCMD downloaded, or null if it did not report one */
+  manifestId: string | null
+  /** Number of files SteamCMD downloaded, or null if it did not report it */
+  files: number | null
+  /** Directory the files were moved into */
+  path: string
+}
+
+/**
+ * Options for getInstalledDepots() function
+ */
+export interface GetInstalledDepotsOptions {
+  /** Steam application ID */
+  applicationId: number | string
+  /** Installation directory path */
+  path: string
+}
+
+/**
+ * Options for ensureInstalled() function
+ */
+export interface EnsureInstalledOptions
+  extends DownloadOptions,
+    SteamCmdLocationOptions {
+  /** Also run the SteamCMD self-update if it has not completed yet */
+  bootstrap?: boolean
+  /** Progress callback for the download and, with `bootstrap`, the self-update */
+  onProgress?: (progress: DownloadProgress | InstallProgress) => void
+  /** Output callback for the self-update run */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Options for bootstrap() function
+ */
+export interface BootstrapOptions extends SteamCmdLocationOptions {
+  /** Run the self-update even if the marker says it already completed */
+  force?: boolean
+  /** Proxy URL for the download and SteamCMD, or false to disable */
+  proxy?: ProxySetting
+  /** Progress callback; the self-update reports the 'self-update' phase */
+  onProgress?: (progress: DownloadProgress | InstallProgress) => void
+  /** Output callback */
+  onOutput?: (data: string, type: 'stdout' | 'stderr') => void
+  /** Receives log messages; winston-style, pino or bunyan (default: the configure() logger, else silent) */
+  logger?: Logger
+}
+
+/**
+ * Result of the static health checks on a SteamCMD installation
+ */
+export interface SteamCmdHealth {
+  /** 'ok' if usable, 'missing' if not installed, 'broken' if damaged */
+  status: 'ok' | 'missing' | 'broken'
+  /** Human-readable descriptions of what is wrong */
+  problems: string[]
+}
+
+/**
+ * Options for repairSteamCmd() function
+ */
+export interface RepairOptions extends EnsureInstalledOptions {
+  /** Reinstall even if no problems are found */
+  force?: boolean
+  /** Skip the `+quit` smoke run and rely on the file checks only */
+  skipSmokeTest?: boolean
+  /** Kill the smoke run after this many ms and treat it as failed (default: 5 minutes) */
+  smokeTestTimeoutMs?: number
+}
+
+/**
+ * Result of repairSteamCmd()
+ */
+export interface RepairResult {
+  /** Whether the installation was wiped and downloaded again */
+  repaired: boolean
+  /** Problems that were found before repairing */
+  problems: string[]
 }
 
 /**
@@ -149,8 +546,16 @@ export interface InstalledVersion {
 export interface SteamCmdInfo {
   /** Directory where SteamCMD is installed */
   directory: string
+  /** Which setting supplied the directory */
+  directorySource: DirectorySource
   /** Path to the SteamCMD executable, or null if unsupported platform */
   executable: string | null
+  /** Which lookup step supplied the executable, or null if none did */
+  executableSource: ExecutableSource | null
+  /** Whether SteamCMD has completed its first-run self-update */
+  bootstrapped: boolean
+  /** Result of the static file checks */
+  health: SteamCmdHealth
   /** Current platform identifier */
   platform: NodeJS.Platform
   /** Whether the current platform is supported */
@@ -179,6 +584,7 @@ export interface ProgressEmitter extends EventEmitter {
     event: 'output',
     listener: (data: string, type: 'stdout' | 'stderr') => void
   ): this
+  on(event: 'event', listener: (event: SteamCmdEvent) => void): this
   on(event: 'complete', listener: () => void): this
   on(event: 'error', listener: (error: Error) => void): this
   once(
@@ -189,24 +595,138 @@ export interface ProgressEmitter extends EventEmitter {
     event: 'output',
     listener: (data: string, type: 'stdout' | 'stderr') => void
   ): this
+  once(event: 'event', listener: (event: SteamCmdEvent) => void): this
   once(event: 'complete', listener: () => void): this
   once(event: 'error', listener: (error: Error) => void): this
   emit(event: 'progress', progress: InstallProgress | DownloadProgress): boolean
   emit(event: 'output', data: string, type: 'stdout' | 'stderr'): boolean
+  emit(event: 'event', steamCmdEvent: SteamCmdEvent): boolean
   emit(event: 'complete'): boolean
   emit(event: 'error', error: Error): boolean
+  /** Stop the operation; the emitter fires 'error' with code ABORTED */
+  cancel(): void
+}
+
+/**
+ * Set process-wide defaults for subsequent calls
+ * @param config Settings to apply; omitted keys are left unchanged
+ *
+ * @example
+ * steamcmd.configure({ steamCmdDir: '/opt/steamcmd' });
+ */
+export function configure(config: SteamCmdConfig): void {
+  if (!config || typeof config !== 'object') {
+    throw new SteamCmdError('config must be an object', 'INVALID_OPTIONS')
+  }
+
+  if (config.steamCmdDir !== undefined) {
+    if (config.steamCmdDir !== null && typeof config.steamCmdDir !== 'string') {
+      throw new SteamCmdError(
+        'steamCmdDir must be a string or null',
+        'INVALID_OPTIONS'
+      )
+    }
+    env.setDirectory(config.steamCmdDir)
+  }
+
+  if (config.steamCmdPath !== undefined) {
+    if (
+      config.steamCmdPath !== null &&
+      typeof config.steamCmdPath !== 'string'
+    ) {
+      throw new SteamCmdError(
+        'steamCmdPath must be a string or null',
+        'INVALID_OPTIONS'
+      )
+    }
+    env.setExecutable(config.steamCmdPath)
+  }
+
+  if (config.useSystemSteamCmd !== undefined) {
+    env.setSystemLookup(Boolean(config.useSystemSteamCmd))
+  }
+
+  if (config.logger !== undefined) {
+    if (config.logger !== null && !isLogger(config.logger)) {
+      throw new SteamCmdError(
+        'logger must have debug, info, warn and error methods',
+        'INVALID_OPTIONS'
+      )
+    }
+    setLogger(config.logger)
+  }
+}
+
+/**
+ * Pick the installation-selecting options out of a larger options object
+ * @private
+ */
+function locationOf(
+  options?: SteamCmdLocationOptions
+): SteamCmdLocationOptions {
+  return {
+    steamCmdDir: options?.steamCmdDir,
+    steamCmdPath: options?.steamCmdPath,
+    useSystemSteamCmd: options?.useSystemSteamCmd,
+  }
+}
+
+/**
+ * Logger for a public operation, tagging each message with the operation
+ * name and, if given, the app ID
+ * @private
+ */
+function operationLogger(
+  operation: string,
+  options?: { logger?: Logger; applicationId?: number | string }
+): Logger {
+  const context: LogContext = { operation }
+  if (options?.applicationId !== undefined) {
+    context.appId = options.applicationId
+  }
+  return withContext(resolveLogger(options?.logger), context)
+}
+
+/**
+ * Resolve the executable to run, failing if the platform has none
+ * @private
+ */
+function requireExecutable(options?: SteamCmdLocationOptions): string {
+  const resolved = env.resolveExecutable(locationOf(options))
+  if (!resolved) {
+    throw new SteamCmdError('Platform not supported', 'UNSUPPORTED_PLATFORM')
+  }
+  return resolved.path
+}
+
+/**
+ * Check whether an error should reach the caller unwrapped: cancellations,
+ * timeouts and SteamCMD failures classified from its output, so their
+ * specific code (and retryable flag) stays visible.
+ * @private
+ */
+function isPassThrough(err: unknown): boolean {
+  const code = (err as { code?: unknown } | null)?.code
+  return (
+    code === 'ABORTED' ||
+    code === 'TIMEOUT' ||
+    FAILURE_PATTERNS.some((known) => known.code === code)
+  )
 }
 
 /**
  * Check if SteamCMD is installed and executable
+ * @param options Optional SteamCMD location overrides
  * @returns True if SteamCMD is available
  */
-export async function isInstalled(): Promise<boolean> {
-  const executablePath = env.executable()
-  if (!executablePath) return false
+export async function isInstalled(
+  options?: SteamCmdLocationOptions
+): Promise<boolean> {
+  const resolved = env.resolveExecutable(locationOf(options))
+  if (!resolved) return false
 
   try {
-    await access(executablePath, fs.constants.X_OK)
+    await access(resolved.path, fs.constants.X_OK)
     return true
   } catch {
     return false
@@ -214,55 +734,200 @@ export async function isInstalled(): Promise<boolean> {
 }
 
 /**
- * Ensure SteamCMD is installed, downloading if necessary
- * @param options Download options
- * @throws {SteamCmdError} If download fails
+ * Ensure SteamCMD is installed, downloading if necessary.
+ * A usable system or explicitly configured executable skips the download.
+ * @param options Download and location options
+ * @throws {SteamCmdError} If download fails or an explicit executable is missing
  */
 export async function ensureInstalled(
-  options?: DownloadOptions
+  options?: EnsureInstalledOptions
 ): Promise<void> {
   const opts = options || {}
-  const installed = await isInstalled()
-  if (installed) return
+  const installed = await isInstalled(opts)
+
+  if (!installed) {
+    // Never download over an executable the caller pointed at explicitly
+    const resolved = env.resolveExecutable(locationOf(opts))
+    if (resolved && resolved.source !== 'managed') {
+      throw new SteamCmdError(
+        `SteamCMD executable not found or not executable: ${resolved.path}`,
+        'EXECUTABLE_NOT_FOUND'
+      )
+    }
+
+    const log = operationLogger('ensureInstalled', opts)
+    log.info('SteamCMD needs to be installed', {
+      directory: env.resolveDirectory(opts.steamCmdDir).path,
+    })
+
+    try {
+      await download(opts)
+      log.info('SteamCMD was installed')
+    } catch (err) {
+      log.error('Failed to install SteamCMD', {
+        error: err instanceof Error ? err.message : String(err),
+      })
+      if (isPassThrough(err)) throw err
+      throw new SteamCmdError(
+        'Failed to install SteamCMD',
+        'INSTALL_FAILED',
+        err instanceof Error ? err : undefined
+      )
+    }
+  }
+
+  if (opts.bootstrap && !isBootstrapped(opts)) {
+    await runBootstrap(opts)
+  }
+}
+
+/**
+ * Check whether the bootstrap marker exists
+ * @private
+ */
+function isBootstrapped(options?: SteamCmdLocationOptions): boolean {
+  return fs.existsSync(env.bootstrapMarker(options?.steamCmdDir))
+}
+
+/**
+ * Run SteamCMD with only `+quit`
+ * @private
+ */
+function runQuit(
+  executablePath: string,
+  options: Pick<
+    BootstrapOptions,
+    'proxy' | 'onProgress' | 'onOutput' | 'logger'
+  > & { signal?: AbortSignal; timeoutMs?: number }
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    runSteamCmd(
+      executablePath,
+      ['+quit'],
+      {
+        proxy: options.proxy,
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+        onOutput: options.onOutput,
+        logger: options.logger,
+        successExitCodes: BOOTSTRAP_EXIT_CODES,
+        onProgress: options.onProgress,
+      },
+      (err) => (err ? reject(err) : resolve())
+    )
+  })
+}
 
-  console.log('SteamCMD needs to be installed')
+/**
+ * Run SteamCMD with only `+quit` and record that its self-update finished
+ * @private
+ */
+async function runBootstrap(options: BootstrapOptions): Promise<void> {
+  const executablePath = requireExecutable(options)
 
   try {
-    await download({ onProgress: opts.onProgress })
-    console.log('SteamCMD was installed')
+    await runQuit(executablePath, {
+      ...options,
+      logger: options.logger ?? operationLogger('bootstrap'),
+    })
   } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
     throw new SteamCmdError(
-      'Failed to install SteamCMD',
-      'INSTALL_FAILED',
+      `SteamCMD self-update failed: ${message}`,
+      'BOOTSTRAP_FAILED',
       err instanceof Error ? err : undefined
     )
   }
+
+  const marker = env.bootstrapMarker(options.steamCmdDir)
+  await mkdir(path.dirname(marker), { recursive: true })
+  await writeFile(
+    marker,
+    `${JSON.stringify({ executable: executablePath, completedAt: new Date().toISOString() }, null, 2)}\n`
+  )
+}
+
+/**
+ * Download SteamCMD if needed and let it update itself, so later installs
+ * do not spend time on the client self-update
+ * @param options Bootstrap options
+ * @throws {SteamCmdError} If the download or self-update fails
+ *
+ * @example
+ * await steamcmd.bootstrap({
+ *   onProgress: (p) => console.log(`${p.phase}: ${p.percent}%`)
+ * });
+ */
+export async function bootstrap(options?: BootstrapOptions): Promise<void> {
+  const opts = { ...options, logger: operationLogger('bootstrap', options) }
+  await ensureInstalled({ ...opts, bootstrap: false })
+  if (opts.force || !isBootstrapped(opts)) {
+    await runBootstrap(opts)
+  }
+}
+
+/**
+ * One progress tracker for the SteamCMD download and the run that follows,
+ * so overallPercent keeps rising across both. The download, when there is
+ * one, covers the first BOOTSTRAP_PROGRESS_SHARE percent.
+ * @param onProgress Caller's progress callback
+ * @param intervalMs Minimum ms between callbacks within a phase
+ * @private
+ */
+function trackOperation(
+  onProgress: ((progress: InstallProgress) => void) | undefined,
+  intervalMs?: number
+): ((progress: DownloadProgress | InstallProgress) => void) | undefined {
+  if (typeof onProgress !== 'function') return undefined
+  return createProgressTracker(
+    onProgress as (progress: DownloadProgress | InstallProgress) => void,
+    {
+      phases: DOWNLOAD_PHASE_RANGES,
+      intervalMs,
+      stages: [
+        { phases: DOWNLOAD_PHASE_RANGES, end: BOOTSTRAP_PROGRESS_SHARE },
+      ],
+    }
+  )
 }
 
 /**
  * Async implementation of install
  * @private
  */
-async function steamCmdInstallAsync(options: InstallOptions): Promise<void> {
+async function steamCmdInstallAsync(
+  options: InstallOptions,
+  operation: OperationType = 'install'
+): Promise<void> {
   // Validate options early
   if (!options || typeof options !== 'object') {
     throw new SteamCmdError('Options must be an object', 'INVALID_OPTIONS')
   }
+  const logger = operationLogger(operation, options)
+  const onProgress = trackOperation(
+    options.onProgress,
+    options.progressIntervalMs
+  )
 
   // Ensure SteamCMD is installed (pass download progress)
   await ensureInstalled({
-    onProgress: options.onProgress as (progress: DownloadProgress) => void,
+    ...locationOf(options),
+    proxy: options.proxy,
+    signal: options.signal,
+    timeoutMs: options.timeoutMs,
+    idleTimeoutMs: options.idleTimeoutMs,
+    onProgress,
+    progressIntervalMs: options.progressIntervalMs,
+    logger,
   })
 
   // Run installation
-  const executablePath = env.executable()
-  if (!executablePath) {
-    throw new SteamCmdError('Platform not supported', 'UNSUPPORTED_PLATFORM')
-  }
+  const executablePath = requireExecutable(options)
 
   try {
-    await install(executablePath, options)
+    await install(executablePath, { ...options, onProgress, logger })
   } catch (err) {
+    if (isPassThrough(err)) throw err
     const message = err instanceof Error ? err.message : String(err)
     throw new SteamCmdError(
       `Installation failed: ${message}`,
@@ -308,21 +973,503 @@ export function steamCmdInstall(
     .catch((err: Error) => callback(err))
 }
 
+/**
+ * Install several apps and workshop items in one SteamCMD session, so the
+ * login and self-update check happen once instead of once per item
+ * @param options Batch options with `items`
+ * @returns Per-item results, in the order of `items`
+ * @throws {SteamCmdError} If SteamCMD fails before any item finishes
+ *
+ * @example
+ * const results = await steamcmd.installMany({
+ *   path: './arma3',
+ *   items: [
+ *     { applicationId: 233780 },
+ *     { applicationId: 107410, workshopId: 450814997 },
+ *     { applicationId: 107410, workshopId: 463939057 },
+ *   ],
+ *   onItemComplete: (r) => console.log(r.item, r.success ? 'ok' : r.message),
+ * });
+ * const failed = results.filter((r) => !r.success);
+ */
+export async function installMany(
+  options: InstallManyOptions
+): Promise<InstallItemResult[]> {
+  if (!options || !Array.isArray(options.items) || !options.items.length) {
+    throw new SteamCmdError(
+      'items option must be a non-empty array',
+      'INVALID_OPTIONS'
+    )
+  }
+
+  const logger = operationLogger('installMany', options)
+  const onProgress = trackOperation(
+    options.onProgress,
+    options.progressIntervalMs
+  )
+  await ensureInstalled({
+    ...locationOf(options),
+    proxy: options.proxy,
+    signal: options.signal,
+    timeoutMs: options.timeoutMs,
+    idleTimeoutMs: options.idleTimeoutMs,
+    onProgress,
+    progressIntervalMs: options.progressIntervalMs,
+    logger,
+  })
+
+  const executablePath = requireExecutable(options)
+
+  try {
+    return await installItems(executablePath, {
+      ...options,
+      onProgress,
+      logger,
+    })
+  } catch (err) {
+    if (isPassThrough(err)) throw err
+    const message = err instanceof Error ? err.message : String(err)
+    throw new SteamCmdError(
+      `Batch installation failed: ${message}`,
+      'RUN_FAILED',
+      err instanceof Error ? err : undefined
+    )
+  }
+}
+
+/**
+ * Look up an app's public information without installing it, using
+ * `+app_info_update 1 +app_info_print <id>`. Results are cached in the
+ * SteamCMD directory for `cacheTtlMs`.
+ * @param options App ID, optional credentials and cache settings
+ * @returns Name, type, branches with their build IDs, and depot sizes
+ * @throws {SteamCmdError} With code APP_INFO_NOT_FOUND if SteamCMD prints no info for the app
+ *
+ * @example
+ * const info = await steamcmd.getAppInfo({ applicationId: 740 });
+ * console.log(info.name, info.branches.public.buildId);
+ */
+export async function getAppInfo(options: AppInfoOptions): Promise<AppInfo> {
+  if (!options || !options.applicationId) {
+    throw new SteamCmdError(
+      'applicationId option is required',
+      'INVALID_OPTIONS'
+    )
+  }
+  try {
+    validateOptions(options)
+  } catch (err) {
+    throw new SteamCmdError(
+      (err as Error).message,
+      'INVALID_OPTIONS',
+      err as Error
+    )
+  }
+
+  const directory = env.resolveDirectory(options.steamCmdDir).path
+  const ttlMs = options.cacheTtlMs ?? APP_INFO_TTL_MS
+  if (ttlMs > 0) {
+    const cached = await appinfo.readCache(
+      directory,
+      options.applicationId,
+      ttlMs
+    )
+    if (cached) return cached
+  }
+
+  const logger = operationLogger('getAppInfo', options)
+  await ensureInstalled({
+    ...locationOf(options),
+    proxy: options.proxy,
+    signal: options.signal,
+    logger,
+  })
+
+  const executablePath = requireExecutable(options)
+  const args = [
+    '+@NoPromptForPassword 1',
+    ...loginArguments(options),
+    '+app_info_update 1',
+    `+app_info_print ${options.applicationId}`,
+    '+quit',
+  ]
+
+  const lines: string[] = []
+  try {
+    await new Promise<void>((resolve, reject) => {
+      runSteamCmd(
+        executablePath,
+        args,
+        {
+          proxy: options.proxy,
+          signal: options.signal,
+          timeoutMs: options.timeoutMs,
+          runscript: usesRunscript(options),
+          onOutput: options.onOutput,
+          logger,
+          onLine: (line, type) => {
+            if (type === 'stdout') lines.push(line)
+          },
+        },
+        (err) => (err ? reject(err) : resolve())
+      )
+    })
+  } catch (err) {
+    if (isPassThrough(err)) throw err
+    const message = err instanceof Error ? err.message : String(err)
+    throw new SteamCmdError(
+      `App info query failed: ${message}`,
+      'RUN_FAILED',
+      err instanceof Error ? err : undefined
+    )
+  }
+
+  const info = appinfo.parseAppInfo(lines.join('\n'), options.applicationId)
+  if (!info) {
+    throw new SteamCmdError(
+      `SteamCMD returned no app info for ${options.applicationId}`,
+      'APP_INFO_NOT_FOUND'
+    )
+  }
+
+  await appinfo.writeCache(directory, info)
+  return info
+}
+
+/**
+ * Download one depot with `+download_depot`, optionally at an older manifest
+ * to pin or roll back a build, then move it from SteamCMD's
+ * `steamapps/content/app_<appid>/depot_<depotid>` staging folder into `path`.
+ * Files already in `path` are replaced or kept, never deleted, since several
+ * depots usually share one install directory.
+ * @param options App, depot and manifest IDs, target path and credentials
+ * @returns The downloaded manifest ID, file count and target path
+ * @throws {SteamCmdError} With code DEPOT_DOWNLOAD_FAILED if SteamCMD reports a failure or leaves no files
+ *
+ * @example
+ * // Roll back the Linux binaries of a CS:GO server
+ * await steamcmd.downloadDepot({
+ *   applicationId: 740,
+ *   depotId: 741,
+ *   manifestId: '7043469183016184477',
+ *   path: './server',
+ * });
+ */
+export async function downloadDepot(
+  options: DownloadDepotOptions
+): Promise<DepotDownloadResult> {
+  if (!options || !options.applicationId || !options.depotId || !options.path) {
+    throw new SteamCmdError(
+      'applicationId, depotId and path options are required',
+      'INVALID_OPTIONS'
+    )
+  }
+  const depotId = Number(options.depotId)
+  if (!Number.isInteger(depotId) || depotId <= 0) {
+    throw new SteamCmdError(
+      'depotId must be a positive integer',
+      'INVALID_OPTIONS'
+    )
+  }
+  if (
+    options.manifestId !== undefined &&
+    !/^\d+$/.test(String(options.manifestId))
+  ) {
+    throw new SteamCmdError(
+      'manifestId must be a string of digits',
+      'INVALID_OPTIONS'
+    )
+  }
+  try {
+    validateOptions(options)
+  } catch (err) {
+    throw new SteamCmdError(
+      (err as Error).message,
+      'INVALID_OPTIONS',
+      err as Error
+    )
+  }
+
+  const logger = operationLogger('downloadDepot', options)
+  await ensureInstalled({
+    ...locationOf(options),
+    proxy: options.proxy,
+    signal: options.signal,
+    logger,
+  })
+
+  const appId = Number(options.applicationId)
+  const executablePath = requireExecutable(options)
+  const args = [
+    `+@NoPromptForPassword ${options.onSteamGuardRequest ? 0 : 1}`,
+    ...loginArguments(options),
+    [`+download_depot ${appId} ${depotId}`, options.manifestId]
+      .filter(Boolean)
+      .join(' '),
+    '+quit',
+  ]
+
+  let outcome: DepotDownloadLine | null = null
+  try {
+    await new Promise<void>((resolve, reject) => {
+      runSteamCmd(
+        executablePath,
+        args,
+        {
+          proxy: options.proxy,
+          signal: options.signal,
+          timeoutMs: options.timeoutMs,
+          idleTimeoutMs: options.idleTimeoutMs,
+          runscript: usesRunscript(options),
+          onSteamGuardRequest: options.onSteamGuardRequest,
+          onOutput: options.onOutput,
+          logger,
+          onLine: (line, type) => {
+            if (type === 'stdout') outcome = parseDepotDownload(line) ?? outcome
+          },
+        },
+        (err) => (err ? reject(err) : resolve())
+      )
+    })
+  } catch (err) {
+    if (isPassThrough(err)) throw err
+    const message = err instanceof Error ? err.message : String(err)
+    throw new SteamCmdError(
+      `Depot download failed: ${message}`,
+      'RUN_FAILED',
+      err instanceof Error ? err : undefined
+    )
+  }
+
+  const result = outcome as DepotDownloadLine | null
+  if (result && !result.success) {
+    throw new SteamCmdError(
+      `Depot download failed: ${result.reason}`,
+      'DEPOT_DOWNLOAD_FAILED'
+    )
+  }
+
+  // Older SteamCMD builds don't print where the depot went
+  const staging =
+    result?.path ??
+    depotStagingPath(
+      env.resolveDirectory(options.steamCmdDir).path,
+      appId,
+      depotId
+    )
+  try {
+    await access(staging, fs.constants.R_OK)
+  } catch {
+    throw new SteamCmdError(
+      `SteamCMD left no files for depot ${depotId} in ${staging}`,
+      'DEPOT_DOWNLOAD_FAILED'
+    )
+  }
+
+  const target = path.resolve(options.path)
+  await moveContents(staging, target)
+  await rm(staging, { recursive: true, force: true })
+
+  return {
+    applicationId: appId,
+    depotId,
+    manifestId: result?.manifestId ?? options.manifestId ?? null,
+    files: result?.files ?? null,
+    path: target,
+  }
+}
+
 /**
  * Get information about the SteamCMD installation
+ * @param options Optional SteamCMD location overrides
  * @returns SteamCMD paths and status
  */
-export function getInfo(): SteamCmdInfo {
+export function getInfo(options?: SteamCmdLocationOptions): SteamCmdInfo {
+  const dir = env.resolveDirectory(options?.steamCmdDir)
+  const exe = env.resolveExecutable(locationOf(options))
   return {
-    directory: env.directory(),
-    executable: env.executable(),
+    directory: dir.path,
+    directorySource: dir.source,
+    executable: exe ? exe.path : null,
+    executableSource: exe ? exe.source : null,
+    bootstrapped: isBootstrapped(options),
+    health: checkHealth(options),
     platform: env.platform(),
     isSupported: env.isPlatformSupported(),
   }
 }
 
 /**
- * Parse Steam app manifest file (.acf)
+ * Check the files of a SteamCMD installation without running it
+ * @private
+ */
+function checkHealth(options?: SteamCmdLocationOptions): SteamCmdHealth {
+  const exe = env.resolveExecutable(locationOf(options))
+  if (!exe) {
+    return { status: 'missing', problems: ['Platform not supported'] }
+  }
+
+  if (!fs.existsSync(exe.path)) {
+    return {
+      status: 'missing',
+      problems: [`Executable not found: ${exe.path}`],
+    }
+  }
+
+  const problems: string[] = []
+  if (!env.isExecutableFile(exe.path)) {
+    problems.push(`Executable is not runnable: ${exe.path}`)
+  }
+
+  // Only the managed copy has a known layout to check
+  if (exe.source === 'managed') {
+    for (const file of env.requiredFiles(options?.steamCmdDir)) {
+      try {
+        if (fs.statSync(file).size === 0) {
+          problems.push(`File is empty: ${file}`)
+        }
+      } catch {
+        problems.push(`File is missing: ${file}`)
+      }
+    }
+  }
+
+  return { status: problems.length ? 'broken' : 'ok', problems }
+}
+
+/**
+ * Refuse to delete directories that cannot be a dedicated SteamCMD directory
+ * @private
+ */
+function assertRemovable(dir: string): void {
+  const resolved = path.resolve(dir)
+  if (
+    resolved === path.parse(resolved).root ||
+    resolved === path.resolve(os.homedir())
+  ) {
+    throw new SteamCmdError(
+      `Refusing to remove ${resolved}`,
+      'UNSAFE_DIRECTORY'
+    )
+  }
+}
+
+/**
+ * Check whether a directory holds a SteamCMD installation: its launcher or
+ * the bootstrap marker. Empty directories count, since removing them loses
+ * nothing.
+ * @private
+ */
+function looksLikeSteamCmd(dir: string): boolean {
+  const entries = fs.readdirSync(dir)
+  return (
+    entries.length === 0 ||
+    ['steamcmd.sh', 'steamcmd.exe', env.BOOTSTRAP_MARKER].some((name) =>
+      entries.includes(name)
+    )
+  )
+}
+
+/**
+ * Remove the managed SteamCMD installation
+ * @param options Optional SteamCMD location overrides
+ * @returns True if a directory was removed
+ * @throws {SteamCmdError} If the directory is unsafe to delete or does not
+ *   look like a SteamCMD installation
+ *
+ * @example
+ * await steamcmd.uninstallSteamCmd();
+ */
+export async function uninstallSteamCmd(
+  options?: SteamCmdLocationOptions
+): Promise<boolean> {
+  const dir = env.directory(options?.steamCmdDir)
+  assertRemovable(dir)
+
+  if (!fs.existsSync(dir)) return false
+  if (!looksLikeSteamCmd(dir)) {
+    throw new SteamCmdError(
+      `Refusing to remove ${dir}: it does not contain SteamCMD`,
+      'UNSAFE_DIRECTORY'
+    )
+  }
+
+  try {
+    await rm(dir, { recursive: true, force: true })
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    throw new SteamCmdError(
+      `Failed to remove ${dir}: ${message}`,
+      'UNINSTALL_FAILED',
+      err instanceof Error ? err : undefined
+    )
+  }
+  return true
+}
+
+/**
+ * Detect a broken managed SteamCMD installation and reinstall it.
+ * Checks for missing or empty files, then runs SteamCMD with `+quit`.
+ * @param options Repair, download and location options
+ * @returns Whether a reinstall happened and which problems were found
+ * @throws {SteamCmdError} If the executable is not the managed copy, or reinstalling fails
+ *
+ * @example
+ * const { repaired, problems } = await steamcmd.repairSteamCmd();
+ */
+export async function repairSteamCmd(
+  options?: RepairOptions
+): Promise<RepairResult> {
+  const opts = options || {}
+  const exe = env.resolveExecutable(locationOf(opts))
+  if (!exe) {
+    throw new SteamCmdError('Platform not supported', 'UNSUPPORTED_PLATFORM')
+  }
+  if (exe.source !== 'managed') {
+    throw new SteamCmdError(
+      `Only the managed SteamCMD copy can be repaired, not ${exe.path} (${exe.source})`,
+      'NOT_MANAGED'
+    )
+  }
+
+  const health = checkHealth(opts)
+  const problems = [...health.problems]
+
+  if (health.status === 'ok' && !opts.skipSmokeTest) {
+    try {
+      await runQuit(exe.path, {
+        proxy: opts.proxy,
+        signal: opts.signal,
+        timeoutMs: opts.smokeTestTimeoutMs ?? SMOKE_TEST_TIMEOUT_MS,
+        onOutput: opts.onOutput,
+        logger: operationLogger('repairSteamCmd', opts),
+      })
+    } catch (err) {
+      if ((err as { code?: unknown }).code === 'ABORTED') throw err
+      const message = err instanceof Error ? err.message : String(err)
+      problems.push(`Smoke run failed: ${message}`)
+    }
+  }
+
+  if (!problems.length && !opts.force) {
+    return { repaired: false, problems }
+  }
+
+  // Without a launcher or marker there is nothing of SteamCMD's to clear;
+  // the download only replaces the archive's own files
+  const dir = env.directory(opts.steamCmdDir)
+  if (fs.existsSync(dir) && looksLikeSteamCmd(dir)) {
+    await uninstallSteamCmd(opts)
+  }
+  await ensureInstalled(opts)
+
+  return { repaired: true, problems }
+}
+
+/**
+ * Parse Steam app manifest file (.acf).
+ * Keys are stored flat; keys inside a nested section such as UserConfig are
+ * additionally stored under their dotted path, e.g. 'UserConfig.betakey'.
  * @param manifestPath Path to the manifest file
  * @returns Parsed manifest data
  * @private
@@ -332,14 +1479,34 @@ async function parseAppManifest(
 ): Promise<Record<string, string>> {
   const content = await readFile(manifestPath, 'utf8')
   const result: Record<string, string> = {}
+  const sections: string[] = []
+  let pendingSection = ''
 
   // Simple VDF parser for app manifests
   const lines = content.split('\n')
   for (const line of lines) {
+    const trimmed = line.trim()
+    if (trimmed === '{') {
+      sections.push(pendingSection)
+      continue
+    }
+    if (trimmed === '}') {
+      sections.pop()
+      continue
+    }
+
     const match = line.match(/"(\w+)"\s+"([^"]*)"/)
     if (match?.[1] && match[2] !== undefined) {
       result[match[1]] = match[2]
+      // The outermost section is always AppState, so paths start below it
+      if (sections.length > 1) {
+        result[[...sections.slice(1), match[1]].join('.')] = match[2]
+      }
+      continue
     }
+
+    const section = trimmed.match(/^"([^"]+)"$/)
+    if (section?.[1]) pendingSection = section[1]
   }
 
   return result
@@ -403,7 +1570,77 @@ export async function getInstalledApps(
 }
 
 /**
- * Update an installed Steam application
+ * List the workshop items installed for an app, from
+ * `steamapps/workshop/appworkshop_<appid>.acf`, and check each content folder
+ * under `steamapps/workshop/content/<appid>` against the manifest
+ * @param options App ID and install path
+ * @returns Installed items; `status` flags missing, mismatched or untracked
+ *   content folders
+ *
+ * @example
+ * const items = await steamcmd.getInstalledWorkshopItems({ applicationId: 107410, path: './arma3' });
+ * // [{ workshopId: 450814997, size: 1048576, sizeOnDisk: 1048576, status: 'ok', ... }]
+ */
+export async function getInstalledWorkshopItems(
+  options: GetInstalledWorkshopItemsOptions
+): Promise<InstalledWorkshopItem[]> {
+  if (!options || !options.applicationId || !options.path) {
+    throw new SteamCmdError(
+      'applicationId and path options are required',
+      'INVALID_OPTIONS'
+    )
+  }
+
+  return inspectWorkshopItems(options.path, options.applicationId)
+}
+
+/**
+ * Check whether a newer build of an installed app is available, comparing the
+ * app manifest's build ID with the branch's latest build from getAppInfo()
+ * @param options App ID, install path and optional branch
+ * @returns Installed and latest build IDs and whether they differ
+ * @throws {SteamCmdError} With code BRANCH_NOT_FOUND if the app has no such branch
+ *
+ * @example
+ * const check = await steamcmd.checkForUpdate({ applicationId: 740, path: './server' });
+ * if (check.updateAvailable) await steamcmd.update({ applicationId: 740, path: './server' });
+ */
+export async function checkForUpdate(
+  options: CheckForUpdateOptions
+): Promise<UpdateCheck> {
+  if (!options || !options.applicationId || !options.path) {
+    throw new SteamCmdError(
+      'applicationId and path options are required',
+      'INVALID_OPTIONS'
+    )
+  }
+
+  const installed = await getInstalledVersion(options)
+  const branch = options.branch || installed?.branch || 'public'
+  const info = await getAppInfo(options)
+
+  const remote = info.branches[branch]
+  if (!remote) {
+    throw new SteamCmdError(
+      `App ${options.applicationId} has no branch named ${branch}`,
+      'BRANCH_NOT_FOUND'
+    )
+  }
+
+  const installedBuildId = installed ? installed.buildId : null
+  return {
+    installedBuildId,
+    latestBuildId: remote.buildId,
+    updateAvailable: installedBuildId !== remote.buildId,
+    branch,
+    remoteTimeUpdated: remote.timeUpdated,
+  }
+}
+
+/**
+ * Update an installed Steam application.
+ * Only changed content is downloaded; existing files are not re-hashed unless
+ * `validate: true` is passed.
  * @param options Update options
  *
  * @example
@@ -421,12 +1658,16 @@ export async function update(options: UpdateOptions): Promise<void> {
     )
   }
 
-  // update is essentially the same as install - SteamCMD handles both
-  return steamCmdInstallAsync(options)
+  return steamCmdInstallAsync(
+    { ...options, validate: options.validate ?? false },
+    'update'
+  )
 }
 
 /**
- * Validate an installed Steam application
+ * Validate an installed Steam application, re-downloading damaged or missing files.
+ * SteamCMD only prints progress for this pass, not which or how many files
+ * it replaced, so no count is reported.
  * @param options Validation options
  *
  * @example
@@ -443,8 +1684,7 @@ export async function validate(options: ValidateOptions): Promise<void> {
     )
   }
 
-  // validate is the same as install - SteamCMD always validates
-  return steamCmdInstallAsync(options)
+  return steamCmdInstallAsync({ ...options, validate: true }, 'validate')
 }
 
 /**
@@ -457,7 +1697,7 @@ export async function validate(options: ValidateOptions): Promise<void> {
  *   applicationId: 740,
  *   path: './server'
  * });
- * // { appId: 740, buildId: 12345678, lastUpdated: Date }
+ * // { appId: 740, buildId: 12345678, lastUpdated: Date, branch: 'public' }
  */
 export async function getInstalledVersion(
   options: GetInstalledVersionOptions
@@ -487,17 +1727,190 @@ export async function getInstalledVersion(
       lastUpdated: manifest['LastUpdated']
         ? new Date(parseInt(manifest['LastUpdated'], 10) * 1000)
         : null,
+      branch: manifest['UserConfig.betakey'] || 'public',
     }
   } catch {
     return null
   }
 }
 
+/**
+ * Read the depots and manifest IDs of an installed app from its manifest's
+ * `InstalledDepots`, e.g. to record a known-good build and restore it later
+ * with downloadDepot()
+ * @param options App ID and install path
+ * @returns Installed depots, or an empty array if the app is not installed
+ *
+ * @example
+ * const depots = await steamcmd.getInstalledDepots({ applicationId: 740, path: './server' });
+ * // later, to roll back:
+ * for (const { depotId, manifestId } of depots) {
+ *   await steamcmd.downloadDepot({ applicationId: 740, depotId, manifestId, path: './server' });
+ * }
+ */
+export async function getInstalledDepots(
+  options: GetInstalledDepotsOptions
+): Promise<InstalledDepot[]> {
+  if (!options || !options.applicationId || !options.path) {
+    throw new SteamCmdError(
+      'applicationId and path options are required',
+      'INVALID_OPTIONS'
+    )
+  }
+
+  const manifestPath = path.join(
+    options.path,
+    'steamapps',
+    `appmanifest_${Number(options.applicationId)}.acf`
+  )
+  try {
+    return parseInstalledDepots(await readFile(manifestPath, 'utf8'))
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Uninstall a Steam app or a single workshop item from an install directory.
+ * For apps, SteamCMD's `+app_uninstall` runs first if SteamCMD is installed,
+ * then whatever is left of the install dir, app manifest and workshop data is
+ * removed. For a workshop item, its content folder is removed and its entry
+ * dropped from `appworkshop_<appid>.acf`. Nothing outside `path` is touched.
+ * @param options App ID, optional workshop ID, install path and dryRun
+ * @returns Paths removed and manifests updated (or that would be, with dryRun)
+ * @throws {SteamCmdError} With code UNSAFE_DIRECTORY if a path to remove lies outside `path`, or UNINSTALL_FAILED if removing fails
+ *
+ * @example
+ * const plan = await steamcmd.uninstall({ applicationId: 740, path: './server', dryRun: true });
+ * console.log('Would remove', plan.removed);
+ * await steamcmd.uninstall({ applicationId: 740, path: './server' });
+ */
+export async function uninstall(
+  options: UninstallOptions
+): Promise<UninstallResult> {
+  if (!options || !options.applicationId || !options.path) {
+    throw new SteamCmdError(
+      'applicationId and path options are required',
+      'INVALID_OPTIONS'
+    )
+  }
+  try {
+    validateOptions({
+      applicationId: options.applicationId,
+      workshopId: options.workshopId,
+      path: options.path,
+      logger: options.logger,
+    })
+  } catch (err) {
+    throw new SteamCmdError(
+      (err as Error).message,
+      'INVALID_OPTIONS',
+      err as Error
+    )
+  }
+
+  const root = path.resolve(options.path)
+  const appId = Number(options.applicationId)
+  const dryRun = Boolean(options.dryRun)
+  const updates = new Map<string, string>()
+  let removed: string[]
+
+  if (options.workshopId !== undefined) {
+    const workshopId = Number(options.workshopId)
+    const contentPath = path.join(
+      workshopContentPath(root, appId),
+      String(workshopId)
+    )
+    removed = fs.existsSync(contentPath) ? [contentPath] : []
+
+    const manifestPath = workshopManifestPath(root, appId)
+    try {
+      const updated = removeWorkshopEntry(
+        await readFile(manifestPath, 'utf8'),
+        workshopId
+      )
+      if (updated !== null) updates.set(manifestPath, updated)
+    } catch {
+      // No workshop manifest
+    }
+  } else {
+    removed = await planAppUninstall(root, appId, Boolean(options.removeRoot))
+  }
+
+  for (const target of [...removed, ...updates.keys()]) {
+    if (target === root) {
+      assertRemovable(root)
+    } else if (!(await isInside(root, target))) {
+      throw new SteamCmdError(
+        `Refusing to touch ${target}: it is outside ${root}`,
+        'UNSAFE_DIRECTORY'
+      )
+    }
+  }
+
+  const result = { removed, updated: [...updates.keys()], dryRun }
+  if (dryRun) return result
+
+  if (
+    options.workshopId === undefined &&
+    removed.length > 0 &&
+    options.useSteamCmd !== false &&
+    (await isInstalled(options))
+  ) {
+    try {
+      await new Promise<void>((resolve, reject) => {
+        runSteamCmd(
+          requireExecutable(options),
+          [
+            '+@NoPromptForPassword 1',
+            '+login anonymous',
+            `+force_install_dir "${root}"`,
+            `+app_uninstall ${appId}`,
+            '+quit',
+          ],
+          {
+            proxy: options.proxy,
+            signal: options.signal,
+            timeoutMs: options.timeoutMs,
+            onOutput: options.onOutput,
+            logger: operationLogger('uninstall', options),
+          },
+          (err) => (err ? reject(err) : resolve())
+        )
+      })
+    } catch (err) {
+      const code = (err as { code?: unknown } | null)?.code
+      if (code === 'ABORTED' || code === 'TIMEOUT') throw err
+      // Leftovers are removed below either way
+    }
+  }
+
+  try {
+    for (const target of removed) {
+      await rm(target, { recursive: true, force: true })
+    }
+    for (const [file, text] of updates) {
+      await writeFile(file, text)
+    }
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    throw new SteamCmdError(
+      `Failed to uninstall app ${appId}: ${message}`,
+      'UNINSTALL_FAILED',
+      err instanceof Error ? err : undefined
+    )
+  }
+
+  return result
+}
+
 /**
  * Create an EventEmitter for SteamCMD operations with real-time progress
- * @param _operation Operation type ('install', 'update', 'validate')
+ * @param operation Operation type: 'install' and 'validate' check every file,
+ * 'update' only does so when `validate: true` is passed
  * @param options Operation options
- * @returns Emitter that fires 'progress', 'output', 'error', and 'complete' events
+ * @returns Emitter that fires 'progress', 'output', 'event', 'error', and 'complete' events,
+ * with a cancel() method that stops the download or kills SteamCMD
  *
  * @example
  * const emitter = steamcmd.createProgressEmitter('install', { applicationId: 740 });
@@ -507,37 +1920,55 @@ export async function getInstalledVersion(
  * emitter.on('error', (err) => console.error(err));
  */
 export function createProgressEmitter(
-  _operation: OperationType,
+  operation: OperationType,
   options: InstallOptions
 ): ProgressEmitter {
   const emitter = new EventEmitter() as ProgressEmitter
+  const controller = new AbortController()
+  const unfollow = followSignal(controller, options?.signal)
+  emitter.cancel = () => controller.abort()
 
   process.nextTick(async () => {
     try {
+      const logger = operationLogger(operation, options)
+      const onProgress = trackOperation(
+        (progress) => emitter.emit('progress', progress),
+        options.progressIntervalMs
+      )
+
       // Ensure SteamCMD is installed first
       await ensureInstalled({
-        onProgress: (progress) => emitter.emit('progress', progress),
+        ...locationOf(options),
+        proxy: options.proxy,
+        signal: controller.signal,
+        timeoutMs: options.timeoutMs,
+        idleTimeoutMs: options.idleTimeoutMs,
+        onProgress,
+        progressIntervalMs: options.progressIntervalMs,
+        logger,
       })
 
       // Run the operation
-      const executablePath = env.executable()
-      if (!executablePath) {
-        throw new SteamCmdError(
-          'Platform not supported',
-          'UNSUPPORTED_PLATFORM'
-        )
-      }
+      const executablePath = requireExecutable(options)
 
       const operationOptions: InstallOptions = {
         ...options,
-        onProgress: (progress) => emitter.emit('progress', progress),
+        validate:
+          operation === 'validate' ||
+          (options.validate ?? operation === 'install'),
+        signal: controller.signal,
+        onProgress,
         onOutput: (data, type) => emitter.emit('output', data, type),
+        onEvent: (event) => emitter.emit('event', event),
+        logger,
       }
 
       await install(executablePath, operationOptions)
       emitter.emit('complete')
     } catch (err) {
       emitter.emit('error', err instanceof Error ? err : new Error(String(err)))
+    } finally {
+      unfollow()
     }
   })
 
@@ -547,12 +1978,23 @@ export function createProgressEmitter(
 // Default export for CommonJS compatibility
 export default {
   install: steamCmdInstall,
+  installMany,
+  getAppInfo,
+  checkForUpdate,
+  configure,
   isInstalled,
   ensureInstalled,
+  bootstrap,
+  uninstallSteamCmd,
+  repairSteamCmd,
   getInfo,
   SteamCmdError,
   // New functions
   getInstalledApps,
+  getInstalledWorkshopItems,
+  getInstalledDepots,
+  downloadDepot,
+  uninstall,
   update,
   validate,
   getInstalledVersion,
@@ -560,6 +2002,9 @@ export default {
   // Re-export error classes for consumers
   DownloadError,
   InstallError,
+  // Re-export the SteamCMD failure catalog
+  classifyOutput,
+  FAILURE_PATTERNS,
   // Re-export progress helpers
   downloadWithProgress,
   installWithProgress,
@@ -572,15 +2017,38 @@ export {
   installWithProgress,
   DownloadError,
   InstallError,
+  classifyOutput,
+  FAILURE_PATTERNS,
 }
 
 // Re-export types
 export type {
+  DirectorySource,
+  ExecutableSource,
+  ProxySetting,
   DownloadOptions,
   DownloadProgress,
   DownloadEmitter,
   InstallOptions,
   InstallProgress,
   InstallEmitter,
+  InstallItem,
+  InstallItemResult,
+  SteamCmdEvent,
+  SteamCmdFailure,
+  FailurePattern,
+  RetryOptions,
+  SteamGuardRequestHandler,
+  AppInfo,
+  AppBranch,
+  AppDepot,
+  KeyValues,
+  InstalledWorkshopItem,
+  WorkshopItemStatus,
+  InstalledDepot,
   SteamPlatform,
+  Logger,
+  LogContext,
+  LogLevel,
+  LogMethod,
 }
@@ -0,0 +1,137 @@
+/**
+ * @module steamcmd/uninstall
+ * @description Planning the removal of installed apps and workshop items
+ * @private
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+import { parseKeyValues, stringifyKeyValues } from './appinfo.js'
+import { workshopContentPath, workshopManifestPath } from './workshop.js'
+
+const readFile = promisify(fs.readFile)
+const realpath = promisify(fs.realpath)
+
+/**
+ * Check whether a path lies strictly inside a directory. Symlinks in the
+ * parent directories are resolved; the last component is not, since removing
+ * a symlink only removes the link.
+ * @param root Directory that must contain the path
+ * @param target Path to check
+ * @returns True if the path is inside root and not root itself
+ */
+export async function isInside(root: string, target: string): Promise<boolean> {
+  try {
+    const realRoot = await realpath(root)
+    const resolved = path.resolve(target)
+    const parent = await realpath(path.dirname(resolved))
+    const relative = path.relative(
+      realRoot,
+      path.join(parent, path.basename(resolved))
+    )
+    return (
+      relative !== '' &&
+      relative.split(path.sep)[0] !== '..' &&
+      !path.isAbsolute(relative)
+    )
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Keep the paths that exist
+ * @private
+ */
+function existing(paths: string[]): string[] {
+  return paths.filter((p) => fs.existsSync(p))
+}
+
+/**
+ * List what uninstalling an app from an install directory would remove. Only
+ * what Steam keeps for the app is listed: its app manifest, its
+ * `steamapps/common/<installdir>` folder, its workshop manifest and content,
+ * and any half-finished download or temp folder. Files an app installed with
+ * `force_install_dir` put straight into the directory are not listed, since
+ * they cannot be told apart from the user's own; pass `removeRoot` to list
+ * the directory itself instead.
+ * @param installPath Installation directory
+ * @param appId Steam application ID
+ * @param removeRoot List the whole directory if the app is installed there
+ * @returns Existing paths to remove; empty if the app is not installed
+ */
+export async function planAppUninstall(
+  installPath: string,
+  appId: number | string,
+  removeRoot = false
+): Promise<string[]> {
+  const root = path.resolve(installPath)
+  const steamapps = path.join(root, 'steamapps')
+  const manifestPath = path.join(steamapps, `appmanifest_${appId}.acf`)
+  if (removeRoot && fs.existsSync(manifestPath)) return [root]
+
+  let installDir: string | null = null
+  try {
+    const state = parseKeyValues(await readFile(manifestPath, 'utf8'))[
+      'AppState'
+    ]
+    const dir = state && typeof state === 'object' ? state['installdir'] : null
+    if (typeof dir === 'string' && dir) installDir = dir
+  } catch {
+    // No manifest; only leftovers are listed
+  }
+
+  return existing([
+    ...(installDir ? [path.join(steamapps, 'common', installDir)] : []),
+    manifestPath,
+    workshopManifestPath(root, appId),
+    workshopContentPath(root, appId),
+    path.join(steamapps, 'downloading', String(appId)),
+    path.join(steamapps, 'temp', String(appId)),
+  ])
+}
+
+/**
+ * Remove a workshop item from an appworkshop manifest, subtracting its size
+ * from `SizeOnDisk`
+ * @param text Contents of `appworkshop_<appid>.acf`
+ * @param workshopId Workshop item ID
+ * @returns Updated manifest text, or null if the item is not listed
+ */
+export function removeWorkshopEntry(
+  text: string,
+  workshopId: number | string
+): string | null {
+  const kv = parseKeyValues(text)
+  const root = kv['AppWorkshop']
+  if (!root || typeof root !== 'object') return null
+
+  const id = String(workshopId)
+  let found = false
+  let size = 0
+  for (const section of ['WorkshopItemsInstalled', 'WorkshopItemDetails']) {
+    const items = root[section]
+    if (!items || typeof items !== 'object' || !items[id]) continue
+    const entry = items[id]
+    if (section === 'WorkshopItemsInstalled' && typeof entry === 'object') {
+      size = Number(entry['size']) || 0
+    }
+    delete items[id]
+    found = true
+  }
+  if (!found) return null
+
+  const total = Number(root['SizeOnDisk'])
+  if (Number.isFinite(total) && typeof root['SizeOnDisk'] === 'string') {
+    root['SizeOnDisk'] = String(Math.max(0, total - size))
+  }
+  return stringifyKeyValues(kv)
+}
+
+export default {
+  isInside,
+  planAppUninstall,
+  removeWorkshopEntry,
+}
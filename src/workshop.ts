@@ -0,0 +1,225 @@
+/**
+ * @module steamcmd/workshop
+ * @description Inspection of installed workshop items from appworkshop manifests
+ * @private
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+import { type KeyValues, parseKeyValues } from './appinfo.js'
+
+const readFile = promisify(fs.readFile)
+const readdir = promisify(fs.readdir)
+const lstat = promisify(fs.lstat)
+
+/**
+ * Health of an installed workshop item:
+ * - `'ok'`: the content folder exists and matches the manifest size
+ * - `'missing'`: the manifest lists the item but its content folder is gone
+ * - `'mismatch'`: the content folder's size differs from the manifest
+ * - `'untracked'`: a content folder exists that the manifest does not list
+ */
+export type WorkshopItemStatus = 'ok' | 'missing' | 'mismatch' | 'untracked'
+
+/**
+ * A workshop item found in an appworkshop manifest or content directory
+ */
+export interface InstalledWorkshopItem {
+  /** Workshop item ID */
+  workshopId: number
+  /** Size in bytes according to the manifest, or null if untracked */
+  size: number | null
+  /** Size of the content folder in bytes, or null if it is missing */
+  sizeOnDisk: number | null
+  /** When the installed version was published, or null if not reported */
+  timeUpdated: Date | null
+  /** Installed content manifest ID, or null if not reported */
+  manifestId: string | null
+  /** Absolute path of the item's content folder */
+  contentPath: string
+  /** Whether the content folder agrees with the manifest */
+  status: WorkshopItemStatus
+}
+
+/**
+ * Path of the appworkshop manifest for an app
+ * @param installPath Installation directory
+ * @param appId Steam application ID
+ * @returns Path of `steamapps/workshop/appworkshop_<appid>.acf`
+ */
+export function workshopManifestPath(
+  installPath: string,
+  appId: number | string
+): string {
+  return path.join(
+    installPath,
+    'steamapps',
+    'workshop',
+    `appworkshop_${appId}.acf`
+  )
+}
+
+/**
+ * Path of the directory holding an app's workshop content
+ * @param installPath Installation directory
+ * @param appId Steam application ID
+ * @returns Path of `steamapps/workshop/content/<appid>`
+ */
+export function workshopContentPath(
+  installPath: string,
+  appId: number | string
+): string {
+  return path.resolve(
+    installPath,
+    'steamapps',
+    'workshop',
+    'content',
+    String(appId)
+  )
+}
+
+/**
+ * Read the `WorkshopItemsInstalled` entries of an appworkshop manifest
+ * @param text Contents of `appworkshop_<appid>.acf`
+ * @returns Entries keyed by workshop item ID
+ *
+ * @example
+ * parseWorkshopManifest(text)
+ * // { '450814997': { size: '1048576', timeupdated: '1700000000', manifest: '...' } }
+ */
+export function parseWorkshopManifest(text: string): Record<string, KeyValues> {
+  const root = parseKeyValues(text)['AppWorkshop']
+  const installed =
+    root && typeof root === 'object' ? root['WorkshopItemsInstalled'] : null
+  const items: Record<string, KeyValues> = {}
+  if (!installed || typeof installed !== 'object') return items
+
+  for (const [id, entry] of Object.entries(installed)) {
+    if (/^\d+$/.test(id) && typeof entry === 'object') items[id] = entry
+  }
+  return items
+}
+
+/**
+ * Total size of the files under a directory, not following symlinks
+ * @param dir Directory to measure
+ * @returns Size in bytes, or null if the directory does not exist
+ */
+export async function directorySize(dir: string): Promise<number | null> {
+  let entries: fs.Dirent[]
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch {
+    return null
+  }
+
+  let total = 0
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      total += (await directorySize(full)) ?? 0
+    } else if (entry.isFile()) {
+      try {
+        total += (await lstat(full)).size
+      } catch {
+        // Removed while scanning
+      }
+    }
+  }
+  return total
+}
+
+/**
+ * Read an integer value, or null if missing or not a number
+ * @private
+ */
+function int(entry: KeyValues, key: string): number | null {
+  const value = entry[key]
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null
+  return parseInt(value, 10)
+}
+
+/**
+ * List an app's installed workshop items and check each content folder
+ * against the appworkshop manifest
+ * @param installPath Installation directory
+ * @param appId Steam application ID
+ * @returns Items from the manifest followed by untracked content folders,
+ *   each sorted by workshop ID; empty if nothing is installed
+ */
+export async function inspectWorkshopItems(
+  installPath: string,
+  appId: number | string
+): Promise<InstalledWorkshopItem[]> {
+  let entries: Record<string, KeyValues> = {}
+  try {
+    entries = parseWorkshopManifest(
+      await readFile(workshopManifestPath(installPath, appId), 'utf8')
+    )
+  } catch {
+    // No manifest; content folders are reported as untracked
+  }
+
+  const contentDir = workshopContentPath(installPath, appId)
+  const items: InstalledWorkshopItem[] = []
+
+  const byId = (a: string, b: string) => Number(a) - Number(b)
+  for (const id of Object.keys(entries).sort(byId)) {
+    const entry = entries[id]!
+    const contentPath = path.join(contentDir, id)
+    const size = int(entry, 'size')
+    const sizeOnDisk = await directorySize(contentPath)
+    const timeUpdated = int(entry, 'timeupdated')
+    const manifest = entry['manifest']
+
+    items.push({
+      workshopId: parseInt(id, 10),
+      size,
+      sizeOnDisk,
+      timeUpdated: timeUpdated === null ? null : new Date(timeUpdated * 1000),
+      manifestId: typeof manifest === 'string' && manifest ? manifest : null,
+      contentPath,
+      status:
+        sizeOnDisk === null
+          ? 'missing'
+          : size !== null && size !== sizeOnDisk
+            ? 'mismatch'
+            : 'ok',
+    })
+  }
+
+  let folders: fs.Dirent[] = []
+  try {
+    folders = await readdir(contentDir, { withFileTypes: true })
+  } catch {
+    // No content directory
+  }
+  const untracked = folders
+    .filter((f) => f.isDirectory() && /^\d+$/.test(f.name) && !entries[f.name])
+    .map((f) => f.name)
+    .sort(byId)
+  for (const id of untracked) {
+    const contentPath = path.join(contentDir, id)
+    items.push({
+      workshopId: parseInt(id, 10),
+      size: null,
+      sizeOnDisk: await directorySize(contentPath),
+      timeUpdated: null,
+      manifestId: null,
+      contentPath,
+      status: 'untracked',
+    })
+  }
+
+  return items
+}
+
+export default {
+  workshopManifestPath,
+  workshopContentPath,
+  parseWorkshopManifest,
+  directorySize,
+  inspectWorkshopItems,
+}
@@ -0,0 +1,37 @@
+import fs from 'node:fs'
+
+/**
+ * Quote a string for a POSIX shell
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * Write an executable shell script that stands in for SteamCMD
+ * @param {string} file Path of the script
+ * @param {object} [options]
+ * @param {string[]} [options.lines] Output lines, echoed in order
+ * @param {string[]} [options.body] Shell commands run after the lines
+ * @param {number} [options.exitCode] Exit status (default: 0)
+ * @param {string} [options.argsFile] File each run appends its arguments to
+ * @returns {string} The script path
+ */
+export function fakeSteamCmd(
+  file,
+  { lines = [], body = [], exitCode = 0, argsFile } = {}
+) {
+  fs.writeFileSync(
+    file,
+    [
+      '#!/bin/sh',
+      ...(argsFile ? [`echo "$*" >> ${shellQuote(argsFile)}`] : []),
+      ...lines.map((line) => `echo ${shellQuote(line)}`),
+      ...body,
+      `exit ${exitCode}`,
+      '',
+    ].join('\n'),
+    { mode: 0o755 }
+  )
+  return file
+}
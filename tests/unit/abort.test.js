@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest'
+
+import { delay, descendantPids, followSignal } from '../../dist/abort.js'
+
+describe('abort.js', () => {
+  describe('descendantPids()', () => {
+    it('should collect children and grandchildren', () => {
+      const listing = [
+        '  1     0',
+        ' 10     1',
+        ' 11    10',
+        ' 12    11',
+        ' 20     1',
+      ].join('\n')
+      expect(descendantPids(10, listing)).toEqual([11, 12])
+    })
+
+    it('should return an empty list for a process without children', () => {
+      expect(descendantPids(20, ' 20     1\n')).toEqual([])
+    })
+
+    it('should ignore malformed lines', () => {
+      expect(descendantPids(1, 'garbage\n\n 5 1\n')).toEqual([5])
+    })
+  })
+
+  describe('followSignal()', () => {
+    it('should abort the controller when the signal aborts', () => {
+      const source = new AbortController()
+      const controller = new AbortController()
+      followSignal(controller, source.signal)
+      source.abort('stop')
+      expect(controller.signal.aborted).toBe(true)
+      expect(controller.signal.reason).toBe('stop')
+    })
+
+    it('should abort immediately for an already aborted signal', () => {
+      const controller = new AbortController()
+      followSignal(controller, AbortSignal.abort())
+      expect(controller.signal.aborted).toBe(true)
+    })
+
+    it('should stop following once unsubscribed', () => {
+      const source = new AbortController()
+      const controller = new AbortController()
+      const unfollow = followSignal(controller, source.signal)
+      unfollow()
+      source.abort()
+      expect(controller.signal.aborted).toBe(false)
+    })
+
+    it('should accept a missing signal', () => {
+      const controller = new AbortController()
+      expect(() => followSignal(controller)()).not.toThrow()
+    })
+  })
+
+  describe('delay()', () => {
+    it('should resolve after the delay', async () => {
+      await expect(delay(5)).resolves.toBeUndefined()
+    })
+
+    it('should reject with the abort reason', async () => {
+      const controller = new AbortController()
+      const waiting = delay(10000, controller.signal)
+      controller.abort('cancelled')
+      await expect(waiting).rejects.toBe('cancelled')
+    })
+  })
+})
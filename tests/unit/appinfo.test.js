@@ -0,0 +1,185 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+
+import {
+  cachePath,
+  extractAppInfoBlock,
+  parseAppInfo,
+  parseKeyValues,
+  readCache,
+  stringifyKeyValues,
+  writeCache,
+} from '../../dist/appinfo.js'
+
+/**
+ * Read a recorded SteamCMD output fixture
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8')
+}
+
+describe('appinfo.js', () => {
+  describe('parseKeyValues()', () => {
+    it('should parse nested blocks', () => {
+      expect(
+        parseKeyValues('"740" { "common" { "name" "CS:GO DS" } "id" "1" }')
+      ).toEqual({ 740: { common: { name: 'CS:GO DS' }, id: '1' } })
+    })
+
+    it('should handle escapes, braces in strings and comments', () => {
+      expect(
+        parseKeyValues(
+          [
+            '// comment',
+            '"a" "say \\"hi\\" {}"',
+            '"b" { } // trailing',
+            'bare value',
+          ].join('\n')
+        )
+      ).toEqual({ a: 'say "hi" {}', b: {}, bare: 'value' })
+    })
+
+    it('should keep the last value of a repeated key', () => {
+      expect(parseKeyValues('"a" "1" "a" "2"')).toEqual({ a: '2' })
+    })
+  })
+
+  describe('stringifyKeyValues()', () => {
+    it('should write the .acf layout', () => {
+      expect(
+        stringifyKeyValues({ AppState: { appid: '740', UserConfig: {} } })
+      ).toBe('"AppState"\n{\n\t"appid"\t\t"740"\n\t"UserConfig"\n\t{\n\t}\n}\n')
+    })
+
+    it('should round-trip through parseKeyValues()', () => {
+      const kv = { a: { 'say "hi"': 'back\\slash', b: { c: '' } } }
+      expect(parseKeyValues(stringifyKeyValues(kv))).toEqual(kv)
+    })
+  })
+
+  describe('extractAppInfoBlock()', () => {
+    it('should ignore output around the block', () => {
+      const block = extractAppInfoBlock(fixture('app_info_print_90.txt'), 90)
+      expect(block.common.name).toBe('Half-Life Dedicated Server')
+    })
+
+    it('should return null when the app is missing', () => {
+      expect(
+        extractAppInfoBlock(fixture('app_info_print_90.txt'), 740)
+      ).toBeNull()
+      expect(extractAppInfoBlock('"90"\n{\n"common"', 90)).toBeNull()
+    })
+  })
+
+  describe('parseAppInfo()', () => {
+    it('should parse the common section', () => {
+      const info = parseAppInfo(fixture('app_info_print_740.txt'), 740)
+      expect(info).toMatchObject({
+        appId: 740,
+        name: 'Counter-Strike Global Offensive - Dedicated Server',
+        type: 'Tool',
+      })
+      expect(info.raw.config.launch['0'].arguments).toContain('"+sv_tags"')
+    })
+
+    it('should parse depots.branches', () => {
+      const { branches } = parseAppInfo(fixture('app_info_print_740.txt'), 740)
+      expect(Object.keys(branches)).toEqual(['public', '1.38.8.1'])
+      expect(branches.public).toEqual({
+        buildId: 13336530,
+        timeUpdated: new Date(1708108009 * 1000),
+        description: null,
+        passwordRequired: false,
+      })
+      expect(branches['1.38.8.1']).toMatchObject({
+        buildId: 13301452,
+        description: 'Legacy build 1.38.8.1',
+        passwordRequired: true,
+      })
+    })
+
+    it('should report the size of each depot', () => {
+      const { depots } = parseAppInfo(fixture('app_info_print_740.txt'), 740)
+      expect(depots).toEqual([
+        {
+          depotId: 731,
+          name: 'CS:GO Dedicated Server Content',
+          oslist: [],
+          size: 30102462573,
+          downloadSize: 14035693104,
+        },
+        {
+          depotId: 741,
+          name: 'CS:GO Dedicated Server Linux',
+          oslist: ['linux'],
+          size: 74853120,
+          downloadSize: 21905504,
+        },
+        {
+          depotId: 228990,
+          name: null,
+          oslist: ['windows'],
+          size: null,
+          downloadSize: null,
+        },
+      ])
+    })
+
+    it('should fall back to maxsize for older manifest entries', () => {
+      const { depots } = parseAppInfo(fixture('app_info_print_90.txt'), 90)
+      expect(depots).toEqual([
+        {
+          depotId: 1006,
+          name: null,
+          oslist: [],
+          size: 123456789,
+          downloadSize: null,
+        },
+      ])
+    })
+
+    it('should return null without app info', () => {
+      expect(parseAppInfo('Loading Steam API...OK', 740)).toBeNull()
+    })
+  })
+
+  describe('cache', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should round-trip app info through the SteamCMD directory', async () => {
+      const info = parseAppInfo(fixture('app_info_print_90.txt'), 90)
+      await writeCache(tempDir, info)
+      expect(fs.existsSync(cachePath(tempDir, 90))).toBe(true)
+      expect(await readCache(tempDir, 90, 60000)).toEqual(info)
+    })
+
+    it('should ignore stale or missing entries', async () => {
+      const info = parseAppInfo(fixture('app_info_print_90.txt'), 90)
+      await writeCache(tempDir, info)
+      const file = cachePath(tempDir, 90)
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'))
+      entry.fetchedAt -= 120000
+      fs.writeFileSync(file, JSON.stringify(entry))
+
+      expect(await readCache(tempDir, 90, 60000)).toBeNull()
+      expect(await readCache(tempDir, 740, 60000)).toBeNull()
+    })
+
+    it('should ignore unwritable directories', async () => {
+      const info = parseAppInfo(fixture('app_info_print_90.txt'), 90)
+      const file = path.join(tempDir, 'file')
+      fs.writeFileSync(file, '')
+      await expect(writeCache(file, info)).resolves.toBeUndefined()
+    })
+  })
+})
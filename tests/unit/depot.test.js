@@ -0,0 +1,136 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+
+import {
+  depotStagingPath,
+  moveContents,
+  parseDepotDownload,
+  parseInstalledDepots,
+} from '../../dist/depot.js'
+
+const MANIFEST = `"AppState"
+{
+	"appid"		"740"
+	"buildid"		"13336530"
+	"InstalledDepots"
+	{
+		"741"
+		{
+			"manifest"		"7043469183016184477"
+			"size"		"74853120"
+		}
+		"731"
+		{
+			"manifest"		"4413640735931574437"
+			"size"		"30102462573"
+			"dlcappid"		"0"
+		}
+	}
+	"UserConfig"
+	{
+		"language"		"english"
+	}
+}
+`
+
+describe('depot.js', () => {
+  describe('parseInstalledDepots()', () => {
+    it('should read InstalledDepots entries', () => {
+      expect(parseInstalledDepots(MANIFEST)).toEqual([
+        {
+          depotId: 731,
+          manifestId: '4413640735931574437',
+          size: 30102462573,
+        },
+        { depotId: 741, manifestId: '7043469183016184477', size: 74853120 },
+      ])
+    })
+
+    it('should return an empty list without InstalledDepots', () => {
+      expect(parseInstalledDepots('"AppState" { "appid" "740" }')).toEqual([])
+      expect(parseInstalledDepots('')).toEqual([])
+    })
+  })
+
+  describe('depotStagingPath()', () => {
+    it('should point into steamapps/content', () => {
+      expect(depotStagingPath('/steamcmd', 740, 741)).toBe(
+        path.join('/steamcmd', 'steamapps', 'content', 'app_740', 'depot_741')
+      )
+    })
+  })
+
+  describe('parseDepotDownload()', () => {
+    it('should parse a completed download', () => {
+      expect(
+        parseDepotDownload(
+          'Depot download complete : "/steamcmd/steamapps/content/app_740/depot_741" (1204 files, manifest 7043469183016184477)'
+        )
+      ).toEqual({
+        success: true,
+        path: '/steamcmd/steamapps/content/app_740/depot_741',
+        manifestId: '7043469183016184477',
+        files: 1204,
+      })
+    })
+
+    it('should accept a line without details', () => {
+      expect(
+        parseDepotDownload('Depot download complete : "C:\\steamcmd\\depot"')
+      ).toEqual({
+        success: true,
+        path: 'C:\\steamcmd\\depot',
+        manifestId: null,
+        files: null,
+      })
+    })
+
+    it('should parse a failed download', () => {
+      expect(
+        parseDepotDownload(
+          'Depot download failed : Depot manifest 123 not available'
+        )
+      ).toEqual({ success: false, reason: 'Depot manifest 123 not available' })
+    })
+
+    it('should ignore other lines', () => {
+      expect(parseDepotDownload('Downloading depot 741 (71 MB) ...')).toBeNull()
+    })
+  })
+
+  describe('moveContents()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should merge into existing directories and replace files', async () => {
+      const source = path.join(tempDir, 'source')
+      const target = path.join(tempDir, 'target')
+      fs.mkdirSync(path.join(source, 'bin'), { recursive: true })
+      fs.writeFileSync(path.join(source, 'bin', 'srcds'), 'new')
+      fs.writeFileSync(path.join(source, 'readme.txt'), 'readme')
+      fs.mkdirSync(path.join(target, 'bin'), { recursive: true })
+      fs.writeFileSync(path.join(target, 'bin', 'srcds'), 'old')
+      fs.writeFileSync(path.join(target, 'bin', 'other'), 'kept')
+
+      await moveContents(source, target)
+
+      expect(fs.readFileSync(path.join(target, 'bin', 'srcds'), 'utf8')).toBe(
+        'new'
+      )
+      expect(fs.readFileSync(path.join(target, 'bin', 'other'), 'utf8')).toBe(
+        'kept'
+      )
+      expect(fs.existsSync(path.join(target, 'readme.txt'))).toBe(true)
+      expect(fs.readdirSync(source)).toEqual([])
+    })
+  })
+})
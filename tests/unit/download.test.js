@@ -1,12 +1,56 @@
+import crypto from 'node:crypto'
 import { EventEmitter } from 'node:events'
-import { describe, expect, it } from 'vitest'
+import fs from 'node:fs'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import * as tar from 'tar'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
 // Import the module exports we can test without mocking
 import download, {
+  archiveFormat,
+  DOWNLOAD_URL_ENV_VAR,
   DOWNLOAD_URLS,
   DownloadError,
   downloadWithProgress,
+  extractArchive,
+  fetchArchive,
+  isRetryableDownloadError,
+  promoteStaging,
+  resolveDownloadUrl,
+  sha256File,
+  verifyArchive,
 } from '../../dist/download.js'
 
+const PAYLOAD = Buffer.from('steamcmd archive payload '.repeat(200))
+
+/**
+ * Build a tar.gz archive containing a fake steamcmd.sh
+ */
+async function makeArchive(dir) {
+  const srcDir = path.join(dir, 'archive-src')
+  fs.mkdirSync(srcDir, { recursive: true })
+  fs.writeFileSync(path.join(srcDir, 'steamcmd.sh'), '#!/bin/sh\n', {
+    mode: 0o755,
+  })
+  const archive = path.join(dir, 'steamcmd_linux.tar.gz')
+  await tar.c({ gzip: true, file: archive, cwd: srcDir }, ['steamcmd.sh'])
+  return archive
+}
+
+/**
+ * Start a local HTTP server with the given request handler
+ */
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      resolve({ server, url: `http://127.0.0.1:${port}` })
+    })
+  })
+}
+
 describe('download.js', () => {
   describe('DownloadError', () => {
     it('should create an error with message and code', () => {
@@ -184,4 +228,731 @@ describe('download.js', () => {
       expect(emitter.listeners('complete').length).toBe(1)
     })
   })
+
+  describe('isRetryableDownloadError()', () => {
+    it('should retry network errors', () => {
+      expect(
+        isRetryableDownloadError(new DownloadError('x', 'NETWORK_ERROR'))
+      ).toBe(true)
+    })
+
+    it('should retry 5xx responses only', () => {
+      expect(
+        isRetryableDownloadError(new DownloadError('x', 'HTTP_ERROR', 503))
+      ).toBe(true)
+      expect(
+        isRetryableDownloadError(new DownloadError('x', 'HTTP_ERROR', 404))
+      ).toBe(false)
+    })
+
+    it('should not retry other errors', () => {
+      expect(isRetryableDownloadError(new Error('x'))).toBe(false)
+      expect(
+        isRetryableDownloadError(new DownloadError('x', 'EXTRACT_ERROR'))
+      ).toBe(false)
+    })
+  })
+
+  describe('fetchArchive()', () => {
+    let tempDir
+    let server
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      server?.close()
+      server = undefined
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should download a file', async () => {
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+        res.end(PAYLOAD)
+      }))
+      const file = path.join(tempDir, 'archive')
+      const bytes = await fetchArchive(`${url}/archive`, file)
+      expect(bytes).toBe(PAYLOAD.length)
+      expect(fs.readFileSync(file)).toEqual(PAYLOAD)
+    })
+
+    it('should follow redirects', async () => {
+      let url
+      ;({ server, url } = await listen((req, res) => {
+        if (req.url === '/old') {
+          res.writeHead(302, { Location: '/new' })
+          res.end()
+          return
+        }
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+        res.end(PAYLOAD)
+      }))
+      const file = path.join(tempDir, 'archive')
+      await fetchArchive(`${url}/old`, file)
+      expect(fs.readFileSync(file)).toEqual(PAYLOAD)
+    })
+
+    it('should stop after maxRedirects', async () => {
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        res.writeHead(301, { Location: '/loop' })
+        res.end()
+      }))
+      await expect(
+        fetchArchive(`${url}/loop`, path.join(tempDir, 'archive'), {
+          maxRedirects: 2,
+        })
+      ).rejects.toMatchObject({ code: 'TOO_MANY_REDIRECTS' })
+    })
+
+    it('should retry 5xx responses with increasing attempts', async () => {
+      let requests = 0
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        requests++
+        if (requests < 3) {
+          res.writeHead(503)
+          res.end()
+          return
+        }
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+        res.end(PAYLOAD)
+      }))
+      const attempts = []
+      await fetchArchive(`${url}/archive`, path.join(tempDir, 'archive'), {
+        retryDelayMs: 1,
+        onProgress: (p) => {
+          if (p.phase === 'retrying') attempts.push(p.attempt)
+        },
+      })
+      expect(requests).toBe(3)
+      expect(attempts).toEqual([2, 3])
+    })
+
+    it('should not retry 4xx responses', async () => {
+      let requests = 0
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        requests++
+        res.writeHead(404)
+        res.end()
+      }))
+      await expect(
+        fetchArchive(`${url}/archive`, path.join(tempDir, 'archive'), {
+          retryDelayMs: 1,
+        })
+      ).rejects.toMatchObject({ code: 'HTTP_ERROR', statusCode: 404 })
+      expect(requests).toBe(1)
+    })
+
+    it('should give up after the configured retries', async () => {
+      let requests = 0
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        requests++
+        res.writeHead(500)
+        res.end()
+      }))
+      await expect(
+        fetchArchive(`${url}/archive`, path.join(tempDir, 'archive'), {
+          retries: 1,
+          retryDelayMs: 1,
+        })
+      ).rejects.toMatchObject({ code: 'HTTP_ERROR', statusCode: 500 })
+      expect(requests).toBe(2)
+    })
+
+    it('should resume with a Range request after a dropped connection', async () => {
+      const half = Math.floor(PAYLOAD.length / 2)
+      const ranges = []
+      let url
+      ;({ server, url } = await listen((req, res) => {
+        ranges.push(req.headers.range || null)
+        if (!req.headers.range) {
+          res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+          res.write(PAYLOAD.subarray(0, half), () => res.destroy())
+          return
+        }
+        const start = parseInt(req.headers.range.match(/bytes=(\d+)-/)[1], 10)
+        res.writeHead(206, {
+          'Content-Length': PAYLOAD.length - start,
+          'Content-Range': `bytes ${start}-${PAYLOAD.length - 1}/${PAYLOAD.length}`,
+        })
+        res.end(PAYLOAD.subarray(start))
+      }))
+      const file = path.join(tempDir, 'archive')
+      const bytes = await fetchArchive(`${url}/archive`, file, {
+        retryDelayMs: 1,
+      })
+      expect(ranges[0]).toBeNull()
+      expect(ranges[1]).toMatch(/^bytes=\d+-$/)
+      expect(bytes).toBe(PAYLOAD.length)
+      expect(fs.readFileSync(file)).toEqual(PAYLOAD)
+    })
+
+    it('should restart when the server ignores the Range header', async () => {
+      let requests = 0
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        requests++
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+        if (requests === 1) {
+          res.write(PAYLOAD.subarray(0, 100), () => res.destroy())
+          return
+        }
+        res.end(PAYLOAD)
+      }))
+      const file = path.join(tempDir, 'archive')
+      await fetchArchive(`${url}/archive`, file, { retryDelayMs: 1 })
+      expect(fs.readFileSync(file)).toEqual(PAYLOAD)
+    })
+  })
+
+  describe('extractArchive()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should extract a tar.gz archive', async () => {
+      const srcDir = path.join(tempDir, 'src')
+      const destDir = path.join(tempDir, 'dest')
+      fs.mkdirSync(srcDir)
+      fs.mkdirSync(destDir)
+      fs.writeFileSync(path.join(srcDir, 'steamcmd.sh'), '#!/bin/sh\n')
+      const archive = path.join(tempDir, 'steamcmd.tar.gz')
+      await tar.c({ gzip: true, file: archive, cwd: srcDir }, ['steamcmd.sh'])
+
+      await extractArchive(archive, destDir, 'tar')
+      expect(fs.existsSync(path.join(destDir, 'steamcmd.sh'))).toBe(true)
+    })
+
+    it('should reject corrupt archives with EXTRACT_ERROR', async () => {
+      const archive = path.join(tempDir, 'broken.tar.gz')
+      fs.writeFileSync(archive, 'not a tarball')
+      await expect(
+        extractArchive(archive, tempDir, 'tar')
+      ).rejects.toMatchObject({ code: 'EXTRACT_ERROR' })
+    })
+  })
+
+  describe('resolveDownloadUrl()', () => {
+    const original = process.env[DOWNLOAD_URL_ENV_VAR]
+
+    afterEach(() => {
+      if (original === undefined) {
+        delete process.env[DOWNLOAD_URL_ENV_VAR]
+      } else {
+        process.env[DOWNLOAD_URL_ENV_VAR] = original
+      }
+    })
+
+    it('should default to the Steam CDN', () => {
+      delete process.env[DOWNLOAD_URL_ENV_VAR]
+      expect(resolveDownloadUrl()).toBe(DOWNLOAD_URLS[os.platform()])
+    })
+
+    it('should use STEAMCMD_DOWNLOAD_URL when set', () => {
+      process.env[DOWNLOAD_URL_ENV_VAR] = 'https://mirror.example/steamcmd.zip'
+      expect(resolveDownloadUrl()).toBe('https://mirror.example/steamcmd.zip')
+    })
+
+    it('should prefer the url option', () => {
+      process.env[DOWNLOAD_URL_ENV_VAR] = 'https://mirror.example/a.tar.gz'
+      expect(
+        resolveDownloadUrl({ url: 'https://other.example/b.tar.gz' })
+      ).toBe('https://other.example/b.tar.gz')
+    })
+  })
+
+  describe('archiveFormat()', () => {
+    it('should detect zip archives', () => {
+      expect(archiveFormat('steamcmd.zip')).toBe('zip')
+      expect(archiveFormat('https://host/steamcmd.ZIP?token=1')).toBe('zip')
+    })
+
+    it('should detect tar archives', () => {
+      expect(archiveFormat('steamcmd_linux.tar.gz')).toBe('tar')
+      expect(archiveFormat('steamcmd.tgz')).toBe('tar')
+    })
+
+    it('should fall back to the platform format', () => {
+      const expected = os.platform() === 'win32' ? 'zip' : 'tar'
+      expect(archiveFormat('https://host/download?id=1')).toBe(expected)
+    })
+  })
+
+  describe('download() with overrides', () => {
+    let tempDir
+    let server
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      server?.close()
+      server = undefined
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should download from a custom mirror url', async () => {
+      const archive = await makeArchive(tempDir)
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        const body = fs.readFileSync(archive)
+        res.writeHead(200, { 'Content-Length': body.length })
+        res.end(body)
+      }))
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      const reports = []
+      await download({
+        url: `${url}/steamcmd_linux.tar.gz`,
+        steamCmdDir,
+        onProgress: (p) => reports.push(p),
+      })
+      expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(true)
+      expect(reports[0].phase).toBe('starting')
+      expect(reports[reports.length - 1]).toMatchObject({
+        phase: 'complete',
+        overallPercent: 100,
+        elapsedMs: expect.any(Number),
+      })
+    })
+
+    it('should install from a local archive', async () => {
+      const archive = await makeArchive(tempDir)
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      await download({ archivePath: archive, steamCmdDir })
+      expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(true)
+      // The caller's archive is left in place
+      expect(fs.existsSync(archive)).toBe(true)
+    })
+
+    it('should reject a missing local archive', async () => {
+      await expect(
+        download({
+          archivePath: path.join(tempDir, 'missing.tar.gz'),
+          steamCmdDir: path.join(tempDir, 'steamcmd'),
+        })
+      ).rejects.toMatchObject({ code: 'ARCHIVE_NOT_FOUND' })
+    })
+
+    it('should reject an invalid url', async () => {
+      await expect(
+        download({
+          url: 'not a url',
+          steamCmdDir: path.join(tempDir, 'steamcmd'),
+        })
+      ).rejects.toMatchObject({ code: 'INVALID_URL' })
+    })
+  })
+
+  describe('verifyArchive()', () => {
+    let tempDir
+    let file
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      file = path.join(tempDir, 'archive')
+      fs.writeFileSync(file, PAYLOAD)
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should compute the SHA-256 of a file', async () => {
+      const expected = crypto.createHash('sha256').update(PAYLOAD).digest('hex')
+      expect(await sha256File(file)).toBe(expected)
+    })
+
+    it('should accept a matching size and checksum', async () => {
+      const sha256 = crypto.createHash('sha256').update(PAYLOAD).digest('hex')
+      await expect(
+        verifyArchive(file, {
+          size: PAYLOAD.length,
+          sha256: sha256.toUpperCase(),
+        })
+      ).resolves.toBeUndefined()
+    })
+
+    it('should reject a size mismatch', async () => {
+      await expect(verifyArchive(file, { size: 1 })).rejects.toMatchObject({
+        code: 'SIZE_MISMATCH',
+      })
+    })
+
+    it('should reject a checksum mismatch', async () => {
+      await expect(
+        verifyArchive(file, { sha256: '0'.repeat(64) })
+      ).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' })
+    })
+  })
+
+  describe('promoteStaging()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should replace the archive entries and keep everything else', () => {
+      const destDir = path.join(tempDir, 'steamcmd')
+      const stagingDir = path.join(tempDir, 'staging')
+      fs.mkdirSync(path.join(destDir, 'linux32'), { recursive: true })
+      fs.writeFileSync(path.join(destDir, 'steamcmd.sh'), 'old')
+      fs.writeFileSync(path.join(destDir, 'linux32', 'stale.so'), 'old')
+      fs.writeFileSync(path.join(destDir, 'config.vdf'), 'login')
+      fs.mkdirSync(path.join(stagingDir, 'linux32'), { recursive: true })
+      fs.writeFileSync(path.join(stagingDir, 'steamcmd.sh'), 'new')
+      fs.writeFileSync(path.join(stagingDir, 'linux32', 'steamcmd'), 'new')
+
+      promoteStaging(stagingDir, destDir)
+      expect(fs.readdirSync(destDir).sort()).toEqual([
+        'config.vdf',
+        'linux32',
+        'steamcmd.sh',
+      ])
+      expect(fs.readFileSync(path.join(destDir, 'steamcmd.sh'), 'utf8')).toBe(
+        'new'
+      )
+      expect(fs.readdirSync(path.join(destDir, 'linux32'))).toEqual([
+        'steamcmd',
+      ])
+      expect(fs.readFileSync(path.join(destDir, 'config.vdf'), 'utf8')).toBe(
+        'login'
+      )
+      expect(fs.readdirSync(stagingDir)).toEqual([])
+    })
+
+    it('should restore the replaced entries when the move fails', () => {
+      const destDir = path.join(tempDir, 'steamcmd')
+      const stagingDir = path.join(tempDir, 'staging')
+      fs.mkdirSync(destDir)
+      fs.writeFileSync(path.join(destDir, 'steamcmd.sh'), 'old')
+      fs.mkdirSync(stagingDir)
+      fs.writeFileSync(path.join(stagingDir, 'steamcmd.sh'), 'new')
+      fs.mkdirSync(path.join(stagingDir, 'linux32'))
+      fs.mkdirSync(path.join(destDir, 'linux32'))
+      const rename = fs.renameSync
+      const spy = vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+        if (from === path.join(stagingDir, 'linux32')) {
+          throw Object.assign(new Error('disk full'), { code: 'ENOSPC' })
+        }
+        rename(from, to)
+      })
+
+      try {
+        expect(() => promoteStaging(stagingDir, destDir)).toThrow('disk full')
+      } finally {
+        spy.mockRestore()
+      }
+      expect(fs.readdirSync(destDir).sort()).toEqual(['linux32', 'steamcmd.sh'])
+      expect(fs.readFileSync(path.join(destDir, 'steamcmd.sh'), 'utf8')).toBe(
+        'old'
+      )
+    })
+
+    it('should create the directory when missing', () => {
+      const destDir = path.join(tempDir, 'steamcmd')
+      const stagingDir = path.join(tempDir, 'staging')
+      fs.mkdirSync(stagingDir)
+      fs.writeFileSync(path.join(stagingDir, 'steamcmd.sh'), 'new')
+
+      promoteStaging(stagingDir, destDir)
+      expect(fs.existsSync(path.join(destDir, 'steamcmd.sh'))).toBe(true)
+    })
+  })
+
+  describe('download() integrity', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should leave the directory untouched on a checksum mismatch', async () => {
+      const archive = await makeArchive(tempDir)
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      fs.mkdirSync(steamCmdDir)
+      fs.writeFileSync(path.join(steamCmdDir, 'existing'), 'keep')
+
+      await expect(
+        download({ archivePath: archive, steamCmdDir, sha256: '0'.repeat(64) })
+      ).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' })
+      expect(fs.readdirSync(steamCmdDir)).toEqual(['existing'])
+    })
+
+    it('should not create the directory when extraction fails', async () => {
+      const archive = path.join(tempDir, 'broken.tar.gz')
+      fs.writeFileSync(archive, 'not a tarball')
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+
+      await expect(
+        download({ archivePath: archive, steamCmdDir })
+      ).rejects.toMatchObject({ code: 'EXTRACT_ERROR' })
+      expect(fs.existsSync(steamCmdDir)).toBe(false)
+      // No staging directories are left behind
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['broken.tar.gz'])
+    })
+
+    it('should keep unrelated files when re-downloading', async () => {
+      const archive = await makeArchive(tempDir)
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      const save = path.join(steamCmdDir, 'steamapps', 'common', 'game')
+      fs.mkdirSync(save, { recursive: true })
+      fs.writeFileSync(path.join(save, 'save.dat'), 'progress')
+      fs.writeFileSync(path.join(steamCmdDir, '.steamcmd-bootstrapped'), '{}')
+      fs.writeFileSync(path.join(steamCmdDir, 'steamcmd.sh'), 'old')
+
+      await download({ archivePath: archive, steamCmdDir })
+      expect(fs.readdirSync(steamCmdDir).sort()).toEqual([
+        '.steamcmd-bootstrapped',
+        'steamapps',
+        'steamcmd.sh',
+      ])
+      expect(fs.readFileSync(path.join(save, 'save.dat'), 'utf8')).toBe(
+        'progress'
+      )
+      expect(
+        fs.readFileSync(path.join(steamCmdDir, 'steamcmd.sh'), 'utf8')
+      ).toBe('#!/bin/sh\n')
+    })
+
+    it('should install when the checksum matches', async () => {
+      const archive = await makeArchive(tempDir)
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      const sha256 = await sha256File(archive)
+
+      await download({ archivePath: archive, steamCmdDir, sha256 })
+      expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(true)
+    })
+  })
+
+  describe('download() cancellation', () => {
+    let tempDir
+    let server
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      server?.closeAllConnections()
+      server?.close()
+      server = undefined
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Serve the first half of the payload, then stall
+     */
+    function stalling() {
+      return listen((_req, res) => {
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+        res.write(PAYLOAD.subarray(0, PAYLOAD.length / 2))
+      })
+    }
+
+    it('should fail with ABORTED when the signal aborts mid-transfer', async () => {
+      let url
+      ;({ server, url } = await stalling())
+      const controller = new AbortController()
+      const fetching = fetchArchive(`${url}/a`, path.join(tempDir, 'a'), {
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      })
+      await expect(fetching).rejects.toMatchObject({ code: 'ABORTED' })
+    })
+
+    it('should fail with TIMEOUT when no data arrives for idleTimeoutMs', async () => {
+      let url
+      ;({ server, url } = await stalling())
+      await expect(
+        fetchArchive(`${url}/a`, path.join(tempDir, 'a'), {
+          idleTimeoutMs: 100,
+          retries: 0,
+        })
+      ).rejects.toMatchObject({ code: 'TIMEOUT' })
+    })
+
+    it('should not retry after an idle timeout', async () => {
+      let requests = 0
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        requests++
+        res.writeHead(200, { 'Content-Length': PAYLOAD.length })
+      }))
+      await expect(
+        fetchArchive(`${url}/a`, path.join(tempDir, 'a'), {
+          idleTimeoutMs: 100,
+          retryDelayMs: 1,
+        })
+      ).rejects.toMatchObject({ code: 'TIMEOUT' })
+      expect(requests).toBe(1)
+    })
+
+    it('should cancel the wait between retries', async () => {
+      let url
+      ;({ server, url } = await listen((_req, res) => {
+        res.writeHead(503)
+        res.end()
+      }))
+      const controller = new AbortController()
+      const fetching = fetchArchive(`${url}/a`, path.join(tempDir, 'a'), {
+        signal: controller.signal,
+        retryDelayMs: 60000,
+        onProgress: (p) => {
+          if (p.phase === 'retrying') controller.abort()
+        },
+      })
+      await expect(fetching).rejects.toMatchObject({ code: 'ABORTED' })
+    })
+
+    it('should fail with TIMEOUT after timeoutMs and clean up', async () => {
+      let url
+      ;({ server, url } = await stalling())
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      await expect(
+        download({
+          url: `${url}/steamcmd_linux.tar.gz`,
+          steamCmdDir,
+          timeoutMs: 200,
+        })
+      ).rejects.toMatchObject({ code: 'TIMEOUT' })
+      expect(fs.readdirSync(tempDir)).toEqual([])
+    })
+
+    it('should not start for an already aborted signal', async () => {
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      await expect(
+        download({
+          archivePath: await makeArchive(tempDir),
+          steamCmdDir,
+          signal: AbortSignal.abort(),
+        })
+      ).rejects.toMatchObject({ code: 'ABORTED' })
+      expect(fs.existsSync(steamCmdDir)).toBe(false)
+    })
+
+    it('should not install when aborted during extraction', async () => {
+      const archivePath = await makeArchive(tempDir)
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      const controller = new AbortController()
+      // tar opens the archive once extraction starts
+      const open = fs.open
+      const spy = vi.spyOn(fs, 'open').mockImplementation((...args) => {
+        controller.abort()
+        return open(...args)
+      })
+
+      try {
+        await expect(
+          download({ archivePath, steamCmdDir, signal: controller.signal })
+        ).rejects.toMatchObject({ code: 'ABORTED' })
+        expect(spy).toHaveBeenCalled()
+      } finally {
+        spy.mockRestore()
+      }
+      expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(false)
+    })
+
+    it('should stop through the emitter cancel()', async () => {
+      let url
+      ;({ server, url } = await stalling())
+      const emitter = downloadWithProgress({
+        url: `${url}/steamcmd_linux.tar.gz`,
+        steamCmdDir: path.join(tempDir, 'steamcmd'),
+      })
+      emitter.on('progress', (p) => {
+        if (p.phase === 'downloading') emitter.cancel()
+      })
+      const err = await new Promise((resolve) => emitter.on('error', resolve))
+      expect(err.code).toBe('ABORTED')
+    })
+  })
+
+  describe('download() through a proxy', () => {
+    let tempDir
+    let servers = []
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      for (const server of servers) server.close()
+      servers = []
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should request plain HTTP mirrors through the proxy', async () => {
+      const archive = await makeArchive(tempDir)
+      const origin = await listen((_req, res) => {
+        const body = fs.readFileSync(archive)
+        res.writeHead(200, { 'Content-Length': body.length })
+        res.end(body)
+      })
+      servers.push(origin.server)
+
+      const seen = []
+      const proxy = await listen((req, res) => {
+        seen.push({ url: req.url, auth: req.headers['proxy-authorization'] })
+        http.get(req.url, (upstream) => {
+          res.writeHead(upstream.statusCode, upstream.headers)
+          upstream.pipe(res)
+        })
+      })
+      servers.push(proxy.server)
+
+      const steamCmdDir = path.join(tempDir, 'steamcmd')
+      const proxyUrl = new URL(proxy.url)
+      proxyUrl.username = 'user'
+      proxyUrl.password = 'secret'
+      await download({
+        url: `${origin.url}/steamcmd_linux.tar.gz`,
+        proxy: proxyUrl.toString(),
+        steamCmdDir,
+      })
+
+      expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(true)
+      expect(seen[0].url).toBe(`${origin.url}/steamcmd_linux.tar.gz`)
+      expect(seen[0].auth).toBe(
+        `Basic ${Buffer.from('user:secret').toString('base64')}`
+      )
+    })
+
+    it('should report PROXY_ERROR when the proxy demands credentials', async () => {
+      const proxy = await listen((_req, res) => {
+        res.writeHead(407)
+        res.end()
+      })
+      servers.push(proxy.server)
+
+      await expect(
+        download({
+          url: 'http://127.0.0.1:9/steamcmd_linux.tar.gz',
+          proxy: proxy.url,
+          steamCmdDir: path.join(tempDir, 'steamcmd'),
+        })
+      ).rejects.toMatchObject({ code: 'PROXY_ERROR', statusCode: 407 })
+    })
+  })
 })
@@ -1,14 +1,24 @@
+import fs from 'node:fs'
 import os from 'node:os'
 import path from 'node:path'
-import { describe, expect, it } from 'vitest'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
 
 // Import the actual module - testing real behavior on current platform
 import {
   directory,
+  EXECUTABLE_ENV_VAR,
   executable,
+  findSystemExecutable,
+  HOME_ENV_VAR,
+  isExecutableFile,
   isPlatformSupported,
   platform,
+  resolveDirectory,
+  resolveExecutable,
   SUPPORTED_PLATFORMS,
+  setDirectory,
+  setExecutable,
+  setSystemLookup,
 } from '../../dist/env.js'
 
 describe('env.js', () => {
@@ -93,4 +103,178 @@ describe('env.js', () => {
       }
     })
   })
+
+  describe('resolveDirectory()', () => {
+    const originalHome = process.env[HOME_ENV_VAR]
+
+    afterEach(() => {
+      setDirectory(null)
+      if (originalHome === undefined) {
+        delete process.env[HOME_ENV_VAR]
+      } else {
+        process.env[HOME_ENV_VAR] = originalHome
+      }
+    })
+
+    it('should use the env-paths default when nothing is set', () => {
+      delete process.env[HOME_ENV_VAR]
+      expect(resolveDirectory().source).toBe('default')
+    })
+
+    it('should use STEAMCMD_HOME when set', () => {
+      const home = path.join(os.tmpdir(), 'steamcmd-home')
+      process.env[HOME_ENV_VAR] = home
+      expect(resolveDirectory()).toEqual({ path: home, source: 'env' })
+    })
+
+    it('should prefer the configured directory over STEAMCMD_HOME', () => {
+      const configured = path.join(os.tmpdir(), 'steamcmd-configured')
+      process.env[HOME_ENV_VAR] = path.join(os.tmpdir(), 'steamcmd-home')
+      setDirectory(configured)
+      expect(resolveDirectory()).toEqual({
+        path: configured,
+        source: 'configure',
+      })
+    })
+
+    it('should prefer a per-call override over everything else', () => {
+      const override = path.join(os.tmpdir(), 'steamcmd-override')
+      setDirectory(path.join(os.tmpdir(), 'steamcmd-configured'))
+      expect(resolveDirectory(override)).toEqual({
+        path: override,
+        source: 'option',
+      })
+    })
+
+    it('should resolve relative paths to absolute', () => {
+      expect(path.isAbsolute(resolveDirectory('relative/dir').path)).toBe(true)
+    })
+
+    it('should build the executable path from the override', () => {
+      const override = path.join(os.tmpdir(), 'steamcmd-override')
+      const execPath = executable(override)
+      if (execPath !== null) {
+        expect(path.dirname(execPath)).toBe(override)
+      }
+    })
+  })
+
+  describe('resolveExecutable()', () => {
+    const originalPath = process.env.PATH
+    const originalExe = process.env[EXECUTABLE_ENV_VAR]
+    const originalHome = process.env[HOME_ENV_VAR]
+    const binName = os.platform() === 'win32' ? 'steamcmd.exe' : 'steamcmd'
+    let binDir
+
+    beforeEach(() => {
+      binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-bin-'))
+      delete process.env[EXECUTABLE_ENV_VAR]
+      delete process.env[HOME_ENV_VAR]
+    })
+
+    afterEach(() => {
+      setExecutable(null)
+      setDirectory(null)
+      setSystemLookup(true)
+      process.env.PATH = originalPath
+      if (originalHome === undefined) {
+        delete process.env[HOME_ENV_VAR]
+      } else {
+        process.env[HOME_ENV_VAR] = originalHome
+      }
+      if (originalExe === undefined) {
+        delete process.env[EXECUTABLE_ENV_VAR]
+      } else {
+        process.env[EXECUTABLE_ENV_VAR] = originalExe
+      }
+      fs.rmSync(binDir, { recursive: true, force: true })
+    })
+
+    function fakeBinary() {
+      const file = path.join(binDir, binName)
+      fs.writeFileSync(file, '#!/bin/sh\n', { mode: 0o755 })
+      return file
+    }
+
+    it('should prefer an explicit path over everything else', () => {
+      process.env[EXECUTABLE_ENV_VAR] = '/from/env/steamcmd'
+      setExecutable('/from/configure/steamcmd')
+      const resolved = resolveExecutable({ steamCmdPath: '/explicit/steamcmd' })
+      expect(resolved.source).toBe('option')
+      expect(resolved.path).toBe(path.resolve('/explicit/steamcmd'))
+    })
+
+    it('should prefer configure() over STEAMCMD_PATH', () => {
+      process.env[EXECUTABLE_ENV_VAR] = '/from/env/steamcmd'
+      setExecutable('/from/configure/steamcmd')
+      expect(resolveExecutable().source).toBe('configure')
+    })
+
+    it('should use STEAMCMD_PATH when set', () => {
+      process.env[EXECUTABLE_ENV_VAR] = '/from/env/steamcmd'
+      expect(resolveExecutable()).toEqual({
+        path: path.resolve('/from/env/steamcmd'),
+        source: 'env',
+      })
+    })
+
+    it('should find steamcmd on PATH', () => {
+      const file = fakeBinary()
+      process.env.PATH = binDir
+      expect(findSystemExecutable()).toBe(file)
+      expect(resolveExecutable()).toEqual({ path: file, source: 'path' })
+    })
+
+    it('should skip PATH lookup when disabled', () => {
+      fakeBinary()
+      process.env.PATH = binDir
+      expect(resolveExecutable({ useSystemSteamCmd: false }).source).toBe(
+        'managed'
+      )
+      setSystemLookup(false)
+      expect(resolveExecutable().source).toBe('managed')
+    })
+
+    it('should prefer an explicitly chosen directory over PATH', () => {
+      const file = fakeBinary()
+      process.env.PATH = binDir
+      const dir = path.join(os.tmpdir(), 'steamcmd-explicit')
+
+      expect(resolveExecutable({ steamCmdDir: dir })).toEqual({
+        path: executable(dir),
+        source: 'managed',
+      })
+      setDirectory(dir)
+      expect(resolveExecutable().path).toBe(executable(dir))
+      setDirectory(null)
+      process.env[HOME_ENV_VAR] = dir
+      expect(resolveExecutable().path).toBe(executable(dir))
+      expect(
+        resolveExecutable({ steamCmdDir: dir, useSystemSteamCmd: true })
+      ).toEqual({ path: file, source: 'path' })
+    })
+
+    it('should fall back to the managed install', () => {
+      process.env.PATH = binDir
+      const override = path.join(os.tmpdir(), 'steamcmd-override')
+      const resolved = resolveExecutable({
+        steamCmdDir: override,
+        useSystemSteamCmd: false,
+      })
+      expect(resolved.source).toBe('managed')
+      expect(resolved.path).toBe(executable(override))
+    })
+  })
+
+  describe('isExecutableFile()', () => {
+    it('should return false for missing files', () => {
+      expect(isExecutableFile(path.join(os.tmpdir(), 'no-such-steamcmd'))).toBe(
+        false
+      )
+    })
+
+    it('should return false for directories', () => {
+      expect(isExecutableFile(os.tmpdir())).toBe(false)
+    })
+  })
 })
@@ -1,13 +1,30 @@
-import { describe, expect, it } from 'vitest'
+import childProcess from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
 
 // Import the module under test - these are pure functions that don't need mocking
 import install, {
+  classifyOutput,
   createArguments,
+  createRunscript,
+  decodeAppState,
+  FAILURE_PATTERNS,
   InstallError,
+  installItems,
   installWithProgress,
+  isTransientError,
+  loginArguments,
+  parseEvents,
+  parseItemResult,
   parseProgress,
+  quoteArgument,
+  runSteamCmd,
+  usesRunscript,
   validateOptions,
 } from '../../dist/install.js'
+import { fakeSteamCmd } from '../helpers/fakeSteamCmd.js'
 
 describe('install.js', () => {
   describe('InstallError', () => {
@@ -235,6 +252,222 @@ describe('install.js', () => {
       })
     })
 
+    describe('steamCmdDir validation', () => {
+      it('should accept a directory string', () => {
+        expect(() =>
+          validateOptions({ steamCmdDir: '/opt/steamcmd' })
+        ).not.toThrow()
+      })
+
+      it('should throw for empty or non-string steamCmdDir', () => {
+        expect(() => validateOptions({ steamCmdDir: '' })).toThrow(
+          'steamCmdDir must be a non-empty string'
+        )
+        expect(() => validateOptions({ steamCmdDir: 42 })).toThrow(
+          'steamCmdDir must be a non-empty string'
+        )
+      })
+    })
+
+    describe('steamCmdPath validation', () => {
+      it('should accept an executable path', () => {
+        expect(() =>
+          validateOptions({ steamCmdPath: '/usr/games/steamcmd' })
+        ).not.toThrow()
+      })
+
+      it('should throw for empty steamCmdPath', () => {
+        expect(() => validateOptions({ steamCmdPath: '' })).toThrow(
+          'steamCmdPath must be a non-empty string'
+        )
+      })
+    })
+
+    describe('proxy validation', () => {
+      it('should accept a proxy URL or false', () => {
+        expect(() =>
+          validateOptions({ proxy: 'http://proxy.local:3128' })
+        ).not.toThrow()
+        expect(() => validateOptions({ proxy: false })).not.toThrow()
+      })
+
+      it('should throw for a non-string proxy', () => {
+        expect(() => validateOptions({ proxy: true })).toThrow(
+          'proxy must be a URL string or false'
+        )
+      })
+    })
+
+    describe('items validation', () => {
+      it('should accept a list of apps and workshop items', () => {
+        expect(() =>
+          validateOptions({
+            items: [
+              { applicationId: 740 },
+              { applicationId: 107410, workshopId: 450814997, path: '/mods' },
+            ],
+          })
+        ).not.toThrow()
+      })
+
+      it('should throw for an empty or non-array items list', () => {
+        expect(() => validateOptions({ items: [] })).toThrow(
+          'items must be a non-empty array'
+        )
+        expect(() => validateOptions({ items: {} })).toThrow(InstallError)
+      })
+
+      it('should throw when combined with applicationId', () => {
+        expect(() =>
+          validateOptions({ applicationId: 740, items: [{ applicationId: 1 }] })
+        ).toThrow('items cannot be combined with applicationId')
+      })
+
+      it('should validate each item', () => {
+        expect(() => validateOptions({ items: [{ workshopId: 1 }] })).toThrow(
+          'Each item requires an applicationId'
+        )
+        expect(() =>
+          validateOptions({ items: [{ applicationId: 740, workshopId: -1 }] })
+        ).toThrow('workshopId must be a positive integer')
+      })
+    })
+
+    describe('quoting validation', () => {
+      it('should reject paths SteamCMD cannot quote', () => {
+        expect(() => validateOptions({ path: '/srv/"game"' })).toThrow(
+          'path must not contain double quotes or line breaks'
+        )
+        expect(() =>
+          validateOptions({ items: [{ applicationId: 1, path: 'a\nquit' }] })
+        ).toThrow(InstallError)
+      })
+
+      it('should accept paths with spaces', () => {
+        expect(() =>
+          validateOptions({ path: '/srv/my game server' })
+        ).not.toThrow()
+      })
+
+      it('should reject credentials with quotes or line breaks', () => {
+        expect(() =>
+          validateOptions({ username: 'user', password: 'pa"ss' })
+        ).toThrow('password must not contain double quotes or line breaks')
+        expect(() => validateOptions({ username: 'user\n+quit' })).toThrow(
+          InstallError
+        )
+      })
+    })
+
+    describe('branch validation', () => {
+      it('should accept a branch and password', () => {
+        expect(() =>
+          validateOptions({ branch: 'experimental', branchPassword: 'pw' })
+        ).not.toThrow()
+      })
+
+      it('should throw for an empty or spaced branch', () => {
+        expect(() => validateOptions({ branch: '' })).toThrow(
+          'branch must be a non-empty string without whitespace'
+        )
+        expect(() => validateOptions({ branch: 'a b' })).toThrow(InstallError)
+      })
+
+      it('should throw for branchPassword without branch', () => {
+        expect(() => validateOptions({ branchPassword: 'pw' })).toThrow(
+          'branchPassword requires branch to be specified'
+        )
+      })
+    })
+
+    describe('timeout validation', () => {
+      it('should accept positive timeouts', () => {
+        expect(() =>
+          validateOptions({ timeoutMs: 60000, idleTimeoutMs: 5000 })
+        ).not.toThrow()
+      })
+
+      it('should throw for zero, negative or non-numeric timeouts', () => {
+        expect(() => validateOptions({ timeoutMs: 0 })).toThrow(
+          'timeoutMs must be a positive number'
+        )
+        expect(() => validateOptions({ idleTimeoutMs: -1 })).toThrow(
+          'idleTimeoutMs must be a positive number'
+        )
+        expect(() => validateOptions({ timeoutMs: '10' })).toThrow(InstallError)
+      })
+    })
+
+    describe('validate option', () => {
+      it('should accept booleans', () => {
+        expect(() => validateOptions({ validate: false })).not.toThrow()
+        expect(() => validateOptions({ validate: true })).not.toThrow()
+      })
+
+      it('should throw for non-boolean values', () => {
+        expect(() => validateOptions({ validate: 'yes' })).toThrow(
+          'validate must be a boolean'
+        )
+      })
+    })
+
+    describe('progress interval validation', () => {
+      it('should accept non-negative intervals', () => {
+        expect(() => validateOptions({ progressIntervalMs: 0 })).not.toThrow()
+        expect(() => validateOptions({ progressIntervalMs: 500 })).not.toThrow()
+      })
+
+      it('should throw for negative or non-numeric intervals', () => {
+        expect(() => validateOptions({ progressIntervalMs: -1 })).toThrow(
+          'progressIntervalMs must be a non-negative number'
+        )
+        expect(() => validateOptions({ progressIntervalMs: '1' })).toThrow(
+          InstallError
+        )
+      })
+    })
+
+    describe('logger validation', () => {
+      it('should accept objects with every log method', () => {
+        expect(() => validateOptions({ logger: console })).not.toThrow()
+      })
+
+      it('should throw for incomplete loggers', () => {
+        expect(() => validateOptions({ logger: { info() {} } })).toThrow(
+          'logger must have debug, info, warn and error methods'
+        )
+        expect(() => validateOptions({ logger: 'console' })).toThrow(
+          InstallError
+        )
+      })
+    })
+
+    describe('retry validation', () => {
+      it('should accept a retry policy', () => {
+        expect(() =>
+          validateOptions({
+            retry: { attempts: 3, backoffMs: 0, retryOn: ['TIMEOUT'] },
+          })
+        ).not.toThrow()
+        expect(() => validateOptions({ retry: {} })).not.toThrow()
+      })
+
+      it('should throw for an invalid retry policy', () => {
+        expect(() => validateOptions({ retry: 3 })).toThrow(
+          'retry must be an object'
+        )
+        expect(() => validateOptions({ retry: { attempts: 0 } })).toThrow(
+          'retry.attempts must be a positive integer'
+        )
+        expect(() => validateOptions({ retry: { backoffMs: -1 } })).toThrow(
+          'retry.backoffMs must be a non-negative number'
+        )
+        expect(() =>
+          validateOptions({ retry: { retryOn: 'TIMEOUT' } })
+        ).toThrow('retry.retryOn must be an array of error codes')
+      })
+    })
+
     describe('combined options', () => {
       it('should accept full valid options', () => {
         expect(() =>
@@ -261,6 +494,34 @@ describe('install.js', () => {
       expect(args).toContain('+@NoPromptForPassword 1')
     })
 
+    it('should skip validation when validate is false', () => {
+      expect(createArguments({ applicationId: 740 })).toContain(
+        '+app_update 740 validate'
+      )
+      const args = createArguments({ applicationId: 740, validate: false })
+      expect(args).toContain('+app_update 740')
+      expect(args.join(' ')).not.toContain('validate')
+    })
+
+    it('should apply validate to every batch item', () => {
+      const args = createArguments({
+        items: [{ applicationId: 740 }, { applicationId: 90 }],
+        validate: false,
+      })
+      expect(args).toContain('+app_update 740')
+      expect(args).toContain('+app_update 90')
+    })
+
+    it('should allow prompts when a Steam Guard handler is set', () => {
+      const args = createArguments({
+        username: 'user',
+        password: 'pass',
+        onSteamGuardRequest: async () => '12345',
+      })
+      expect(args).toContain('+@NoPromptForPassword 0')
+      expect(args).not.toContain('+@NoPromptForPassword 1')
+    })
+
     it('should include shutdown on fail flag', () => {
       const args = createArguments({})
       expect(args).toContain('+@ShutdownOnFailedCommand 1')
@@ -372,6 +633,33 @@ describe('install.js', () => {
         const hasAppUpdate = args.some((a) => a.includes('app_update'))
         expect(hasAppUpdate).toBe(false)
       })
+
+      it('should install a beta branch', () => {
+        const args = createArguments({
+          applicationId: 740,
+          branch: 'experimental',
+        })
+        expect(args).toContain('+app_update 740 -beta experimental validate')
+      })
+
+      it('should pass the branch password', () => {
+        const args = createArguments({
+          applicationId: 740,
+          branch: 'private',
+          branchPassword: 'hunter2',
+        })
+        expect(args).toContain(
+          '+app_update 740 -beta private -betapassword hunter2 validate'
+        )
+      })
+
+      it('should ignore a branch password without a branch', () => {
+        const args = createArguments({
+          applicationId: 740,
+          branchPassword: 'hunter2',
+        })
+        expect(args).toContain('+app_update 740 validate')
+      })
     })
 
     describe('workshop installation', () => {
@@ -392,6 +680,49 @@ describe('install.js', () => {
       })
     })
 
+    describe('batch installation', () => {
+      it('should chain every item after a single login', () => {
+        const args = createArguments({
+          path: '/srv/arma3',
+          items: [
+            { applicationId: 233780, branch: 'creatordlc' },
+            { applicationId: 107410, workshopId: 450814997 },
+            { applicationId: 107410, workshopId: 463939057 },
+          ],
+        })
+        expect(args.filter((a) => a.startsWith('+login'))).toHaveLength(1)
+        expect(args.slice(args.indexOf('+login anonymous') + 1)).toEqual([
+          '+force_install_dir "/srv/arma3"',
+          '+app_update 233780 -beta creatordlc validate',
+          '+workshop_download_item 107410 450814997',
+          '+workshop_download_item 107410 463939057',
+          '+quit',
+        ])
+      })
+
+      it('should switch directories only when an item path changes', () => {
+        const args = createArguments({
+          items: [
+            { applicationId: 740, path: '/a' },
+            { applicationId: 741, path: '/a' },
+            { applicationId: 742, path: '/b' },
+          ],
+        })
+        expect(args.filter((a) => a.startsWith('+force_install_dir'))).toEqual([
+          '+force_install_dir "/a"',
+          '+force_install_dir "/b"',
+        ])
+      })
+
+      it('should keep going after a failed command', () => {
+        const args = createArguments({ items: [{ applicationId: 740 }] })
+        expect(args).toContain('+@ShutdownOnFailedCommand 0')
+        expect(createArguments({ applicationId: 740 })).toContain(
+          '+@ShutdownOnFailedCommand 1'
+        )
+      })
+    })
+
     describe('argument ordering', () => {
       it('should have quit as the last argument', () => {
         const args = createArguments({
@@ -441,6 +772,7 @@ describe('install.js', () => {
           percent: 45,
           bytesDownloaded: 1234567890,
           totalBytes: 2732853760,
+          stateCode: 0x61,
         })
       })
 
@@ -453,6 +785,7 @@ describe('install.js', () => {
           percent: 13, // Math.round(12.50)
           bytesDownloaded: 100000,
           totalBytes: 800000,
+          stateCode: 0x5,
         })
       })
 
@@ -465,6 +798,7 @@ describe('install.js', () => {
           percent: 0,
           bytesDownloaded: 0,
           totalBytes: 1000000,
+          stateCode: 0x11,
         })
       })
 
@@ -480,6 +814,42 @@ describe('install.js', () => {
           'Update state (0xAB) committing, progress: 50.00 (500 / 1000)'
         const progress = parseProgress(output)
         expect(progress.phase).toBe('committing')
+        expect(progress.stateCode).toBe(0xab)
+      })
+    })
+
+    describe('self-update parsing', () => {
+      it('should parse the update check', () => {
+        const progress = parseProgress(
+          '[  0%] Checking for available updates...'
+        )
+        expect(progress).toEqual({
+          phase: 'self-update',
+          percent: 0,
+          bytesDownloaded: 0,
+          totalBytes: 0,
+          message: 'Checking for available updates',
+        })
+      })
+
+      it('should parse update download sizes', () => {
+        const progress = parseProgress(
+          '[ 10%] Downloading update (3,901 of 39,012 KB)...'
+        )
+        expect(progress.phase).toBe('self-update')
+        expect(progress.percent).toBe(10)
+        expect(progress.bytesDownloaded).toBe(3901 * 1024)
+        expect(progress.totalBytes).toBe(39012 * 1024)
+      })
+
+      it('should parse steps without a percentage', () => {
+        const progress = parseProgress('[----] Verifying installation...')
+        expect(progress.phase).toBe('self-update')
+        expect(progress.message).toBe('Verifying installation')
+      })
+
+      it('should not treat app download bars as self-update', () => {
+        expect(parseProgress('[####    ] 50%').phase).toBe('downloading')
       })
     })
 
@@ -540,15 +910,1263 @@ describe('install.js', () => {
     })
   })
 
+  describe('parseEvents()', () => {
+    const types = (line) => parseEvents(line).map((e) => e.type)
+
+    it('should return no events for blank or unrelated lines', () => {
+      expect(parseEvents('')).toEqual([])
+      expect(parseEvents('Loading Steam API...OK')).toEqual([])
+    })
+
+    it('should parse a successful login', () => {
+      const events = parseEvents("Logging in user 'bob' to Steam Public...OK")
+      expect(events.map((e) => e.type)).toEqual([
+        'login-start',
+        'login-success',
+      ])
+      expect(events[0].username).toBe('bob')
+    })
+
+    it('should parse an anonymous login', () => {
+      expect(types('Connecting anonymously to Steam Public...OK')).toEqual([
+        'login-start',
+        'login-success',
+      ])
+    })
+
+    it('should parse a login failure with its reason', () => {
+      const events = parseEvents(
+        "Logging in user 'bob' to Steam Public...FAILED (Invalid Password)"
+      )
+      expect(events.map((e) => e.type)).toEqual([
+        'login-start',
+        'login-failure',
+      ])
+      expect(events[1].reason).toBe('Invalid Password')
+      expect(
+        parseEvents('FAILED login with result code Rate Limit Exceeded')[0]
+      ).toMatchObject({ type: 'login-failure', reason: 'Rate Limit Exceeded' })
+    })
+
+    it('should detect Steam Guard prompts', () => {
+      expect(parseEvents('Steam Guard code:')[0]).toMatchObject({
+        type: 'steam-guard-required',
+        method: 'email',
+      })
+      expect(parseEvents('Two-factor code:')[0]).toMatchObject({
+        type: 'steam-guard-required',
+        method: 'mobile',
+      })
+      expect(
+        types(
+          "Logging in user 'bob' to Steam Public...FAILED (Account Logon Denied)"
+        )
+      ).toContain('steam-guard-required')
+    })
+
+    it('should parse update states', () => {
+      expect(
+        parseEvents(
+          'Update state (0x61) downloading, progress: 45.23 (1234 / 5678)'
+        )[0]
+      ).toMatchObject({
+        type: 'app-state',
+        state: 0x61,
+        stateHex: '0x61',
+        phase: 'downloading',
+      })
+    })
+
+    it('should decode a final app state', () => {
+      expect(
+        parseEvents("Error! App '740' state is 0x202 after update job.")[0]
+      ).toMatchObject({
+        type: 'app-state',
+        appId: 740,
+        state: 0x202,
+        flags: ['UpdateRequired', 'UpdatePaused'],
+      })
+    })
+
+    it('should parse a downloaded workshop item', () => {
+      expect(
+        parseEvents(
+          'Success. Downloaded item 450814997 to "/srv/content/107410/450814997" (2048 bytes) '
+        )[0]
+      ).toMatchObject({
+        type: 'workshop-item-downloaded',
+        workshopId: 450814997,
+        path: '/srv/content/107410/450814997',
+        bytes: 2048,
+      })
+    })
+
+    it('should parse app success', () => {
+      expect(parseEvents("Success! App '740' fully installed.")[0]).toEqual({
+        type: 'success',
+        appId: 740,
+        message: "Success! App '740' fully installed.",
+        line: "Success! App '740' fully installed.",
+      })
+    })
+
+    it('should parse warnings', () => {
+      expect(
+        parseEvents("WARNING: setlocale('en_US.UTF-8') failed")[0]
+      ).toMatchObject({
+        type: 'warning',
+        message: "setlocale('en_US.UTF-8') failed",
+      })
+    })
+  })
+
+  describe('decodeAppState()', () => {
+    it('should name each set flag', () => {
+      expect(decodeAppState(0x4)).toEqual(['FullyInstalled'])
+      expect(decodeAppState(0x6)).toEqual(['UpdateRequired', 'FullyInstalled'])
+      expect(decodeAppState(0)).toEqual([])
+    })
+  })
+
+  describe('classifyOutput()', () => {
+    it.each([
+      [
+        "ERROR! Failed to install app '740' (No subscription)",
+        'NO_SUBSCRIPTION',
+      ],
+      [
+        "Logging in user 'bob' to Steam Public...FAILED (Invalid Password)",
+        'INVALID_PASSWORD',
+      ],
+      ['FAILED login with result code Rate Limit Exceeded', 'RATE_LIMITED'],
+      ["Error! App '740' state is 0x202 after update job.", null],
+      [
+        "ERROR! Failed to install app '740' (Disk write failure)",
+        'DISK_WRITE_FAILURE',
+      ],
+      [
+        "ERROR! Failed to install app '740' (Missing configuration)",
+        'MISSING_CONFIGURATION',
+      ],
+      ["Error! App '740' state is 0x602 after update job.", 'TIMEOUT_0x602'],
+      [
+        "Logging in user 'bob' to Steam Public...FAILED (Two-factor code mismatch)",
+        'STEAM_GUARD_MISMATCH',
+      ],
+      ['FAILED (Invalid Login Auth Code)', 'STEAM_GUARD_MISMATCH'],
+      [
+        "ERROR! Failed to install app '740' (Invalid platform)",
+        'INVALID_PLATFORM',
+      ],
+    ])('should classify %s', (line, code) => {
+      expect(classifyOutput(line)?.code ?? null).toBe(code)
+    })
+
+    it('should return the first failure with its line, flag and hint', () => {
+      const failure = classifyOutput(
+        [
+          'Loading Steam API...OK',
+          'FAILED login with result code Rate Limit Exceeded',
+          "ERROR! Failed to install app '740' (No subscription)",
+        ].join('\n')
+      )
+      expect(failure).toMatchObject({
+        code: 'RATE_LIMITED',
+        retryable: true,
+        line: 'FAILED login with result code Rate Limit Exceeded',
+      })
+      expect(failure.hint).toMatch(/wait/i)
+    })
+
+    it('should return null for clean output', () => {
+      expect(classifyOutput("Success! App '740' fully installed.")).toBeNull()
+      expect(classifyOutput('')).toBeNull()
+    })
+
+    it('should give every pattern a hint', () => {
+      for (const known of FAILURE_PATTERNS) {
+        expect(known.hint).toBeTruthy()
+        expect(typeof known.retryable).toBe('boolean')
+      }
+    })
+  })
+
+  describe('isTransientError()', () => {
+    it('should accept transient failures', () => {
+      expect(isTransientError(new InstallError('x', 'TIMEOUT'))).toBe(true)
+      expect(isTransientError(new InstallError('x', 'TIMEOUT_0x602'))).toBe(
+        true
+      )
+      expect(
+        isTransientError(new InstallError('x', 'UPDATE_ERROR_0x402'))
+      ).toBe(true)
+    })
+
+    it('should reject other failures', () => {
+      expect(isTransientError(new InstallError('x', 'EXIT_ERROR'))).toBe(false)
+      expect(isTransientError(new InstallError('x', 'ABORTED'))).toBe(false)
+      expect(isTransientError(new Error('x'))).toBe(false)
+    })
+
+    it('should honour retryOn but never retry auth errors', () => {
+      const retryOn = ['EXIT_ERROR', 'INVALID_PASSWORD', 'RATE_LIMITED']
+      expect(
+        isTransientError(new InstallError('x', 'EXIT_ERROR'), retryOn)
+      ).toBe(true)
+      expect(isTransientError(new InstallError('x', 'TIMEOUT'), retryOn)).toBe(
+        false
+      )
+      expect(
+        isTransientError(new InstallError('x', 'INVALID_PASSWORD'), retryOn)
+      ).toBe(false)
+      expect(
+        isTransientError(new InstallError('x', 'RATE_LIMITED'), retryOn)
+      ).toBe(false)
+    })
+  })
+
+  describe('loginArguments()', () => {
+    it('should log in anonymously without a username', () => {
+      expect(loginArguments({})).toEqual(['+login anonymous'])
+    })
+
+    it('should set the Steam Guard code before logging in', () => {
+      expect(
+        loginArguments({
+          username: 'user',
+          password: 'pass word',
+          steamGuardCode: 'ABC12',
+        })
+      ).toEqual(['+set_steam_guard_code ABC12', '+login user "pass word"'])
+    })
+  })
+
+  describe('quoteArgument()', () => {
+    it('should leave simple values alone', () => {
+      expect(quoteArgument('anonymous')).toBe('anonymous')
+    })
+
+    it('should quote values with whitespace', () => {
+      expect(quoteArgument('correct horse')).toBe('"correct horse"')
+      expect(quoteArgument('')).toBe('""')
+    })
+  })
+
+  describe('createRunscript()', () => {
+    it('should write one command per line without the leading +', () => {
+      const script = createRunscript(
+        createArguments({
+          applicationId: 740,
+          username: 'user',
+          password: 'secret',
+          path: '/srv/my server',
+        })
+      )
+      expect(script.split('\n')).toEqual([
+        '@NoPromptForPassword 1',
+        '@ShutdownOnFailedCommand 1',
+        'login user secret',
+        'force_install_dir "/srv/my server"',
+        'app_update 740 validate',
+        'quit',
+        '',
+      ])
+    })
+  })
+
+  describe('usesRunscript()', () => {
+    it('should use a runscript when any password is set', () => {
+      expect(usesRunscript({ applicationId: 740 })).toBe(false)
+      expect(usesRunscript({ applicationId: 740, password: 'p' })).toBe(true)
+      expect(
+        usesRunscript({ applicationId: 740, branchPassword: 'sekrit' })
+      ).toBe(true)
+      expect(
+        usesRunscript({ applicationId: 740, password: 'p', runscript: false })
+      ).toBe(false)
+    })
+
+    it('should use a runscript when a batch item has a branch password', () => {
+      const options = {
+        items: [
+          { applicationId: 90 },
+          { applicationId: 740, branch: 'beta', branchPassword: 'sekrit' },
+        ],
+      }
+      expect(usesRunscript(options)).toBe(true)
+      expect(createArguments(options)).toContain(
+        '+app_update 740 -beta beta -betapassword sekrit validate'
+      )
+      expect(usesRunscript({ items: [{ applicationId: 90 }] })).toBe(false)
+    })
+  })
+
+  describe('parseItemResult()', () => {
+    it('should parse a downloaded workshop item', () => {
+      expect(
+        parseItemResult(
+          'Success. Downloaded item 450814997 to "/srv/steamapps/workshop/content/107410/450814997" (1024 bytes) '
+        )
+      ).toMatchObject({ type: 'workshop', id: '450814997', success: true })
+    })
+
+    it('should parse a failed workshop item', () => {
+      expect(
+        parseItemResult('ERROR! Download item 1 failed (File Not Found).')
+      ).toMatchObject({ type: 'workshop', id: '1', success: false })
+      expect(
+        parseItemResult('ERROR! Timeout downloading item 2')
+      ).toMatchObject({ type: 'workshop', id: '2', success: false })
+    })
+
+    it('should parse app results', () => {
+      expect(
+        parseItemResult("Success! App '740' fully installed.")
+      ).toMatchObject({ type: 'app', id: '740', success: true })
+      expect(
+        parseItemResult("Error! App '740' state is 0x202 after update job.")
+      ).toMatchObject({ type: 'app', id: '740', success: false })
+      expect(
+        parseItemResult("ERROR! Failed to install app '4' (No subscription)")
+      ).toMatchObject({ type: 'app', id: '4', success: false })
+    })
+
+    it('should return null for other output', () => {
+      expect(parseItemResult('Loading Steam API...OK')).toBeNull()
+    })
+  })
+
   describe('install()', () => {
     it('should be a function', () => {
       expect(typeof install).toBe('function')
     })
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep the password off the command line by default',
+      async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+        const file = path.join(dir, 'steamcmd.sh')
+        fs.writeFileSync(file, '#!/bin/sh\necho "argv: $*"\n', {
+          mode: 0o755,
+        })
+        let output = ''
+        try {
+          await install(file, {
+            applicationId: 740,
+            username: 'user',
+            password: 'hunter2',
+            onOutput: (data) => {
+              output += data
+            },
+          })
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true })
+        }
+        expect(output).toMatch(/argv: \+runscript /)
+        expect(output).not.toContain('hunter2')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep the branch password off the command line by default',
+      async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+        const file = path.join(dir, 'steamcmd.sh')
+        fs.writeFileSync(file, '#!/bin/sh\necho "argv: $*"\n', {
+          mode: 0o755,
+        })
+        let output = ''
+        try {
+          await install(file, {
+            applicationId: 740,
+            branch: 'private',
+            branchPassword: 's3cret',
+            onOutput: (data) => {
+              output += data
+            },
+          })
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true })
+        }
+        expect(output).toMatch(/argv: \+runscript /)
+        expect(output).not.toContain('s3cret')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should report overall progress that never goes backwards',
+      async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+        const file = path.join(dir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            ...[
+              'Update state (0x11) preallocating, progress: 90.00 (900 / 1000)',
+              'Update state (0x61) downloading, progress: 10.00 (100 / 1000)',
+              'Update state (0x61) downloading, progress: 60.00 (600 / 1000)',
+              'Update state (0x81) verifying update, progress: 5.00 (50 / 1000)',
+            ].map((line) => `echo "${line}"`),
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        const reports = []
+        try {
+          await install(file, {
+            applicationId: 740,
+            progressIntervalMs: 0,
+            onOutput: () => {},
+            onProgress: (p) => reports.push(p),
+          })
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true })
+        }
+
+        const overall = reports.map((p) => p.overallPercent)
+        expect(overall).toEqual([...overall].sort((a, b) => a - b))
+        expect(overall[overall.length - 1]).toBe(100)
+        expect(reports.find((p) => p.phase === 'downloading')).toMatchObject({
+          stateCode: 0x61,
+          elapsedMs: expect.any(Number),
+          bytesPerSecond: expect.any(Number),
+        })
+      }
+    )
+
+    describe('retry', () => {
+      let tempDir
+
+      beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      })
+
+      afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true })
+      })
+
+      /**
+       * Write a fake steamcmd that prints `line` and exits 8 for its first
+       * `failures` runs, then succeeds
+       */
+      function flakySteamCmd(failures, line) {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        const runs = path.join(tempDir, 'runs')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            `echo run >> '${runs}'`,
+            `if [ $(wc -l < '${runs}') -le ${failures} ]; then`,
+            `  echo "${line}"`,
+            '  exit 8',
+            'fi',
+            `echo "Success! App '740' fully installed."`,
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        return file
+      }
+
+      const runCount = () =>
+        fs.readFileSync(path.join(tempDir, 'runs'), 'utf8').trim().split('\n')
+          .length
+
+      it.skipIf(process.platform === 'win32')(
+        'should rerun SteamCMD after a transient failure',
+        async () => {
+          const file = flakySteamCmd(
+            2,
+            "Error! App '740' state is 0x602 after update job."
+          )
+          const retries = []
+          await install(file, {
+            applicationId: 740,
+            retry: { attempts: 3, backoffMs: 0 },
+            onOutput: () => {},
+            onProgress: (p) => {
+              if (p.phase === 'retry') retries.push(p)
+            },
+          })
+          expect(runCount()).toBe(3)
+          expect(retries.map((p) => p.attempt)).toEqual([2, 3])
+          expect(retries[0]).toMatchObject({
+            reason: 'TIMEOUT_0x602',
+            message: expect.stringContaining('0x602'),
+          })
+        }
+      )
+
+      it('should call back once and spawn once per attempt when spawning fails', async () => {
+        const spawn = vi.spyOn(childProcess, 'execFile')
+        const calls = []
+        try {
+          await new Promise((resolve) => {
+            install(
+              path.join(tempDir, 'missing-steamcmd'),
+              {
+                applicationId: 740,
+                retry: {
+                  attempts: 3,
+                  backoffMs: 0,
+                  retryOn: ['SPAWN_ERROR', 'EXIT_ERROR'],
+                },
+                onOutput: () => {},
+              },
+              (err) => {
+                calls.push(err)
+                resolve()
+              }
+            )
+          })
+          // Give any duplicate retry chain time to call back again
+          await new Promise((resolve) => setTimeout(resolve, 200))
+          expect(spawn).toHaveBeenCalledTimes(3)
+        } finally {
+          spawn.mockRestore()
+        }
+        expect(calls).toHaveLength(1)
+        expect(calls[0]).toMatchObject({ code: 'SPAWN_ERROR' })
+      })
+
+      it.skipIf(process.platform === 'win32')(
+        'should give up after the last attempt',
+        async () => {
+          const file = flakySteamCmd(
+            5,
+            "Error! App '740' state is 0x402 after update job."
+          )
+          await expect(
+            install(file, {
+              applicationId: 740,
+              retry: { attempts: 2, backoffMs: 0 },
+              onOutput: () => {},
+            })
+          ).rejects.toMatchObject({ code: 'UPDATE_ERROR_0x402' })
+          expect(runCount()).toBe(2)
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should not retry without a retry policy',
+        async () => {
+          const file = flakySteamCmd(
+            1,
+            "Error! App '740' state is 0x602 after update job."
+          )
+          await expect(
+            install(file, { applicationId: 740, onOutput: () => {} })
+          ).rejects.toMatchObject({ code: 'TIMEOUT_0x602' })
+          expect(runCount()).toBe(1)
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should never retry auth errors',
+        async () => {
+          const file = flakySteamCmd(
+            1,
+            "Logging in user 'bob' to Steam Public...FAILED (Invalid Password)"
+          )
+          await expect(
+            install(file, {
+              applicationId: 740,
+              username: 'bob',
+              password: 'wrong',
+              retry: {
+                attempts: 3,
+                backoffMs: 0,
+                retryOn: ['INVALID_PASSWORD'],
+              },
+              onOutput: () => {},
+            })
+          ).rejects.toMatchObject({ code: 'INVALID_PASSWORD' })
+          expect(runCount()).toBe(1)
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should stop waiting when aborted during backoff',
+        async () => {
+          const file = flakySteamCmd(
+            1,
+            "Error! App '740' state is 0x602 after update job."
+          )
+          const controller = new AbortController()
+          const installing = install(file, {
+            applicationId: 740,
+            retry: { attempts: 3, backoffMs: 60000 },
+            signal: controller.signal,
+            onOutput: () => {},
+            onProgress: (p) => {
+              if (p.phase === 'retry') controller.abort()
+            },
+          })
+          await expect(installing).rejects.toMatchObject({ code: 'ABORTED' })
+          expect(runCount()).toBe(1)
+        }
+      )
+    })
+  })
+
+  describe('installItems()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a fake steamcmd that prints the given lines and exits with `code`
+     */
+    function printingSteamCmd(lines, code = 0) {
+      return fakeSteamCmd(path.join(tempDir, 'steamcmd.sh'), {
+        lines,
+        exitCode: code,
+      })
+    }
+
+    const items = [
+      { applicationId: 233780 },
+      { applicationId: 107410, workshopId: 11 },
+      { applicationId: 107410, workshopId: 22 },
+    ]
+
+    it('should reject invalid options', async () => {
+      await expect(installItems('/bin/true', {})).rejects.toMatchObject({
+        code: 'INVALID_ITEMS',
+      })
+      await expect(installItems('', { items })).rejects.toMatchObject({
+        code: 'INVALID_PATH',
+      })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should report each item separately',
+      async () => {
+        const file = printingSteamCmd(
+          [
+            "Success! App '233780' fully installed.",
+            'ERROR! Download item 11 failed (File Not Found).',
+            'Success. Downloaded item 22 to "/mods/22" (10 bytes)',
+          ],
+          10
+        )
+        const completed = []
+        const results = await installItems(file, {
+          items,
+          onOutput: () => {},
+          onItemComplete: (r) => completed.push(r.index),
+        })
+        expect(results.map((r) => r.success)).toEqual([true, false, true])
+        expect(results[1].message).toMatch(/File Not Found/)
+        expect(results[1].item).toBe(items[1])
+        expect(completed).toEqual([0, 1, 2])
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should tag progress with the current item',
+      async () => {
+        const file = printingSteamCmd([
+          "Success! App '233780' fully installed.",
+          'Update state (0x61) downloading, progress: 50.00 (5 / 10)',
+        ])
+        const indexes = []
+        await installItems(file, {
+          items: items.slice(0, 2),
+          onOutput: () => {},
+          onProgress: (p) => indexes.push([p.phase, p.itemIndex]),
+        })
+        expect(indexes).toContainEqual(['starting', 0])
+        expect(indexes).toContainEqual(['downloading', 1])
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep classified item failures in the results',
+      async () => {
+        const file = printingSteamCmd([
+          "ERROR! Failed to install app '233780' (No subscription)",
+          'Success. Downloaded item 11 to "/mods/11" (10 bytes)',
+        ])
+        const results = await installItems(file, {
+          items: items.slice(0, 2),
+          onOutput: () => {},
+        })
+        expect(results.map((r) => r.success)).toEqual([false, true])
+        expect(results[0].message).toContain('No subscription')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should mark unreported items as failed',
+      async () => {
+        const file = printingSteamCmd(
+          ["Success! App '233780' fully installed."],
+          8
+        )
+        const results = await installItems(file, {
+          items: items.slice(0, 2),
+          onOutput: () => {},
+        })
+        expect(results[0].success).toBe(true)
+        expect(results[1]).toMatchObject({
+          success: false,
+          message: 'SteamCMD exited with code 8',
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should reject when SteamCMD fails before any item',
+      async () => {
+        const file = printingSteamCmd(['FAILED (Invalid Password)'], 5)
+        await expect(
+          installItems(file, { items, onOutput: () => {} })
+        ).rejects.toMatchObject({ code: 'INVALID_PASSWORD', exitCode: 5 })
+      }
+    )
   })
 
   describe('installWithProgress()', () => {
     it('should be a function', () => {
       expect(typeof installWithProgress).toBe('function')
     })
+
+    it.skipIf(process.platform === 'win32')(
+      "should emit parsed output as 'event' events",
+      async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+        const file = path.join(dir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          `#!/bin/sh\necho "Success! App '740' fully installed."\n`,
+          { mode: 0o755 }
+        )
+        const events = []
+        try {
+          const emitter = installWithProgress(file, { applicationId: 740 })
+          emitter.on('output', () => {})
+          emitter.on('event', (e) => events.push(e))
+          await new Promise((resolve, reject) => {
+            emitter.on('complete', resolve)
+            emitter.on('error', reject)
+          })
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true })
+        }
+        expect(events).toMatchObject([{ type: 'success', appId: 740 }])
+      }
+    )
+
+    it('should return an emitter with cancel()', async () => {
+      const emitter = installWithProgress('/nonexistent/steamcmd.sh', {
+        applicationId: 740,
+      })
+      expect(typeof emitter.cancel).toBe('function')
+      emitter.cancel()
+      const err = await new Promise((resolve) => emitter.on('error', resolve))
+      expect(err.code).toBe('ABORTED')
+    })
+  })
+
+  describe('runSteamCmd()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a fake steamcmd that forks a long-running child, like steamcmd.sh
+     * does, and records the child's PID
+     */
+    function hangingSteamCmd(script = 'wait') {
+      const file = path.join(tempDir, 'steamcmd.sh')
+      const pidFile = path.join(tempDir, 'child.pid')
+      fs.writeFileSync(
+        file,
+        [
+          '#!/bin/sh',
+          'sleep 30 &',
+          `echo $! > '${pidFile}'`,
+          "echo 'Loading Steam API...OK'",
+          script,
+          '',
+        ].join('\n'),
+        { mode: 0o755 }
+      )
+      return { file, pidFile }
+    }
+
+    /**
+     * Run SteamCMD and resolve with the error it finished with
+     */
+    function run(file, options) {
+      return new Promise((resolve) => {
+        runSteamCmd(
+          file,
+          ['+quit'],
+          { onOutput: () => {}, ...options },
+          resolve
+        )
+      })
+    }
+
+    /**
+     * Check whether a process is still running (zombies count as exited)
+     */
+    function isAlive(pid) {
+      try {
+        process.kill(pid, 0)
+      } catch {
+        return false
+      }
+      try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8')
+        return stat.split(') ')[1]?.[0] !== 'Z'
+      } catch {
+        return true
+      }
+    }
+
+    it('should be a function', () => {
+      expect(typeof runSteamCmd).toBe('function')
+    })
+
+    it('should call back once when the executable is missing', async () => {
+      const calls = []
+      runSteamCmd(
+        path.join(tempDir, 'missing-steamcmd'),
+        ['+quit'],
+        { onOutput: () => {} },
+        (err) => calls.push(err)
+      )
+      await new Promise((resolve) => setTimeout(resolve, 200))
+      expect(calls).toHaveLength(1)
+      expect(calls[0]).toMatchObject({ code: 'SPAWN_ERROR' })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should fail on a known error even when SteamCMD exits 0',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          `#!/bin/sh\necho "ERROR! Failed to install app '740' (No subscription)"\nexit 0\n`,
+          { mode: 0o755 }
+        )
+        const err = await run(file)
+        expect(err).toBeInstanceOf(InstallError)
+        expect(err).toMatchObject({
+          code: 'NO_SUBSCRIPTION',
+          exitCode: 0,
+          retryable: false,
+        })
+        expect(err.message).toContain('(No subscription)')
+        expect(err.hint).toBeTruthy()
+        expect(err.stdout).toContain('No subscription')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should prefer a classified failure over the exit code',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          `#!/bin/sh\necho "Error! App '740' state is 0x602 after update job."\nexit 8\n`,
+          { mode: 0o755 }
+        )
+        expect(await run(file)).toMatchObject({
+          code: 'TIMEOUT_0x602',
+          exitCode: 8,
+          retryable: true,
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should pass whole lines to onOutput and parse progress split across chunks',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            "printf 'Update state (0x61) downloading, prog'",
+            'sleep 0.1',
+            "printf 'ress: 10.00 (100 / 1000)\\r'",
+            'sleep 0.1',
+            "printf '\\nUpdate state (0x61) downloading, progress: 50.00 (500 / 1000)\\n'",
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        const output = []
+        const reports = []
+        expect(
+          await run(file, {
+            onOutput: (data) => output.push(data),
+            onProgress: (p) => reports.push(p),
+          })
+        ).toBeNull()
+
+        expect(output.slice(0, 2)).toEqual([
+          'Update state (0x61) downloading, progress: 10.00 (100 / 1000)\n',
+          'Update state (0x61) downloading, progress: 50.00 (500 / 1000)\n',
+        ])
+        expect(
+          reports
+            .filter((p) => p.phase === 'downloading')
+            .map((p) => p.bytesDownloaded)
+        ).toEqual([100, 500])
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should report every progress line in a single chunk',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            "printf 'Update state (0x61) downloading, progress: 10.00 (100 / 1000)\\rUpdate state (0x61) downloading, progress: 20.00 (200 / 1000)\\rUpdate state (0x101) committing, progress: 5.00 (50 / 1000)\\n'",
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        const output = []
+        const reports = []
+        await run(file, {
+          onOutput: (data) => output.push(data),
+          onProgress: (p) => reports.push(p),
+        })
+
+        expect(reports.map((p) => p.bytesDownloaded)).toEqual([
+          0, 100, 200, 50, 0,
+        ])
+        expect(output[0]).toMatch(/\r$/)
+        expect(output[2]).toMatch(/\n$/)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should log output to the logger instead of the console',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(file, '#!/bin/sh\necho "Loading Steam API...OK"\n', {
+          mode: 0o755,
+        })
+        const debug = vi.fn()
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {})
+        try {
+          const logger = { debug, info() {}, warn() {}, error() {} }
+          expect(await run(file, { onOutput: undefined, logger })).toBeNull()
+          expect(log).not.toHaveBeenCalled()
+        } finally {
+          log.mockRestore()
+        }
+        expect(debug).toHaveBeenCalledWith('Loading Steam API...OK', {
+          pid: expect.any(Number),
+          stream: 'stdout',
+        })
+        expect(debug).toHaveBeenCalledWith('SteamCMD exited with code 0', {
+          pid: expect.any(Number),
+          exitCode: 0,
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep running when the logger throws',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(file, '#!/bin/sh\necho "Loading Steam API...OK"\n', {
+          mode: 0o755,
+        })
+        const fail = () => {
+          throw new Error('logger broke')
+        }
+        const logger = { debug: fail, info: fail, warn: fail, error: fail }
+        expect(await run(file, { logger })).toBeNull()
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep only the last lines of output on errors',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            'i=0',
+            'while [ $i -lt 1500 ]; do echo "line $i"; i=$((i + 1)); done',
+            'exit 3',
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        const err = await run(file)
+        expect(err).toMatchObject({ code: 'EXIT_ERROR', exitCode: 3 })
+        expect(err.stdout).toMatch(/^\[500 earlier lines omitted\]\nline 500\n/)
+        expect(err.stdout).toMatch(/line 1499\n$/)
+      }
+    )
+
+    describe('Steam Guard prompts', () => {
+      /**
+       * Write a fake steamcmd that prints `prompt` without a newline, reads
+       * a code from stdin and echoes it back
+       */
+      function promptingSteamCmd(prompt, after = '') {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            'echo "Logging in user \'bob\' to Steam Public..."',
+            `printf '${prompt}'`,
+            'read code',
+            'echo "got: $code"',
+            after,
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        return file
+      }
+
+      it.skipIf(process.platform === 'win32')(
+        'should answer a mobile prompt with the handler code',
+        async () => {
+          const file = promptingSteamCmd('Two-factor code:')
+          const kinds = []
+          let output = ''
+          const err = await run(file, {
+            onSteamGuardRequest: async (kind) => {
+              kinds.push(kind)
+              return 'ABC12'
+            },
+            onOutput: (data) => {
+              output += data
+            },
+          })
+          expect(err).toBeNull()
+          expect(kinds).toEqual(['mobile'])
+          expect(output).toContain('got: ABC12')
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should report email prompts and pause the idle timeout',
+        async () => {
+          const file = promptingSteamCmd('Steam Guard code: ')
+          const kinds = []
+          const err = await run(file, {
+            idleTimeoutMs: 100,
+            onSteamGuardRequest: (kind) => {
+              kinds.push(kind)
+              return new Promise((resolve) => setTimeout(resolve, 300, 'X1'))
+            },
+          })
+          expect(err).toBeNull()
+          expect(kinds).toEqual(['email'])
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should ask again after a rejected code',
+        async () => {
+          const file = promptingSteamCmd(
+            'Two-factor code:',
+            [
+              'echo "FAILED (Two-factor code mismatch)"',
+              "printf 'Two-factor code:'",
+              'read code',
+              'echo "got: $code"',
+            ].join('\n')
+          )
+          const codes = ['WRONG', 'RIGHT']
+          let output = ''
+          const err = await run(file, {
+            onSteamGuardRequest: async () => codes.shift(),
+            onOutput: (data) => {
+              output += data
+            },
+          })
+          expect(err).toBeNull()
+          expect(codes).toEqual([])
+          expect(output).toContain('got: RIGHT')
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should kill SteamCMD when the handler fails',
+        async () => {
+          const file = promptingSteamCmd('Two-factor code:')
+          const err = await run(file, {
+            onSteamGuardRequest: async () => {
+              throw new Error('operator did not answer')
+            },
+          })
+          expect(err).toMatchObject({
+            code: 'STEAM_GUARD_ERROR',
+            message: 'Steam Guard code request failed: operator did not answer',
+          })
+        }
+      )
+
+      it.skipIf(process.platform === 'win32')(
+        'should fail instead of waiting on a password prompt',
+        async () => {
+          const file = promptingSteamCmd('password: ')
+          const err = await run(file, {
+            onSteamGuardRequest: async () => '12345',
+          })
+          expect(err).toMatchObject({ code: 'PASSWORD_REQUIRED' })
+        }
+      )
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should emit events for lines split across chunks',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            `printf "Logging in user 'bob' to Steam Public..."`,
+            'sleep 0.2',
+            'echo OK',
+            `printf "Success! App '740' fully installed."`,
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        const events = []
+        const lines = []
+        await run(file, {
+          onEvent: (e) => events.push(e.type),
+          onLine: (line) => lines.push(line),
+        })
+        expect(events).toEqual(['login-start', 'login-success', 'success'])
+        expect(lines).toContain("Logging in user 'bob' to Steam Public...OK")
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should pass commands through a private runscript',
+      async () => {
+        const file = path.join(tempDir, 'steamcmd.sh')
+        fs.writeFileSync(
+          file,
+          [
+            '#!/bin/sh',
+            'echo "argv: $*"',
+            'echo "mode: $(stat -c %a "$2" 2>/dev/null || stat -f %Lp "$2")"',
+            'cat "$2"',
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        let output = ''
+        const err = await run(file, {
+          runscript: true,
+          onOutput: (data) => {
+            output += data
+          },
+        })
+        expect(err).toBeNull()
+        const scriptFile = output.match(/argv: \+runscript (\S+)/)[1]
+        expect(output).toContain('mode: 600')
+        expect(output).toContain('quit\n')
+        expect(fs.existsSync(path.dirname(scriptFile))).toBe(false)
+      }
+    )
+
+    it('should not spawn when the signal is already aborted', async () => {
+      const err = await run('/nonexistent/steamcmd.sh', {
+        signal: AbortSignal.abort(),
+      })
+      expect(err).toBeInstanceOf(InstallError)
+      expect(err.code).toBe('ABORTED')
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should kill the whole process tree on abort',
+      async () => {
+        const { file, pidFile } = hangingSteamCmd()
+        const controller = new AbortController()
+        const done = run(file, {
+          signal: controller.signal,
+          onOutput: () => controller.abort(),
+        })
+        const err = await done
+        expect(err.code).toBe('ABORTED')
+        expect(err.stdout).toContain('Loading Steam API')
+
+        const childPid = Number(fs.readFileSync(pidFile, 'utf8'))
+        expect(isAlive(childPid)).toBe(false)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should fail with TIMEOUT after timeoutMs',
+      async () => {
+        const { file } = hangingSteamCmd()
+        const err = await run(file, { timeoutMs: 200 })
+        expect(err.code).toBe('TIMEOUT')
+        expect(err.message).toMatch(/timed out after 200 ms/)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should fail with TIMEOUT when output stalls for idleTimeoutMs',
+      async () => {
+        const { file } = hangingSteamCmd()
+        const err = await run(file, { idleTimeoutMs: 200 })
+        expect(err.code).toBe('TIMEOUT')
+        expect(err.message).toMatch(/no output for 200 ms/)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep running while output keeps arriving',
+      async () => {
+        const { file } = hangingSteamCmd(
+          'for i in 1 2 3 4 5; do echo tick; sleep 0.1; done; kill $!'
+        )
+        const err = await run(file, { idleTimeoutMs: 300 })
+        expect(err).toBeNull()
+      }
+    )
+
+    it('should report SPAWN_ERROR for a missing executable', async () => {
+      const err = await new Promise((resolve) => {
+        runSteamCmd(
+          '/nonexistent/steamcmd.sh',
+          ['+quit'],
+          { onOutput: () => {} },
+          resolve
+        )
+      })
+      expect(err).toBeInstanceOf(InstallError)
+      expect(err.code).toBe('SPAWN_ERROR')
+    })
   })
 })
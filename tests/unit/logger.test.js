@@ -0,0 +1,109 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import {
+  isLogger,
+  resolveLogger,
+  setLogger,
+  silentLogger,
+  withContext,
+} from '../../dist/logger.js'
+
+/**
+ * Logger whose methods are all mocks
+ */
+function mockLogger() {
+  return { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}
+
+describe('logger.js', () => {
+  afterEach(() => {
+    setLogger(null)
+  })
+
+  describe('isLogger()', () => {
+    it('should accept objects with every log method', () => {
+      expect(isLogger(console)).toBe(true)
+      expect(isLogger(mockLogger())).toBe(true)
+    })
+
+    it('should reject anything else', () => {
+      expect(isLogger(null)).toBe(false)
+      expect(isLogger('console')).toBe(false)
+      expect(isLogger({ info() {}, warn() {}, error() {} })).toBe(false)
+    })
+  })
+
+  describe('resolveLogger()', () => {
+    it('should be silent by default', () => {
+      expect(resolveLogger()).toBe(silentLogger)
+    })
+
+    it('should prefer the per-call logger over the configured one', () => {
+      const configured = mockLogger()
+      const perCall = mockLogger()
+      setLogger(configured)
+      expect(resolveLogger()).toBe(configured)
+      expect(resolveLogger(perCall)).toBe(perCall)
+      setLogger(null)
+      expect(resolveLogger()).toBe(silentLogger)
+    })
+  })
+
+  describe('withContext()', () => {
+    it('should add the context to every message', () => {
+      const logger = mockLogger()
+      const log = withContext(logger, { appId: 740, operation: 'install' })
+      log.info('Installing')
+      log.warn('Retrying', { attempt: 2, operation: 'retry' })
+      expect(logger.info).toHaveBeenCalledWith('Installing', {
+        appId: 740,
+        operation: 'install',
+      })
+      expect(logger.warn).toHaveBeenCalledWith('Retrying', {
+        appId: 740,
+        operation: 'retry',
+        attempt: 2,
+      })
+    })
+
+    it('should call the methods on the logger itself', () => {
+      const logger = {
+        messages: [],
+        debug(message) {
+          this.messages.push(message)
+        },
+        info() {},
+        warn() {},
+        error() {},
+      }
+      withContext(logger, {}).debug('hello')
+      expect(logger.messages).toEqual(['hello'])
+    })
+
+    it('should pass the context first to pino loggers', () => {
+      const logger = { ...mockLogger(), bindings: () => ({}) }
+      withContext(logger, { appId: 740 }).info('Installing', { pid: 1 })
+      expect(logger.info).toHaveBeenCalledWith(
+        { appId: 740, pid: 1 },
+        'Installing'
+      )
+    })
+
+    it('should pass the context first to bunyan loggers', () => {
+      const logger = { ...mockLogger(), fields: {}, streams: [] }
+      withContext(logger, { operation: 'install' }).warn('Retrying')
+      expect(logger.warn).toHaveBeenCalledWith(
+        { operation: 'install' },
+        'Retrying'
+      )
+    })
+
+    it('should swallow errors thrown by the logger', () => {
+      const logger = mockLogger()
+      logger.error.mockImplementation(() => {
+        throw new Error('disk full')
+      })
+      expect(() => withContext(logger, {}).error('failed')).not.toThrow()
+    })
+  })
+})
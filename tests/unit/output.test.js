@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest'
+
+import {
+  createLineSplitter,
+  createOutputBuffer,
+  OUTPUT_BUFFER_LINES,
+} from '../../dist/output.js'
+
+/**
+ * Split chunks into [line, redraw] pairs
+ */
+function split(chunks) {
+  const lines = []
+  const splitter = createLineSplitter((line, redraw) =>
+    lines.push([line, redraw])
+  )
+  for (const chunk of chunks) splitter.push(chunk)
+  splitter.flush()
+  return lines
+}
+
+describe('output.js', () => {
+  describe('createLineSplitter()', () => {
+    it('should join lines split across chunks', () => {
+      expect(
+        split(['Loading Steam', ' API...OK\nWaiting', ' for user\n'])
+      ).toEqual([
+        ['Loading Steam API...OK', false],
+        ['Waiting for user', false],
+      ])
+    })
+
+    it('should treat a lone \\r as a redraw', () => {
+      expect(split(['10%\r20%\r30%\n'])).toEqual([
+        ['10%', true],
+        ['20%', true],
+        ['30%', false],
+      ])
+    })
+
+    it('should not mistake \\r\\n split across chunks for a redraw', () => {
+      expect(split(['one\r', '\ntwo\r\n'])).toEqual([
+        ['one', false],
+        ['two', false],
+      ])
+    })
+
+    it('should expose the unfinished line', () => {
+      const splitter = createLineSplitter(() => {})
+      splitter.push('OK\nSteam Guard code:')
+      expect(splitter.pending).toBe('Steam Guard code:')
+    })
+
+    it('should emit the unfinished line on flush', () => {
+      expect(split(['done\nexiting'])).toEqual([
+        ['done', false],
+        ['exiting', false],
+      ])
+      expect(split(['50%\r'])).toEqual([['50%', true]])
+      expect(split([''])).toEqual([])
+    })
+  })
+
+  describe('createOutputBuffer()', () => {
+    it('should return the lines it was given', () => {
+      const buffer = createOutputBuffer()
+      expect(buffer.toString()).toBe('')
+      buffer.push('a')
+      buffer.push('b')
+      expect(buffer.toString()).toBe('a\nb\n')
+    })
+
+    it('should keep only the most recent lines', () => {
+      const buffer = createOutputBuffer(2)
+      for (const line of ['a', 'b', 'c', 'd']) buffer.push(line)
+      expect(buffer.toString()).toBe('[2 earlier lines omitted]\nc\nd\n')
+    })
+
+    it('should replace redrawn lines', () => {
+      const buffer = createOutputBuffer()
+      buffer.push('start')
+      buffer.push('10%', true)
+      buffer.push('20%', true)
+      buffer.push('100%')
+      buffer.push('end')
+      expect(buffer.toString()).toBe('start\n100%\nend\n')
+    })
+
+    it('should default to OUTPUT_BUFFER_LINES lines', () => {
+      const buffer = createOutputBuffer()
+      for (let i = 0; i <= OUTPUT_BUFFER_LINES; i++) buffer.push(String(i))
+      const text = buffer.toString()
+      expect(text.startsWith('[1 earlier lines omitted]\n1\n')).toBe(true)
+      expect(text.endsWith(`\n${OUTPUT_BUFFER_LINES}\n`)).toBe(true)
+    })
+  })
+})
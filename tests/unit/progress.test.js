@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest'
+
+import {
+  BOOTSTRAP_PROGRESS_SHARE,
+  createProgressTracker,
+  DOWNLOAD_PHASE_RANGES,
+  INSTALL_PHASE_RANGES,
+} from '../../dist/progress.js'
+
+/**
+ * Create a tracker with a manual clock; returns the tracker, the reports it
+ * passed on and a function that advances the clock
+ */
+function setup(options = {}) {
+  let time = 1000
+  const reports = []
+  const track = createProgressTracker((p) => reports.push(p), {
+    phases: INSTALL_PHASE_RANGES,
+    intervalMs: 0,
+    now: () => time,
+    ...options,
+  })
+  return {
+    track,
+    reports,
+    tick: (ms) => {
+      time += ms
+    },
+  }
+}
+
+const report = (phase, percent, bytesDownloaded, totalBytes, extra = {}) => ({
+  phase,
+  percent,
+  bytesDownloaded,
+  totalBytes,
+  ...extra,
+})
+
+describe('progress.js', () => {
+  describe('createProgressTracker()', () => {
+    it('should weight phases into a never decreasing overall percent', () => {
+      const { track, reports } = setup()
+      track(report('starting', 0, 0, 0))
+      track(report('preallocating', 100, 0, 0, { stateCode: 0x11 }))
+      track(report('downloading', 0, 0, 100, { stateCode: 0x61 }))
+      track(report('downloading', 50, 50, 100, { stateCode: 0x61 }))
+      track(report('verifying', 50, 50, 100, { stateCode: 0x81 }))
+      track(report('complete', 100, 0, 0))
+
+      expect(reports.map((p) => p.overallPercent)).toEqual([
+        0, 15, 15, 50, 90, 100,
+      ])
+    })
+
+    it('should tell the two verifying states apart by state code', () => {
+      const { track, reports } = setup()
+      track(report('verifying', 50, 0, 0, { stateCode: 0x5 }))
+      expect(reports[0].overallPercent).toBe(6)
+      track(report('verifying', 50, 0, 0))
+      expect(reports[1].overallPercent).toBe(90)
+    })
+
+    it('should report a smoothed rate and ETA', () => {
+      const { track, reports, tick } = setup()
+      track(report('downloading', 0, 0, 10000))
+      tick(1000)
+      track(report('downloading', 10, 1000, 10000))
+      tick(1000)
+      track(report('downloading', 30, 3000, 10000))
+
+      expect(reports[0]).toMatchObject({ bytesPerSecond: 0, etaSeconds: null })
+      expect(reports[1]).toMatchObject({
+        bytesPerSecond: 1000,
+        etaSeconds: 9,
+        elapsedMs: 1000,
+      })
+      // 1000 + 0.3 * (2000 - 1000)
+      expect(reports[2]).toMatchObject({
+        bytesPerSecond: 1300,
+        etaSeconds: 5,
+        elapsedMs: 2000,
+      })
+    })
+
+    it('should restart the rate in a new phase', () => {
+      const { track, reports, tick } = setup()
+      track(report('downloading', 0, 0, 100))
+      tick(1000)
+      track(report('downloading', 50, 50, 100))
+      tick(1000)
+      track(report('verifying', 10, 10, 100))
+      expect(reports[2].bytesPerSecond).toBe(0)
+    })
+
+    it('should throttle reports within a phase', () => {
+      const { track, reports, tick } = setup({ intervalMs: 100 })
+      track(report('downloading', 1, 1, 100))
+      tick(50)
+      track(report('downloading', 2, 2, 100))
+      tick(50)
+      track(report('downloading', 3, 3, 100))
+      tick(10)
+      track(report('verifying', 1, 1, 100))
+      track(report('complete', 100, 0, 0))
+
+      expect(reports.map((p) => [p.phase, p.percent])).toEqual([
+        ['downloading', 1],
+        ['downloading', 3],
+        ['verifying', 1],
+        ['complete', 100],
+      ])
+    })
+
+    it('should give each batch item an equal share', () => {
+      const { track, reports } = setup({ itemCount: 2 })
+      track(report('downloading', 100, 0, 0, { itemIndex: 0 }))
+      track(report('complete', 100, 0, 0, { itemIndex: 0 }))
+      track(report('downloading', 10, 0, 0, { itemIndex: 1 }))
+      track(report('complete', 100, 0, 0, { itemIndex: 1 }))
+      expect(reports.map((p) => p.overallPercent)).toEqual([43, 50, 61, 100])
+    })
+
+    it('should carry on across stages when handed back in', () => {
+      const { track, reports } = setup({
+        phases: DOWNLOAD_PHASE_RANGES,
+        stages: [
+          { phases: DOWNLOAD_PHASE_RANGES, end: BOOTSTRAP_PROGRESS_SHARE },
+        ],
+      })
+      track(report('downloading', 50, 50, 100))
+      track(report('complete', 100, 100, 100))
+
+      const next = createProgressTracker(track, {
+        phases: INSTALL_PHASE_RANGES,
+      })
+      expect(next).toBe(track)
+      next(report('downloading', 0, 0, 100, { stateCode: 0x61 }))
+      next(report('downloading', 50, 50, 100, { stateCode: 0x61 }))
+      next(report('complete', 100, 0, 0))
+
+      expect(reports.map((p) => p.overallPercent)).toEqual([5, 10, 24, 55, 100])
+      expect(reports[2].bytesPerSecond).toBe(0)
+    })
+
+    it('should start the install at 0 when nothing was downloaded', () => {
+      const { track, reports } = setup({
+        phases: DOWNLOAD_PHASE_RANGES,
+        stages: [
+          { phases: DOWNLOAD_PHASE_RANGES, end: BOOTSTRAP_PROGRESS_SHARE },
+        ],
+      })
+      createProgressTracker(track, { phases: INSTALL_PHASE_RANGES })
+      track(report('downloading', 50, 50, 100, { stateCode: 0x61 }))
+      expect(reports[0].overallPercent).toBe(50)
+    })
+
+    it('should keep the overall percent across retries', () => {
+      const { track, reports } = setup({ phases: DOWNLOAD_PHASE_RANGES })
+      track(report('downloading', 40, 40, 100))
+      track(report('retrying', 40, 40, 100))
+      track(report('downloading', 20, 20, 100))
+      expect(reports.map((p) => p.overallPercent)).toEqual([40, 40, 40])
+    })
+  })
+})
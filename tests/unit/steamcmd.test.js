@@ -1,7 +1,10 @@
 import fs from 'node:fs'
+import http from 'node:http'
 import os from 'node:os'
 import path from 'node:path'
+import * as tar from 'tar'
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { fakeSteamCmd } from '../helpers/fakeSteamCmd.js'
 
 // Import the module under test
 const steamcmd = require('../../dist/steamcmd.js')
@@ -92,6 +95,74 @@ describe('steamcmd.js', () => {
       const info = steamcmd.getInfo()
       expect(typeof info.isSupported).toBe('boolean')
     })
+
+    it('should report the directory source', () => {
+      const info = steamcmd.getInfo()
+      expect(['configure', 'env', 'default']).toContain(info.directorySource)
+    })
+
+    it('should report the executable source', () => {
+      const info = steamcmd.getInfo({ steamCmdPath: '/opt/steamcmd/steamcmd' })
+      expect(info.executable).toBe(path.resolve('/opt/steamcmd/steamcmd'))
+      expect(info.executableSource).toBe('option')
+    })
+
+    it('should honour a per-call steamCmdDir', () => {
+      const dir = path.join(os.tmpdir(), 'steamcmd-info')
+      const info = steamcmd.getInfo({ steamCmdDir: dir })
+      expect(info.directory).toBe(dir)
+      expect(info.directorySource).toBe('option')
+    })
+
+    it('should report a missing installation as unhealthy', () => {
+      const dir = path.join(os.tmpdir(), 'steamcmd-info-missing')
+      const info = steamcmd.getInfo({
+        steamCmdDir: dir,
+        useSystemSteamCmd: false,
+      })
+      expect(info.health.status).toBe('missing')
+      expect(info.health.problems).toHaveLength(1)
+    })
+  })
+
+  describe('configure()', () => {
+    afterEach(() => {
+      steamcmd.configure({ steamCmdDir: null, logger: null })
+    })
+
+    it('should set the default SteamCMD directory', () => {
+      const dir = path.join(os.tmpdir(), 'steamcmd-configured')
+      steamcmd.configure({ steamCmdDir: dir })
+      const info = steamcmd.getInfo()
+      expect(info.directory).toBe(dir)
+      expect(info.directorySource).toBe('configure')
+    })
+
+    it('should reset the directory when given null', () => {
+      steamcmd.configure({ steamCmdDir: path.join(os.tmpdir(), 'x') })
+      steamcmd.configure({ steamCmdDir: null })
+      expect(steamcmd.getInfo().directorySource).not.toBe('configure')
+    })
+
+    it('should throw for invalid config', () => {
+      expect(() => steamcmd.configure(null)).toThrow(steamcmd.SteamCmdError)
+      expect(() => steamcmd.configure({ steamCmdDir: 42 })).toThrow(
+        'steamCmdDir must be a string or null'
+      )
+      expect(() => steamcmd.configure({ logger: { info() {} } })).toThrow(
+        'logger must have debug, info, warn and error methods'
+      )
+    })
+
+    it('should make isInstalled() look in the configured directory', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      try {
+        steamcmd.configure({ steamCmdDir: dir })
+        expect(await steamcmd.isInstalled()).toBe(false)
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
   })
 
   describe('ensureInstalled()', () => {
@@ -117,6 +188,298 @@ describe('steamcmd.js', () => {
       // Catch to avoid unhandled rejection
       result.catch(() => {})
     })
+
+    it('should skip the download for a usable explicit executable', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      const file = path.join(dir, 'steamcmd')
+      fs.writeFileSync(file, '#!/bin/sh\n', { mode: 0o755 })
+      try {
+        await expect(
+          steamcmd.ensureInstalled({ steamCmdPath: file })
+        ).resolves.toBeUndefined()
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('should reject for a missing explicit executable', async () => {
+      await expect(
+        steamcmd.ensureInstalled({
+          steamCmdPath: path.join(os.tmpdir(), 'no-such-steamcmd'),
+        })
+      ).rejects.toMatchObject({ code: 'EXECUTABLE_NOT_FOUND' })
+    })
+  })
+
+  describe('bootstrap()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a fake steamcmd that prints self-update output and exits with `code`
+     */
+    function selfUpdatingSteamCmd(code) {
+      return fakeSteamCmd(path.join(tempDir, 'steamcmd'), {
+        lines: [
+          '[  0%] Checking for available updates...',
+          '[ 50%] Downloading update (500 of 1,000 KB)...',
+          '[----] Verifying installation...',
+        ],
+        exitCode: code,
+      })
+    }
+
+    it('should be a function', () => {
+      expect(typeof steamcmd.bootstrap).toBe('function')
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should report self-update progress and write the marker',
+      async () => {
+        const steamCmdDir = path.join(tempDir, 'home')
+        const phases = []
+        await steamcmd.bootstrap({
+          steamCmdPath: selfUpdatingSteamCmd(7),
+          steamCmdDir,
+          onProgress: (p) => phases.push(p.phase),
+          onOutput: () => {},
+        })
+        expect(phases).toContain('self-update')
+        expect(steamcmd.getInfo({ steamCmdDir }).bootstrapped).toBe(true)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should reject with BOOTSTRAP_FAILED on a failing run',
+      async () => {
+        const steamCmdDir = path.join(tempDir, 'home')
+        await expect(
+          steamcmd.bootstrap({
+            steamCmdPath: selfUpdatingSteamCmd(1),
+            steamCmdDir,
+            onOutput: () => {},
+          })
+        ).rejects.toMatchObject({ code: 'BOOTSTRAP_FAILED' })
+        expect(steamcmd.getInfo({ steamCmdDir }).bootstrapped).toBe(false)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should skip the run once bootstrapped unless forced',
+      async () => {
+        const steamCmdDir = path.join(tempDir, 'home')
+        const steamCmdPath = selfUpdatingSteamCmd(0)
+        await steamcmd.ensureInstalled({
+          steamCmdPath,
+          steamCmdDir,
+          bootstrap: true,
+          onOutput: () => {},
+        })
+
+        const outputs = []
+        await steamcmd.ensureInstalled({
+          steamCmdPath,
+          steamCmdDir,
+          bootstrap: true,
+          onOutput: (data) => outputs.push(data),
+        })
+        expect(outputs).toEqual([])
+
+        await steamcmd.bootstrap({
+          steamCmdPath,
+          steamCmdDir,
+          force: true,
+          onOutput: (data) => outputs.push(data),
+        })
+        expect(outputs.length).toBeGreaterThan(0)
+      }
+    )
+  })
+
+  describe('uninstallSteamCmd() and repairSteamCmd()', () => {
+    let tempDir
+    let steamCmdDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdDir = path.join(tempDir, 'home')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Lay out a managed installation whose steamcmd.sh exits with `code`
+     */
+    function writeInstall(dir, code) {
+      fs.mkdirSync(path.join(dir, 'linux32'), { recursive: true })
+      fs.writeFileSync(
+        path.join(dir, 'steamcmd.sh'),
+        `#!/bin/sh\nexit ${code}\n`,
+        {
+          mode: 0o755,
+        }
+      )
+      fs.writeFileSync(path.join(dir, 'linux32', 'steamcmd'), 'ELF', {
+        mode: 0o755,
+      })
+    }
+
+    /**
+     * Build a local archive holding a working installation
+     */
+    async function makeArchive() {
+      const srcDir = path.join(tempDir, 'archive-src')
+      writeInstall(srcDir, 0)
+      const archive = path.join(tempDir, 'steamcmd_linux.tar.gz')
+      await tar.c({ gzip: true, file: archive, cwd: srcDir }, [
+        'steamcmd.sh',
+        'linux32',
+      ])
+      return archive
+    }
+
+    const location = () => ({ steamCmdDir, useSystemSteamCmd: false })
+
+    it('should remove the managed directory', async () => {
+      writeInstall(steamCmdDir, 0)
+      expect(await steamcmd.uninstallSteamCmd(location())).toBe(true)
+      expect(fs.existsSync(steamCmdDir)).toBe(false)
+      expect(await steamcmd.uninstallSteamCmd(location())).toBe(false)
+    })
+
+    it('should refuse to remove a directory without SteamCMD', async () => {
+      fs.mkdirSync(path.join(steamCmdDir, 'project'), { recursive: true })
+      fs.writeFileSync(path.join(steamCmdDir, 'notes.txt'), 'keep')
+      await expect(
+        steamcmd.uninstallSteamCmd(location())
+      ).rejects.toMatchObject({ code: 'UNSAFE_DIRECTORY' })
+      expect(fs.existsSync(path.join(steamCmdDir, 'notes.txt'))).toBe(true)
+    })
+
+    it('should remove a directory holding only the bootstrap marker', async () => {
+      fs.mkdirSync(steamCmdDir)
+      fs.writeFileSync(path.join(steamCmdDir, '.steamcmd-bootstrapped'), '{}')
+      expect(await steamcmd.uninstallSteamCmd(location())).toBe(true)
+    })
+
+    it('should refuse to remove the home directory', async () => {
+      await expect(
+        steamcmd.uninstallSteamCmd({ steamCmdDir: os.homedir() })
+      ).rejects.toMatchObject({ code: 'UNSAFE_DIRECTORY' })
+    })
+
+    it('should refuse to repair an explicit executable', async () => {
+      await expect(
+        steamcmd.repairSteamCmd({ steamCmdPath: '/opt/steamcmd/steamcmd' })
+      ).rejects.toMatchObject({ code: 'NOT_MANAGED' })
+    })
+
+    it.skipIf(process.platform !== 'linux')(
+      'should leave a healthy installation alone',
+      async () => {
+        writeInstall(steamCmdDir, 0)
+        expect(steamcmd.getInfo(location()).health.status).toBe('ok')
+        await expect(
+          steamcmd.repairSteamCmd({ ...location(), onOutput: () => {} })
+        ).resolves.toEqual({ repaired: false, problems: [] })
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should reinstall when a required file is empty',
+      async () => {
+        writeInstall(steamCmdDir, 0)
+        fs.writeFileSync(path.join(steamCmdDir, 'linux32', 'steamcmd'), '')
+        expect(steamcmd.getInfo(location()).health.status).toBe('broken')
+
+        const result = await steamcmd.repairSteamCmd({
+          ...location(),
+          archivePath: await makeArchive(),
+        })
+        expect(result.repaired).toBe(true)
+        expect(result.problems[0]).toMatch(/File is empty/)
+        expect(steamcmd.getInfo(location()).health.status).toBe('ok')
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should reinstall when the smoke run fails',
+      async () => {
+        writeInstall(steamCmdDir, 1)
+        const result = await steamcmd.repairSteamCmd({
+          ...location(),
+          archivePath: await makeArchive(),
+          onOutput: () => {},
+        })
+        expect(result.repaired).toBe(true)
+        expect(result.problems[0]).toMatch(/Smoke run failed/)
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should reinstall without clearing a directory that lacks SteamCMD',
+      async () => {
+        fs.mkdirSync(steamCmdDir)
+        fs.writeFileSync(path.join(steamCmdDir, 'notes.txt'), 'keep')
+
+        const result = await steamcmd.repairSteamCmd({
+          ...location(),
+          archivePath: await makeArchive(),
+        })
+        expect(result.repaired).toBe(true)
+        expect(steamcmd.getInfo(location()).health.status).toBe('ok')
+        expect(fs.existsSync(path.join(steamCmdDir, 'notes.txt'))).toBe(true)
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should reinstall when the smoke run hangs',
+      async () => {
+        writeInstall(steamCmdDir, 0)
+        fs.writeFileSync(
+          path.join(steamCmdDir, 'steamcmd.sh'),
+          '#!/bin/sh\nsleep 30\n',
+          { mode: 0o755 }
+        )
+        const result = await steamcmd.repairSteamCmd({
+          ...location(),
+          archivePath: await makeArchive(),
+          smokeTestTimeoutMs: 200,
+          onOutput: () => {},
+        })
+        expect(result.repaired).toBe(true)
+        expect(result.problems[0]).toMatch(/Smoke run failed: .*timed out/)
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should stop the smoke run when aborted',
+      async () => {
+        writeInstall(steamCmdDir, 0)
+        fs.writeFileSync(
+          path.join(steamCmdDir, 'steamcmd.sh'),
+          '#!/bin/sh\nsleep 30\n',
+          { mode: 0o755 }
+        )
+        await expect(
+          steamcmd.repairSteamCmd({
+            ...location(),
+            signal: AbortSignal.timeout(200),
+            onOutput: () => {},
+          })
+        ).rejects.toMatchObject({ code: 'ABORTED' })
+        expect(fs.existsSync(path.join(steamCmdDir, 'steamcmd.sh'))).toBe(true)
+      }
+    )
   })
 
   describe('install()', () => {
@@ -155,6 +518,120 @@ describe('steamcmd.js', () => {
     })
   })
 
+  describe('install() progress', () => {
+    let tempDir
+    let server
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      const srcDir = path.join(tempDir, 'archive-src')
+      fs.mkdirSync(path.join(srcDir, 'linux32'), { recursive: true })
+      fs.writeFileSync(path.join(srcDir, 'linux32', 'steamcmd'), 'ELF', {
+        mode: 0o755,
+      })
+      fakeSteamCmd(path.join(srcDir, 'steamcmd.sh'), {
+        lines: [
+          'Update state (0x61) downloading, progress: 5.00 (50 / 1000)',
+          'Update state (0x61) downloading, progress: 50.00 (500 / 1000)',
+          "Success! App '740' fully installed.",
+        ],
+      })
+      const archive = path.join(tempDir, 'steamcmd_linux.tar.gz')
+      await tar.c({ gzip: true, file: archive, cwd: srcDir }, [
+        'steamcmd.sh',
+        'linux32',
+      ])
+      const body = fs.readFileSync(archive)
+
+      server = http.createServer((_req, res) => {
+        res.writeHead(200, { 'Content-Length': body.length })
+        res.end(body)
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      process.env.STEAMCMD_DOWNLOAD_URL = `http://127.0.0.1:${server.address().port}/steamcmd_linux.tar.gz`
+    })
+
+    afterEach(() => {
+      delete process.env.STEAMCMD_DOWNLOAD_URL
+      server.close()
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it.skipIf(process.platform !== 'linux')(
+      'should never decrease across the SteamCMD download and the install',
+      async () => {
+        const reports = []
+        await steamcmd.install({
+          applicationId: 740,
+          steamCmdDir: path.join(tempDir, 'home'),
+          useSystemSteamCmd: false,
+          progressIntervalMs: 0,
+          onProgress: (p) => reports.push(p),
+          onOutput: () => {},
+        })
+
+        const overall = reports.map((p) => p.overallPercent)
+        expect(overall).toEqual([...overall].sort((a, b) => a - b))
+        const downloadDone = reports.findIndex(
+          (p) => p.phase === 'complete' && 'attempt' in p
+        )
+        expect(downloadDone).toBeGreaterThan(-1)
+        expect(reports[downloadDone].overallPercent).toBe(10)
+        expect(reports.some((p) => p.stateCode === 0x61)).toBe(true)
+        expect(overall.at(-1)).toBe(100)
+      }
+    )
+  })
+
+  describe('install() bootstrap download limits', () => {
+    let tempDir
+    let server
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      // Sends headers and then nothing, like a stalled mirror
+      server = http.createServer((_req, res) => {
+        res.writeHead(200, { 'Content-Length': 1000 })
+        res.write('x')
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      process.env.STEAMCMD_DOWNLOAD_URL = `http://127.0.0.1:${server.address().port}/steamcmd_linux.tar.gz`
+    })
+
+    afterEach(() => {
+      delete process.env.STEAMCMD_DOWNLOAD_URL
+      server.closeAllConnections()
+      server.close()
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    const install = (options) =>
+      steamcmd.install({
+        applicationId: 740,
+        steamCmdDir: path.join(tempDir, 'home'),
+        useSystemSteamCmd: false,
+        ...options,
+      })
+
+    it.skipIf(process.platform !== 'linux')(
+      'should apply timeoutMs to the SteamCMD download',
+      async () => {
+        await expect(install({ timeoutMs: 200 })).rejects.toMatchObject({
+          code: 'TIMEOUT',
+        })
+      }
+    )
+
+    it.skipIf(process.platform !== 'linux')(
+      'should apply idleTimeoutMs to the SteamCMD download',
+      async () => {
+        await expect(install({ idleTimeoutMs: 200 })).rejects.toMatchObject({
+          code: 'TIMEOUT',
+        })
+      }
+    )
+  })
+
   describe('module exports', () => {
     it('should export install function', () => {
       expect(typeof steamcmd.install).toBe('function')
@@ -172,6 +649,14 @@ describe('steamcmd.js', () => {
       expect(typeof steamcmd.getInfo).toBe('function')
     })
 
+    it('should export bootstrap function', () => {
+      expect(typeof steamcmd.bootstrap).toBe('function')
+    })
+
+    it('should export configure function', () => {
+      expect(typeof steamcmd.configure).toBe('function')
+    })
+
     it('should export SteamCmdError class', () => {
       expect(steamcmd.SteamCmdError).toBeDefined()
     })
@@ -196,6 +681,19 @@ describe('steamcmd.js', () => {
       expect(typeof steamcmd.getInstalledApps).toBe('function')
     })
 
+    it('should export getInstalledWorkshopItems', () => {
+      expect(typeof steamcmd.getInstalledWorkshopItems).toBe('function')
+    })
+
+    it('should export getInstalledDepots and downloadDepot', () => {
+      expect(typeof steamcmd.getInstalledDepots).toBe('function')
+      expect(typeof steamcmd.downloadDepot).toBe('function')
+    })
+
+    it('should export uninstall', () => {
+      expect(typeof steamcmd.uninstall).toBe('function')
+    })
+
     it('should export update', () => {
       expect(typeof steamcmd.update).toBe('function')
     })
@@ -376,6 +874,923 @@ describe('steamcmd.js new features', () => {
     })
   })
 
+  describe('update() and validate() arguments', () => {
+    let tempDir
+    let steamCmdPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdPath = path.join(tempDir, 'steamcmd')
+      fs.writeFileSync(
+        steamCmdPath,
+        ['#!/bin/sh', 'echo "argv: $*"', ''].join('\n'),
+        { mode: 0o755 }
+      )
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Collect everything a call writes to stdout
+     */
+    async function argvOf(call, options) {
+      let output = ''
+      await call({
+        applicationId: 740,
+        steamCmdPath,
+        onOutput: (data) => {
+          output += data
+        },
+        ...options,
+      })
+      return output.match(/argv: (.*)/)[1]
+    }
+
+    it.skipIf(process.platform === 'win32')(
+      'should not validate during update() by default',
+      async () => {
+        const argv = await argvOf(steamcmd.update)
+        expect(argv).toContain('+app_update 740')
+        expect(argv).not.toContain('validate')
+        expect(await argvOf(steamcmd.update, { validate: true })).toContain(
+          '+app_update 740 validate'
+        )
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should log SteamCMD output with the operation and app ID',
+      async () => {
+        const messages = []
+        const record = (level) => (message, context) =>
+          messages.push({ level, message, ...context })
+        const logger = {
+          debug: record('debug'),
+          info: record('info'),
+          warn: record('warn'),
+          error: record('error'),
+        }
+
+        steamcmd.configure({ logger })
+        try {
+          await steamcmd.update({ applicationId: 740, steamCmdPath })
+        } finally {
+          steamcmd.configure({ logger: null })
+        }
+        expect(messages).toContainEqual(
+          expect.objectContaining({
+            level: 'debug',
+            message: expect.stringContaining('+app_update 740'),
+            appId: 740,
+            operation: 'update',
+            pid: expect.any(Number),
+            stream: 'stdout',
+          })
+        )
+
+        messages.length = 0
+        await steamcmd.validate({ applicationId: 740, steamCmdPath, logger })
+        expect(messages.length).toBeGreaterThan(0)
+        expect(messages.every((m) => m.operation === 'validate')).toBe(true)
+
+        messages.length = 0
+        await steamcmd.update({ applicationId: 740, steamCmdPath })
+        expect(messages).toEqual([])
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should keep validating during install()',
+      async () => {
+        expect(await argvOf(steamcmd.install)).toContain(
+          '+app_update 740 validate'
+        )
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should force validation',
+      async () => {
+        let output = ''
+        const result = await steamcmd.validate({
+          applicationId: 740,
+          steamCmdPath,
+          validate: false,
+          onOutput: (data) => {
+            output += data
+          },
+        })
+        expect(result).toBeUndefined()
+        expect(output).toContain('+app_update 740 validate')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should honour the operation in createProgressEmitter()',
+      async () => {
+        const finish = (operation) => {
+          const emitter = steamcmd.createProgressEmitter(operation, {
+            applicationId: 740,
+            steamCmdPath,
+          })
+          let output = ''
+          emitter.on('output', (data) => {
+            output += data
+          })
+          return new Promise((resolve, reject) => {
+            emitter.on('complete', (result) => resolve({ output, result }))
+            emitter.on('error', reject)
+          })
+        }
+
+        const updated = await finish('update')
+        expect(updated.output).not.toContain('validate')
+        expect(updated.result).toBeUndefined()
+
+        const validated = await finish('validate')
+        expect(validated.output).toContain('+app_update 740 validate')
+        expect(validated.result).toBeUndefined()
+      }
+    )
+  })
+
+  describe('getAppInfo()', () => {
+    let tempDir
+    let steamCmdPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdPath = path.join(tempDir, 'steamcmd')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a fake steamcmd that prints a recorded app_info_print fixture
+     * and counts its runs
+     */
+    function fixtureSteamCmd(fixtureName) {
+      const fixture = path.join(__dirname, '..', 'fixtures', fixtureName)
+      fakeSteamCmd(steamCmdPath, {
+        body: [`cat '${fixture}'`],
+        argsFile: path.join(tempDir, 'runs'),
+      })
+    }
+
+    const runs = () =>
+      fs.readFileSync(path.join(tempDir, 'runs'), 'utf8').trim().split('\n')
+
+    it('should throw if applicationId is missing', async () => {
+      await expect(steamcmd.getAppInfo({})).rejects.toMatchObject({
+        code: 'INVALID_OPTIONS',
+      })
+      await expect(
+        steamcmd.getAppInfo({ applicationId: 'abc' })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should query SteamCMD and cache the result',
+      async () => {
+        fixtureSteamCmd('app_info_print_740.txt')
+        const options = {
+          applicationId: 740,
+          steamCmdPath,
+          steamCmdDir: tempDir,
+        }
+
+        const info = await steamcmd.getAppInfo(options)
+        expect(info.name).toBe(
+          'Counter-Strike Global Offensive - Dedicated Server'
+        )
+        expect(info.branches.public.buildId).toBe(13336530)
+        expect(runs()).toHaveLength(1)
+        expect(runs()[0]).toContain(
+          '+login anonymous +app_info_update 1 +app_info_print 740 +quit'
+        )
+
+        expect(await steamcmd.getAppInfo(options)).toEqual(info)
+        expect(runs()).toHaveLength(1)
+
+        await steamcmd.getAppInfo({ ...options, cacheTtlMs: 0 })
+        expect(runs()).toHaveLength(2)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should fail when SteamCMD prints no info for the app',
+      async () => {
+        fixtureSteamCmd('app_info_print_90.txt')
+        await expect(
+          steamcmd.getAppInfo({
+            applicationId: 740,
+            steamCmdPath,
+            steamCmdDir: tempDir,
+          })
+        ).rejects.toMatchObject({ code: 'APP_INFO_NOT_FOUND' })
+      }
+    )
+  })
+
+  describe('getInstalledWorkshopItems()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should throw without applicationId and path', async () => {
+      await expect(
+        steamcmd.getInstalledWorkshopItems({ path: tempDir })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+      await expect(steamcmd.getInstalledWorkshopItems(null)).rejects.toThrow()
+    })
+
+    it('should report items from the appworkshop manifest', async () => {
+      const workshopDir = path.join(tempDir, 'steamapps', 'workshop')
+      fs.mkdirSync(path.join(workshopDir, 'content', '107410', '450814997'), {
+        recursive: true,
+      })
+      fs.writeFileSync(
+        path.join(workshopDir, 'content', '107410', '450814997', 'mod.cpp'),
+        'abcd'
+      )
+      fs.writeFileSync(
+        path.join(workshopDir, 'appworkshop_107410.acf'),
+        `"AppWorkshop"
+{
+	"WorkshopItemsInstalled"
+	{
+		"450814997"
+		{
+			"size"		"4"
+			"timeupdated"		"1690000000"
+			"manifest"		"1234567890123456789"
+		}
+	}
+}`
+      )
+
+      const items = await steamcmd.getInstalledWorkshopItems({
+        applicationId: 107410,
+        path: tempDir,
+      })
+      expect(items).toHaveLength(1)
+      expect(items[0]).toMatchObject({
+        workshopId: 450814997,
+        size: 4,
+        manifestId: '1234567890123456789',
+        status: 'ok',
+      })
+    })
+
+    it('should return an empty array for other apps', async () => {
+      expect(
+        await steamcmd.getInstalledWorkshopItems({
+          applicationId: 740,
+          path: tempDir,
+        })
+      ).toEqual([])
+    })
+  })
+
+  describe('getInstalledDepots()', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should throw without applicationId and path', async () => {
+      await expect(
+        steamcmd.getInstalledDepots({ path: tempDir })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+    })
+
+    it('should read the depots of an installed app', async () => {
+      fs.mkdirSync(path.join(tempDir, 'steamapps'))
+      fs.writeFileSync(
+        path.join(tempDir, 'steamapps', 'appmanifest_740.acf'),
+        `"AppState"
+{
+	"appid"		"740"
+	"InstalledDepots"
+	{
+		"741"
+		{
+			"manifest"		"7043469183016184477"
+			"size"		"74853120"
+		}
+	}
+}`
+      )
+
+      expect(
+        await steamcmd.getInstalledDepots({ applicationId: 740, path: tempDir })
+      ).toEqual([
+        { depotId: 741, manifestId: '7043469183016184477', size: 74853120 },
+      ])
+    })
+
+    it('should return an empty array if the app is not installed', async () => {
+      expect(
+        await steamcmd.getInstalledDepots({ applicationId: 740, path: tempDir })
+      ).toEqual([])
+    })
+  })
+
+  describe('downloadDepot()', () => {
+    let tempDir
+    let steamCmdPath
+    let installPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdPath = path.join(tempDir, 'steamcmd')
+      installPath = path.join(tempDir, 'server')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a fake steamcmd that records its arguments and runs a script body
+     */
+    function scriptedSteamCmd(...body) {
+      fakeSteamCmd(steamCmdPath, { body, argsFile: path.join(tempDir, 'args') })
+    }
+
+    const download = (options) =>
+      steamcmd.downloadDepot({
+        applicationId: 740,
+        depotId: 741,
+        path: installPath,
+        steamCmdPath,
+        steamCmdDir: tempDir,
+        ...options,
+      })
+
+    it('should validate its options', async () => {
+      await expect(
+        steamcmd.downloadDepot({ applicationId: 740, path: installPath })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+      await expect(download({ depotId: 'abc' })).rejects.toMatchObject({
+        code: 'INVALID_OPTIONS',
+      })
+      await expect(download({ manifestId: '12ab' })).rejects.toMatchObject({
+        code: 'INVALID_OPTIONS',
+      })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should move the staged depot into the target path',
+      async () => {
+        const staging = path.join(
+          tempDir,
+          'steamapps',
+          'content',
+          'app_740',
+          'depot_741'
+        )
+        scriptedSteamCmd(
+          `mkdir -p '${staging}/bin'`,
+          `echo new > '${staging}/bin/srcds_linux'`,
+          `echo 'Depot download complete : "${staging}" (1 files, manifest 7043469183016184477)'`
+        )
+        fs.mkdirSync(path.join(installPath, 'bin'), { recursive: true })
+        fs.writeFileSync(path.join(installPath, 'bin', 'srcds_linux'), 'old')
+        fs.writeFileSync(path.join(installPath, 'server.cfg'), 'kept')
+
+        const result = await download({ manifestId: '7043469183016184477' })
+
+        expect(result).toEqual({
+          applicationId: 740,
+          depotId: 741,
+          manifestId: '7043469183016184477',
+          files: 1,
+          path: path.resolve(installPath),
+        })
+        expect(fs.readFileSync(path.join(tempDir, 'args'), 'utf8')).toContain(
+          '+login anonymous +download_depot 740 741 7043469183016184477 +quit'
+        )
+        expect(
+          fs.readFileSync(path.join(installPath, 'bin', 'srcds_linux'), 'utf8')
+        ).toBe('new\n')
+        expect(
+          fs.readFileSync(path.join(installPath, 'server.cfg'), 'utf8')
+        ).toBe('kept')
+        expect(fs.existsSync(staging)).toBe(false)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should fall back to the default staging folder',
+      async () => {
+        const staging = path.join(
+          tempDir,
+          'steamapps',
+          'content',
+          'app_740',
+          'depot_741'
+        )
+        scriptedSteamCmd(`mkdir -p '${staging}'`, `touch '${staging}/file'`)
+
+        const result = await download()
+        expect(result.manifestId).toBeNull()
+        expect(fs.existsSync(path.join(installPath, 'file'))).toBe(true)
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should report failed downloads',
+      async () => {
+        scriptedSteamCmd(
+          "echo 'Depot download failed : Depot manifest 123 not available'"
+        )
+        await expect(download({ manifestId: '123' })).rejects.toMatchObject({
+          code: 'DEPOT_DOWNLOAD_FAILED',
+          message: 'Depot download failed: Depot manifest 123 not available',
+        })
+
+        scriptedSteamCmd('true')
+        await expect(download()).rejects.toMatchObject({
+          code: 'DEPOT_DOWNLOAD_FAILED',
+        })
+      }
+    )
+  })
+
+  describe('uninstall()', () => {
+    let tempDir
+    let installPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      installPath = path.join(tempDir, 'server')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write a file below the install path, creating its parent directories
+     */
+    function write(relative, content = '') {
+      const file = path.join(installPath, relative)
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, content)
+    }
+
+    const manifest = (appId, installdir) =>
+      `"AppState"\n{\n\t"appid"\t\t"${appId}"\n\t"installdir"\t\t"${installdir}"\n}\n`
+
+    it('should throw without applicationId and path', async () => {
+      await expect(
+        steamcmd.uninstall({ path: installPath })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+      await expect(
+        steamcmd.uninstall({
+          applicationId: 740,
+          path: installPath,
+          workshopId: 'abc',
+        })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+    })
+
+    it('should reject paths that would break the SteamCMD command', async () => {
+      await expect(
+        steamcmd.uninstall({
+          applicationId: 740,
+          path: path.join(tempDir, 'se"rver'),
+        })
+      ).rejects.toMatchObject({
+        code: 'INVALID_OPTIONS',
+        message: 'path must not contain double quotes or line breaks',
+      })
+    })
+
+    it('should list what would be removed in a dry run', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('steamapps/appmanifest_90.acf', manifest(90, 'hlds'))
+      write('steamapps/common/csgo/srcds_run')
+
+      const result = await steamcmd.uninstall({
+        applicationId: 740,
+        path: installPath,
+        dryRun: true,
+      })
+      expect(result).toEqual({
+        removed: [
+          path.join(installPath, 'steamapps', 'common', 'csgo'),
+          path.join(installPath, 'steamapps', 'appmanifest_740.acf'),
+        ],
+        updated: [],
+        dryRun: true,
+      })
+      expect(fs.existsSync(result.removed[0])).toBe(true)
+    })
+
+    it('should remove the app so getInstalledApps() no longer reports it', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('steamapps/appmanifest_90.acf', manifest(90, 'hlds'))
+      write('steamapps/common/csgo/srcds_run')
+
+      await steamcmd.uninstall({
+        applicationId: 740,
+        path: installPath,
+        useSteamCmd: false,
+      })
+
+      const apps = await steamcmd.getInstalledApps({ path: installPath })
+      expect(apps.map((app) => app.appId)).toEqual([90])
+      expect(
+        fs.existsSync(path.join(installPath, 'steamapps', 'common', 'csgo'))
+      ).toBe(false)
+    })
+
+    it('should remove path itself only with removeRoot', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('srcds_run')
+
+      const result = await steamcmd.uninstall({
+        applicationId: 740,
+        path: installPath,
+        removeRoot: true,
+        useSteamCmd: false,
+      })
+      expect(result.removed).toEqual([installPath])
+      expect(fs.existsSync(installPath)).toBe(false)
+    })
+
+    it('should refuse to remove anything outside path', async () => {
+      fs.mkdirSync(path.join(tempDir, 'precious'))
+      write('steamapps/appmanifest_740.acf', manifest(740, '../../../precious'))
+      write('steamapps/appmanifest_90.acf', manifest(90, 'hlds'))
+
+      await expect(
+        steamcmd.uninstall({
+          applicationId: 740,
+          path: installPath,
+          useSteamCmd: false,
+        })
+      ).rejects.toMatchObject({ code: 'UNSAFE_DIRECTORY' })
+      expect(fs.existsSync(path.join(tempDir, 'precious'))).toBe(true)
+      expect(
+        fs.existsSync(
+          path.join(installPath, 'steamapps', 'appmanifest_740.acf')
+        )
+      ).toBe(true)
+    })
+
+    it('should remove a single workshop item', async () => {
+      write('steamapps/workshop/content/107410/450814997/mod.cpp')
+      write('steamapps/workshop/content/107410/843425103/mod.cpp')
+      write(
+        'steamapps/workshop/appworkshop_107410.acf',
+        `"AppWorkshop"
+{
+	"WorkshopItemsInstalled"
+	{
+		"450814997"
+		{
+			"size"		"0"
+		}
+		"843425103"
+		{
+			"size"		"0"
+		}
+	}
+}`
+      )
+
+      const result = await steamcmd.uninstall({
+        applicationId: 107410,
+        workshopId: 450814997,
+        path: installPath,
+      })
+      expect(result.removed).toEqual([
+        path.join(installPath, 'steamapps/workshop/content/107410/450814997'),
+      ])
+      expect(result.updated).toEqual([
+        path.join(installPath, 'steamapps/workshop/appworkshop_107410.acf'),
+      ])
+
+      const items = await steamcmd.getInstalledWorkshopItems({
+        applicationId: 107410,
+        path: installPath,
+      })
+      expect(items.map((item) => item.workshopId)).toEqual([843425103])
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should run app_uninstall before removing leftovers',
+      async () => {
+        const steamCmdPath = path.join(tempDir, 'steamcmd')
+        fs.writeFileSync(
+          steamCmdPath,
+          `#!/bin/sh\necho "$*" > '${path.join(tempDir, 'args')}'\n`,
+          { mode: 0o755 }
+        )
+        write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+        write('cfg/server.cfg')
+
+        const result = await steamcmd.uninstall({
+          applicationId: 740,
+          path: installPath,
+          steamCmdPath,
+        })
+        expect(result.removed).toEqual([
+          path.join(installPath, 'steamapps', 'appmanifest_740.acf'),
+        ])
+        expect(fs.existsSync(path.join(installPath, 'cfg', 'server.cfg'))).toBe(
+          true
+        )
+        expect(fs.readFileSync(path.join(tempDir, 'args'), 'utf8')).toContain(
+          `+app_uninstall 740 +quit`
+        )
+      }
+    )
+  })
+
+  describe('checkForUpdate()', () => {
+    let tempDir
+    let steamCmdPath
+    let installPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdPath = path.join(tempDir, 'steamcmd')
+      installPath = path.join(tempDir, 'server')
+      const fixture = path.join(
+        __dirname,
+        '..',
+        'fixtures',
+        'app_info_print_740.txt'
+      )
+      fs.writeFileSync(steamCmdPath, `#!/bin/sh\ncat '${fixture}'\n`, {
+        mode: 0o755,
+      })
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    /**
+     * Write an app manifest for app 740 with the given build and beta key
+     */
+    function writeManifest(buildId, betakey) {
+      fs.mkdirSync(path.join(installPath, 'steamapps'), { recursive: true })
+      fs.writeFileSync(
+        path.join(installPath, 'steamapps', 'appmanifest_740.acf'),
+        [
+          '"AppState"',
+          '{',
+          '\t"appid"\t\t"740"',
+          `\t"buildid"\t\t"${buildId}"`,
+          '\t"UserConfig"',
+          '\t{',
+          betakey ? `\t\t"betakey"\t\t"${betakey}"` : '',
+          '\t}',
+          '}',
+        ].join('\n')
+      )
+    }
+
+    const check = (options) =>
+      steamcmd.checkForUpdate({
+        applicationId: 740,
+        path: installPath,
+        steamCmdPath,
+        steamCmdDir: tempDir,
+        ...options,
+      })
+
+    it('should throw without applicationId and path', async () => {
+      await expect(
+        steamcmd.checkForUpdate({ applicationId: 740 })
+      ).rejects.toMatchObject({ code: 'INVALID_OPTIONS' })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should report an older installed build',
+      async () => {
+        writeManifest(13000000)
+        expect(await check()).toEqual({
+          installedBuildId: 13000000,
+          latestBuildId: 13336530,
+          updateAvailable: true,
+          branch: 'public',
+          remoteTimeUpdated: new Date(1708108009 * 1000),
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should report an up-to-date build',
+      async () => {
+        writeManifest(13336530)
+        expect(await check()).toMatchObject({ updateAvailable: false })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should compare against the installed branch by default',
+      async () => {
+        writeManifest(13301452, '1.38.8.1')
+        expect(await check()).toMatchObject({
+          branch: '1.38.8.1',
+          latestBuildId: 13301452,
+          updateAvailable: false,
+        })
+        expect(await check({ branch: 'public' })).toMatchObject({
+          branch: 'public',
+          updateAvailable: true,
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should treat a missing install as needing an update',
+      async () => {
+        expect(await check()).toMatchObject({
+          installedBuildId: null,
+          updateAvailable: true,
+        })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should fail for an unknown branch',
+      async () => {
+        await expect(check({ branch: 'nope' })).rejects.toMatchObject({
+          code: 'BRANCH_NOT_FOUND',
+        })
+      }
+    )
+  })
+
+  describe('installMany()', () => {
+    it('should be a function', () => {
+      expect(typeof steamcmd.installMany).toBe('function')
+    })
+
+    it('should throw without items', async () => {
+      await expect(steamcmd.installMany({})).rejects.toThrow(
+        'items option must be a non-empty array'
+      )
+      await expect(steamcmd.installMany(null)).rejects.toThrow(
+        steamcmd.SteamCmdError
+      )
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should return per-item results from one session',
+      async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+        const steamCmdPath = path.join(dir, 'steamcmd')
+        fs.writeFileSync(
+          steamCmdPath,
+          [
+            '#!/bin/sh',
+            'echo "$@" > "$(dirname "$0")/args"',
+            'echo "ERROR! Download item 1 failed (Failure)."',
+            'echo "Success. Downloaded item 2 to somewhere (1 bytes)"',
+            '',
+          ].join('\n'),
+          { mode: 0o755 }
+        )
+        try {
+          const results = await steamcmd.installMany({
+            steamCmdPath,
+            items: [
+              { applicationId: 107410, workshopId: 1 },
+              { applicationId: 107410, workshopId: 2 },
+            ],
+            onOutput: () => {},
+          })
+          expect(results.map((r) => r.success)).toEqual([false, true])
+          const args = fs.readFileSync(path.join(dir, 'args'), 'utf8')
+          expect(args.match(/\+login/g)).toHaveLength(1)
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true })
+        }
+      }
+    )
+  })
+
+  describe('cancellation', () => {
+    let tempDir
+    let steamCmdPath
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      steamCmdPath = path.join(tempDir, 'steamcmd')
+      fs.writeFileSync(steamCmdPath, '#!/bin/sh\nsleep 30\n', { mode: 0o755 })
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should reject install() with an unwrapped ABORTED error',
+      async () => {
+        const controller = new AbortController()
+        const installing = steamcmd.install({
+          applicationId: 740,
+          steamCmdPath,
+          signal: controller.signal,
+          onOutput: () => {},
+        })
+        setTimeout(() => controller.abort(), 50)
+        const err = await installing.catch((e) => e)
+        expect(err).toBeInstanceOf(steamcmd.InstallError)
+        expect(err.code).toBe('ABORTED')
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should reject update() with TIMEOUT after timeoutMs',
+      async () => {
+        await expect(
+          steamcmd.update({
+            applicationId: 740,
+            steamCmdPath,
+            timeoutMs: 100,
+            onOutput: () => {},
+          })
+        ).rejects.toMatchObject({ code: 'TIMEOUT' })
+      }
+    )
+
+    it.skipIf(process.platform === 'win32')(
+      'should stop createProgressEmitter() through cancel()',
+      async () => {
+        const emitter = steamcmd.createProgressEmitter('install', {
+          applicationId: 740,
+          steamCmdPath,
+        })
+        emitter.on('progress', (p) => {
+          if (p.phase === 'starting') emitter.cancel()
+        })
+        const err = await new Promise((resolve) => emitter.on('error', resolve))
+        expect(err.code).toBe('ABORTED')
+      }
+    )
+  })
+
+  describe('classified failures', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should expose the failure catalog', () => {
+      expect(Array.isArray(steamcmd.FAILURE_PATTERNS)).toBe(true)
+      expect(
+        steamcmd.classifyOutput('FAILED (Invalid Password)')
+      ).toMatchObject({ code: 'INVALID_PASSWORD', retryable: false })
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should reject install() with the classified error unwrapped',
+      async () => {
+        const steamCmdPath = path.join(tempDir, 'steamcmd')
+        fs.writeFileSync(
+          steamCmdPath,
+          `#!/bin/sh\necho "ERROR! Failed to install app '740' (No subscription)"\n`,
+          { mode: 0o755 }
+        )
+        const err = await steamcmd
+          .install({ applicationId: 740, steamCmdPath, onOutput: () => {} })
+          .catch((e) => e)
+        expect(err).toBeInstanceOf(steamcmd.InstallError)
+        expect(err).toMatchObject({ code: 'NO_SUBSCRIPTION', retryable: false })
+        expect(err.hint).toBeTruthy()
+      }
+    )
+  })
+
   describe('getInstalledVersion()', () => {
     let tempDir
 
@@ -484,6 +1899,40 @@ describe('steamcmd.js new features', () => {
       expect(version.name).toBe('Unknown')
       expect(version.buildId).toBe(0)
       expect(version.lastUpdated).toBeNull()
+      expect(version.branch).toBe('public')
+    })
+
+    it('should report the branch from UserConfig.betakey', async () => {
+      const steamappsDir = path.join(tempDir, 'steamapps')
+      fs.mkdirSync(steamappsDir)
+
+      const manifestContent = `"AppState"
+{
+	"appid"		"740"
+	"buildid"		"12345678"
+	"UserConfig"
+	{
+		"language"		"english"
+		"betakey"		"experimental"
+	}
+	"MountedConfig"
+	{
+		"language"		"english"
+		"betakey"		"public-beta"
+	}
+}`
+      fs.writeFileSync(
+        path.join(steamappsDir, 'appmanifest_740.acf'),
+        manifestContent
+      )
+
+      const version = await steamcmd.getInstalledVersion({
+        applicationId: 740,
+        path: tempDir,
+      })
+
+      expect(version.branch).toBe('experimental')
+      expect(version.buildId).toBe(12345678)
     })
   })
 
@@ -0,0 +1,156 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+
+import { parseKeyValues } from '../../dist/appinfo.js'
+import {
+  isInside,
+  planAppUninstall,
+  removeWorkshopEntry,
+} from '../../dist/uninstall.js'
+
+const WORKSHOP_MANIFEST = `"AppWorkshop"
+{
+	"appid"		"107410"
+	"SizeOnDisk"		"3072"
+	"WorkshopItemsInstalled"
+	{
+		"450814997"
+		{
+			"size"		"1024"
+			"manifest"		"1234567890123456789"
+		}
+		"843425103"
+		{
+			"size"		"2048"
+			"manifest"		"4916394318574262785"
+		}
+	}
+	"WorkshopItemDetails"
+	{
+		"450814997"
+		{
+			"timetouched"		"1695000000"
+		}
+	}
+}
+`
+
+describe('uninstall.js', () => {
+  let tempDir
+  let root
+
+  /**
+   * Write a file, creating its parent directories
+   */
+  function write(relative, content = '') {
+    const file = path.join(root, relative)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, content)
+  }
+
+  /**
+   * App manifest text with an optional installdir
+   */
+  const manifest = (appId, installdir = '') =>
+    `"AppState"\n{\n\t"appid"\t\t"${appId}"\n\t"installdir"\t\t"${installdir}"\n}\n`
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+    root = path.join(tempDir, 'server')
+    fs.mkdirSync(root)
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('isInside()', () => {
+    it('should accept paths below the root only', async () => {
+      write('a/b')
+      expect(await isInside(root, path.join(root, 'a', 'b'))).toBe(true)
+      expect(await isInside(root, path.join(root, 'a', '..', 'a'))).toBe(true)
+      expect(await isInside(root, root)).toBe(false)
+      expect(await isInside(root, path.join(root, '..', 'other'))).toBe(false)
+      expect(await isInside(root, path.join(root, 'missing', 'x'))).toBe(false)
+    })
+
+    it.skipIf(process.platform === 'win32')(
+      'should resolve symlinked parents',
+      async () => {
+        fs.mkdirSync(path.join(tempDir, 'outside'))
+        fs.symlinkSync(path.join(tempDir, 'outside'), path.join(root, 'link'))
+        expect(await isInside(root, path.join(root, 'link', 'file'))).toBe(
+          false
+        )
+        expect(await isInside(root, path.join(root, 'link'))).toBe(true)
+      }
+    )
+  })
+
+  describe('planAppUninstall()', () => {
+    it('should leave files outside Steam folders in a force_install_dir install', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('steamapps/temp/740/chunk')
+      write('srcds_run')
+      write('cfg/server.cfg')
+      expect(await planAppUninstall(root, 740)).toEqual([
+        path.join(root, 'steamapps', 'appmanifest_740.acf'),
+        path.join(root, 'steamapps', 'temp', '740'),
+      ])
+    })
+
+    it('should list the whole directory only with removeRoot', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('srcds_run')
+      expect(await planAppUninstall(root, 740, true)).toEqual([root])
+      expect(await planAppUninstall(root, 90, true)).toEqual([])
+    })
+
+    it('should list app files when other apps share the directory', async () => {
+      write('steamapps/appmanifest_740.acf', manifest(740, 'csgo'))
+      write('steamapps/appmanifest_90.acf', manifest(90, 'hlds'))
+      write('steamapps/common/csgo/srcds_run')
+      write('steamapps/common/hlds/hlds_run')
+      write('steamapps/workshop/appworkshop_740.acf')
+      write('steamapps/workshop/content/740/1/file')
+
+      expect(await planAppUninstall(root, 740)).toEqual([
+        path.join(root, 'steamapps', 'common', 'csgo'),
+        path.join(root, 'steamapps', 'appmanifest_740.acf'),
+        path.join(root, 'steamapps', 'workshop', 'appworkshop_740.acf'),
+        path.join(root, 'steamapps', 'workshop', 'content', '740'),
+      ])
+    })
+
+    it('should list leftovers without a manifest', async () => {
+      write('steamapps/downloading/740/file')
+      expect(await planAppUninstall(root, 740)).toEqual([
+        path.join(root, 'steamapps', 'downloading', '740'),
+      ])
+      expect(await planAppUninstall(root, 90)).toEqual([])
+    })
+  })
+
+  describe('removeWorkshopEntry()', () => {
+    it('should drop the item and its size', () => {
+      const updated = removeWorkshopEntry(WORKSHOP_MANIFEST, 450814997)
+      expect(parseKeyValues(updated)).toEqual({
+        AppWorkshop: {
+          appid: '107410',
+          SizeOnDisk: '2048',
+          WorkshopItemsInstalled: {
+            843425103: { size: '2048', manifest: '4916394318574262785' },
+          },
+          WorkshopItemDetails: {},
+        },
+      })
+    })
+
+    it('should return null for unknown items', () => {
+      expect(removeWorkshopEntry(WORKSHOP_MANIFEST, 1)).toBeNull()
+      expect(removeWorkshopEntry('', 1)).toBeNull()
+    })
+  })
+})
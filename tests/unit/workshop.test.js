@@ -0,0 +1,170 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+
+import {
+  directorySize,
+  inspectWorkshopItems,
+  parseWorkshopManifest,
+  workshopContentPath,
+  workshopManifestPath,
+} from '../../dist/workshop.js'
+
+const MANIFEST = `"AppWorkshop"
+{
+	"appid"		"107410"
+	"SizeOnDisk"		"1536"
+	"NeedsUpdate"		"0"
+	"WorkshopItemsInstalled"
+	{
+		"843425103"
+		{
+			"size"		"512"
+			"timeupdated"		"1700000000"
+			"manifest"		"4916394318574262785"
+		}
+		"450814997"
+		{
+			"size"		"1024"
+			"timeupdated"		"1690000000"
+			"manifest"		"1234567890123456789"
+		}
+		"463939057"
+		{
+			"size"		"2048"
+			"timeupdated"		"1680000000"
+			"manifest"		"-1"
+		}
+	}
+	"WorkshopItemDetails"
+	{
+		"450814997"
+		{
+			"manifest"		"1234567890123456789"
+			"timeupdated"		"1690000000"
+			"timetouched"		"1695000000"
+		}
+	}
+}
+`
+
+describe('workshop.js', () => {
+  describe('parseWorkshopManifest()', () => {
+    it('should read WorkshopItemsInstalled entries', () => {
+      const items = parseWorkshopManifest(MANIFEST)
+      expect(Object.keys(items).sort()).toEqual([
+        '450814997',
+        '463939057',
+        '843425103',
+      ])
+      expect(items['450814997']).toEqual({
+        size: '1024',
+        timeupdated: '1690000000',
+        manifest: '1234567890123456789',
+      })
+    })
+
+    it('should return nothing for other files', () => {
+      expect(parseWorkshopManifest('"AppState" { "appid" "740" }')).toEqual({})
+      expect(parseWorkshopManifest('')).toEqual({})
+    })
+  })
+
+  describe('paths', () => {
+    it('should follow the steamapps/workshop layout', () => {
+      expect(workshopManifestPath('server', 107410)).toBe(
+        path.join('server', 'steamapps', 'workshop', 'appworkshop_107410.acf')
+      )
+      expect(workshopContentPath('server', 107410)).toBe(
+        path.resolve('server', 'steamapps', 'workshop', 'content', '107410')
+      )
+    })
+  })
+
+  describe('with an install directory', () => {
+    let tempDir
+    let contentDir
+
+    /**
+     * Create a content folder holding files of the given sizes
+     */
+    function createItem(id, ...sizes) {
+      const dir = path.join(contentDir, id, 'addons')
+      fs.mkdirSync(dir, { recursive: true })
+      sizes.forEach((size, i) => {
+        fs.writeFileSync(path.join(dir, `file${i}.pbo`), Buffer.alloc(size))
+      })
+    }
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steamcmd-test-'))
+      contentDir = workshopContentPath(tempDir, 107410)
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should sum file sizes recursively', async () => {
+      createItem('1', 100, 200)
+      fs.writeFileSync(path.join(contentDir, '1', 'mod.cpp'), 'x'.repeat(50))
+      expect(await directorySize(path.join(contentDir, '1'))).toBe(350)
+      expect(await directorySize(path.join(contentDir, '2'))).toBeNull()
+    })
+
+    it('should return an empty list when nothing is installed', async () => {
+      expect(await inspectWorkshopItems(tempDir, 107410)).toEqual([])
+    })
+
+    it('should flag missing, mismatched and untracked items', async () => {
+      fs.mkdirSync(path.dirname(workshopManifestPath(tempDir, 107410)), {
+        recursive: true,
+      })
+      fs.writeFileSync(workshopManifestPath(tempDir, 107410), MANIFEST)
+      createItem('450814997', 1000, 24)
+      createItem('843425103', 100)
+      createItem('999', 10)
+
+      const items = await inspectWorkshopItems(tempDir, 107410)
+      expect(items).toEqual([
+        {
+          workshopId: 450814997,
+          size: 1024,
+          sizeOnDisk: 1024,
+          timeUpdated: new Date(1690000000 * 1000),
+          manifestId: '1234567890123456789',
+          contentPath: path.join(contentDir, '450814997'),
+          status: 'ok',
+        },
+        {
+          workshopId: 463939057,
+          size: 2048,
+          sizeOnDisk: null,
+          timeUpdated: new Date(1680000000 * 1000),
+          manifestId: '-1',
+          contentPath: path.join(contentDir, '463939057'),
+          status: 'missing',
+        },
+        {
+          workshopId: 843425103,
+          size: 512,
+          sizeOnDisk: 100,
+          timeUpdated: new Date(1700000000 * 1000),
+          manifestId: '4916394318574262785',
+          contentPath: path.join(contentDir, '843425103'),
+          status: 'mismatch',
+        },
+        {
+          workshopId: 999,
+          size: null,
+          sizeOnDisk: 10,
+          timeUpdated: null,
+          manifestId: null,
+          contentPath: path.join(contentDir, '999'),
+          status: 'untracked',
+        },
+      ])
+    })
+  })
+})